@@ -0,0 +1,326 @@
+"""
+Saved games for N-Dimensional Chess, kept in SQLite.
+
+A game is the position string it starts from (see static/nd_notation.js), which carries the
+board's dimensions, topology and rules, followed by its moves in move notation and, once it
+has ended, its result. The client saves each move as it is played and resumes a game from its
+ID, and any game can be downloaded as a PGN-style record that the Game Record dialog loads.
+Anyone with a game's ID can read it, but only the holder of the write token handed out when
+the game was created can change it: the token goes in the X-Game-Token header.
+The referee (see referee.py) checks that a game's starting position can be read, so every
+saved game can be resumed, but moves are stored without replaying them.
+"""
+import logging
+import os
+import secrets
+import sqlite3
+import time
+from contextlib import closing
+
+from flask import Blueprint, Response, jsonify, request
+
+from referee import check_position
+
+logger = logging.getLogger(__name__)
+
+games_bp = Blueprint("games", __name__)
+
+# Constants
+DATABASE_PATH = os.environ.get("GAMES_DATABASE", "games.db")
+MIN_DIMENSIONS = 3  # The dimensions the client plays in (see MAX_DIMENSIONS in static/n_dimensional_chess.js)
+MAX_DIMENSIONS = 6
+RESULTS = ("1-0", "0-1", "1/2-1/2")
+TERMINATIONS = (  # Reasons a game ends, as the client names them (see NDChessEngine.isGameOver)
+    "checkmate",
+    "timeout",
+    "resignation",
+    "stalemate",
+    "threefold-repetition",
+    "fifty-move-rule",
+    "insufficient-material",
+    "agreement",
+)
+MAX_NOTATION_LENGTH = 200
+RECORD_LINE_LENGTH = 80
+
+SCHEMA = """
+CREATE TABLE IF NOT EXISTS games (
+    id TEXT PRIMARY KEY,
+    position TEXT NOT NULL,
+    dimensions INTEGER NOT NULL,
+    topology TEXT NOT NULL,
+    fatigue INTEGER NOT NULL,
+    hypercastling INTEGER NOT NULL,
+    promotion_zone TEXT NOT NULL,
+    result TEXT,
+    termination TEXT,
+    token TEXT NOT NULL,
+    created REAL NOT NULL,
+    updated REAL NOT NULL
+);
+CREATE TABLE IF NOT EXISTS moves (
+    game_id TEXT NOT NULL REFERENCES games (id),
+    ply INTEGER NOT NULL,
+    notation TEXT NOT NULL,
+    PRIMARY KEY (game_id, ply)
+);
+"""
+
+
+def connect():
+    connection = sqlite3.connect(DATABASE_PATH, timeout=10)
+    connection.row_factory = sqlite3.Row
+    return connection
+
+
+def init_database():
+    """Create the tables on first run."""
+    with closing(connect()) as db, db:
+        db.executescript(SCHEMA)
+    logger.info(f"Saving games to {DATABASE_PATH}")
+
+
+def position_settings(position):
+    """The board settings a position string carries in its dimensions and rules fields.
+    Raises ValueError when the string isn't a position."""
+    fields = position.split()
+    if len(fields) not in (7, 8):
+        raise ValueError(f"A position needs 7 or 8 fields, found {len(fields)}")
+
+    count, _, topology = fields[0].partition(":")
+    if not count.isdigit() or int(count) < 1:
+        raise ValueError(f"Invalid dimension count: {count}")
+    if not MIN_DIMENSIONS <= int(count) <= MAX_DIMENSIONS:
+        raise ValueError(f"Games have between {MIN_DIMENSIONS} and {MAX_DIMENSIONS} dimensions, not {count}")
+
+    rules = fields[5]
+    return {
+        "dimensions": int(count),
+        "topology": topology,
+        "fatigue": "F" in rules,
+        "hypercastling": "H" in rules,
+        "promotionZone": "base-slice" if "S" in rules else "back-rank",
+    }
+
+
+def error_response(message, status):
+    return jsonify({"error": message}), status
+
+
+def load_game(db, game_id):
+    """The game as the API returns it, or None if there's no such game."""
+    row = db.execute("SELECT * FROM games WHERE id = ?", (game_id,)).fetchone()
+    if row is None:
+        return None
+
+    moves = db.execute("SELECT notation FROM moves WHERE game_id = ? ORDER BY ply", (game_id,)).fetchall()
+    return {
+        "id": row["id"],
+        "position": row["position"],
+        "dimensions": row["dimensions"],
+        "topology": row["topology"],
+        "fatigue": bool(row["fatigue"]),
+        "hypercastling": bool(row["hypercastling"]),
+        "promotionZone": row["promotion_zone"],
+        "moves": [move["notation"] for move in moves],
+        "result": row["result"],
+        "termination": row["termination"],
+        "created": row["created"],
+        "updated": row["updated"],
+    }
+
+
+def check_token(db, game_id):
+    """An error response unless the game exists and the request carries its write token, else None."""
+    row = db.execute("SELECT token FROM games WHERE id = ?", (game_id,)).fetchone()
+    if row is None:
+        return error_response("No game has that ID", 404)
+
+    token = request.headers.get("X-Game-Token") or ""
+    if not secrets.compare_digest(row["token"], token):
+        return error_response("Only the game's owner can change it", 403)
+    return None
+
+
+def reopen_game(db, game_id):
+    """Mark a game as changed; changing its moves undoes any result it had."""
+    db.execute("UPDATE games SET result = NULL, termination = NULL, updated = ? WHERE id = ?", (time.time(), game_id))
+
+
+def escape_tag(value):
+    return value.replace("\\", "\\\\").replace('"', '\\"')
+
+
+def format_record(game):
+    """Write a game as a PGN-style record, with the tags formatGameRecord writes in the client.
+    The starting position always goes in the FEN tag, since the server can't tell a standard one."""
+    variants = []
+    if game["hypercastling"]:
+        variants.append("Hypercastling")
+    if game["promotionZone"] == "base-slice":
+        variants.append("Base-Slice Promotion")
+
+    result = game["result"] or "*"
+    tags = [
+        ("Event", "N-Dimensional Chess Game"),
+        ("Site", request.host),
+        ("Date", time.strftime("%Y.%m.%d", time.localtime(game["created"]))),
+        ("White", "?"),
+        ("Black", "?"),
+        ("Result", result),
+        ("Dimensions", str(game["dimensions"])),
+        ("Fatigue", "On" if game["fatigue"] else "Off"),
+        ("Variant", ", ".join(variants) or "Standard"),
+    ]
+    if game["topology"]:
+        tags.append(("Topology", game["topology"]))
+    if game["termination"]:
+        tags.append(("Termination", game["termination"]))
+    tags += [("SetUp", "1"), ("FEN", game["position"])]
+
+    tag_lines = [f'[{name} "{escape_tag(value)}"]' for name, value in tags]
+
+    # Number the moves, starting with "1..." if Black moved first
+    tokens = []
+    white_to_move = game["position"].split()[2] != "b"
+    move_number = 1
+    for index, notation in enumerate(game["moves"]):
+        if white_to_move:
+            tokens.append(f"{move_number}.")
+        elif index == 0:
+            tokens.append(f"{move_number}...")
+        tokens.append(notation)
+        if not white_to_move:
+            move_number += 1
+        white_to_move = not white_to_move
+    tokens.append(result)
+
+    # Wrap the move text at 80 characters
+    lines = []
+    line = ""
+    for token in tokens:
+        if line and len(line) + len(token) + 1 > RECORD_LINE_LENGTH:
+            lines.append(line)
+            line = token
+        else:
+            line = f"{line} {token}" if line else token
+    lines.append(line)
+
+    return "\n".join(tag_lines) + "\n\n" + "\n".join(lines) + "\n"
+
+
+@games_bp.route("/api/games", methods=["POST"])
+def create_game():
+    """Start saving a game from its starting position, handing back the token that lets the caller change it."""
+    data = request.get_json(silent=True) or {}
+    position = " ".join(str(data.get("position") or "").split())
+    try:
+        settings = position_settings(position)
+        check_position(position)
+    except ValueError as e:
+        return error_response(str(e), 400)
+    except RuntimeError as e:
+        logger.error(f"Saving a game: {e}")
+        return error_response("Games can't be saved right now", 503)
+
+    game_id = secrets.token_urlsafe(8)
+    token = secrets.token_urlsafe(16)
+    now = time.time()
+    with closing(connect()) as db, db:
+        db.execute(
+            "INSERT INTO games (id, position, dimensions, topology, fatigue, hypercastling, promotion_zone, token, created, updated)"
+            " VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+            (game_id, position, settings["dimensions"], settings["topology"], settings["fatigue"],
+             settings["hypercastling"], settings["promotionZone"], token, now, now),
+        )
+        game = load_game(db, game_id)
+    logger.info(f"Saving game {game_id} ({settings['dimensions']}D)")
+
+    return jsonify({**game, "token": token}), 201
+
+
+@games_bp.route("/api/games/<game_id>", methods=["GET"])
+def get_game(game_id):
+    with closing(connect()) as db:
+        game = load_game(db, game_id)
+    if game is None:
+        return error_response("No game has that ID", 404)
+    return jsonify(game)
+
+
+@games_bp.route("/api/games/<game_id>/moves", methods=["POST"])
+def save_move(game_id):
+    """Save the move played at a ply. A ply before the end replaces the moves from there on,
+    as when a move is played after taking moves back."""
+    data = request.get_json(silent=True) or {}
+    move = str(data.get("move") or "").strip()
+    ply = data.get("ply")
+    if not move or len(move) > MAX_NOTATION_LENGTH:
+        return error_response("No move given", 400)
+    if not isinstance(ply, int) or isinstance(ply, bool) or ply < 0:
+        return error_response("A move needs its ply", 400)
+
+    with closing(connect()) as db, db:
+        denied = check_token(db, game_id)
+        if denied:
+            return denied
+
+        count = db.execute("SELECT COUNT(*) FROM moves WHERE game_id = ?", (game_id,)).fetchone()[0]
+        if ply > count:
+            return error_response(f"The game is at move {count}, not {ply}", 409)
+
+        db.execute("DELETE FROM moves WHERE game_id = ? AND ply >= ?", (game_id, ply))
+        db.execute("INSERT INTO moves (game_id, ply, notation) VALUES (?, ?, ?)", (game_id, ply, move))
+        reopen_game(db, game_id)
+
+    return jsonify({"ply": ply})
+
+
+@games_bp.route("/api/games/<game_id>/moves/<int:ply>", methods=["DELETE"])
+def take_back_moves(game_id, ply):
+    """Take back the moves from a ply on."""
+    with closing(connect()) as db, db:
+        denied = check_token(db, game_id)
+        if denied:
+            return denied
+
+        db.execute("DELETE FROM moves WHERE game_id = ? AND ply >= ?", (game_id, ply))
+        reopen_game(db, game_id)
+
+    return jsonify({"ply": ply})
+
+
+@games_bp.route("/api/games/<game_id>/result", methods=["POST"])
+def save_result(game_id):
+    """Record how a game ended (1-0, 0-1 or 1/2-1/2, and which of TERMINATIONS ended it),
+    or a null result to reopen it."""
+    data = request.get_json(silent=True) or {}
+    result = data.get("result")
+    termination = data.get("termination") or None
+    if result is not None and result not in RESULTS:
+        return error_response("A result is 1-0, 0-1 or 1/2-1/2", 400)
+    if termination is not None and termination not in TERMINATIONS:
+        return error_response(f"A game ends by {', '.join(TERMINATIONS)}", 400)
+
+    with closing(connect()) as db, db:
+        denied = check_token(db, game_id)
+        if denied:
+            return denied
+
+        db.execute(
+            "UPDATE games SET result = ?, termination = ?, updated = ? WHERE id = ?",
+            (result, termination if result else None, time.time(), game_id),
+        )
+
+    return jsonify({"result": result})
+
+
+@games_bp.route("/api/games/<game_id>/pgn", methods=["GET"])
+def get_game_record(game_id):
+    """The game as a PGN-style record."""
+    with closing(connect()) as db:
+        game = load_game(db, game_id)
+    if game is None:
+        return error_response("No game has that ID", 404)
+
+    return Response(format_record(game), mimetype="application/x-chess-pgn")
@@ -3,6 +3,9 @@ import os
 import requests
 import logging
 
+from games import games_bp, init_database
+from rooms import rooms_bp
+
 # Configure logging
 logging.basicConfig(level=logging.DEBUG)
 logger = logging.getLogger(__name__)
@@ -41,6 +44,13 @@ else:
 app = Flask(__name__, static_folder=STATIC_DIR, template_folder=TEMPLATES_DIR)
 app.secret_key = os.environ.get("SESSION_SECRET", "default_secret_key")
 
+# Online game rooms: the lobby and each room's event channel
+app.register_blueprint(rooms_bp)
+
+# Saved games, so a game can be resumed after a reload
+app.register_blueprint(games_bp)
+init_database()
+
 @app.route("/")
 def landing():
     return render_template("landing.html")
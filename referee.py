@@ -0,0 +1,48 @@
+"""
+The rules referee for the server: scripts/referee.mjs, run with Node.js, checks positions and
+moves with the same engine and notation the clients play with. Rooms have it judge each move,
+and saved games have it check the position they start from.
+"""
+import json
+import os
+import subprocess
+
+# Constants
+NODE_BINARY = os.environ.get("NODE_BINARY", "node")
+REFEREE_SCRIPT = os.path.join(os.path.dirname(os.path.abspath(__file__)), "scripts", "referee.mjs")
+REFEREE_TIMEOUT_SECONDS = 10
+
+
+def ask_referee(question):
+    """Send the referee a question and return its verdict. Raises ValueError when the referee
+    rejects the position or a move, and RuntimeError when it can't run."""
+    try:
+        completed = subprocess.run(
+            [NODE_BINARY, REFEREE_SCRIPT],
+            input=json.dumps(question),
+            capture_output=True,
+            text=True,
+            timeout=REFEREE_TIMEOUT_SECONDS,
+        )
+        verdict = json.loads(completed.stdout)
+    except (OSError, subprocess.TimeoutExpired, ValueError) as e:
+        raise RuntimeError(f"The referee failed: {e}") from e
+
+    if "error" in verdict:
+        raise ValueError(verdict["error"])
+    return verdict
+
+
+def judge_move(position, moves, move):
+    """Have the referee check a move after the moves already played from a position.
+    Returns (notation, result): the move in the engine's notation, and the result it ended the
+    game with or None. Raises ValueError for an illegal move, and RuntimeError when the referee
+    can't run."""
+    verdict = ask_referee({"position": position, "moves": moves, "move": move})
+    return verdict["move"], verdict["result"]
+
+
+def check_position(position):
+    """Have the referee check that a position string can be read and played from.
+    Raises ValueError when it can't, and RuntimeError when the referee can't run."""
+    ask_referee({"position": position})
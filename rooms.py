@@ -0,0 +1,371 @@
+"""
+Game rooms for online two-player N-Dimensional Chess.
+
+A room holds one game and two seats, white and black. Players find rooms in the lobby,
+take a seat, and follow the room's channel: a server-sent event stream that replays
+everything that has happened in the room and then relays each move as it is posted.
+Spectators follow the same channel without a seat, and the room counts them, sending
+the count to each stream as it changes rather than logging it with the moves. Players
+can also resign, and offer or accept a draw, which the channel relays like moves.
+Moves travel as the client's move notation (see static/nd_notation.js); the server
+keeps them in order, checks that each comes from the seat whose turn it is, and has
+the referee (see referee.py) check it with the clients' own engine, which also tells the server
+when a move ends the game. Running the referee needs Node.js on the server.
+
+Rooms live in memory, so the app must run as a single process, with threads to hold
+the open event streams (gunicorn --threads). Each open stream holds a thread, so the
+number of streams is capped below the thread count, leaving threads for requests.
+"""
+import json
+import logging
+import secrets
+import threading
+import time
+
+from flask import Blueprint, Response, jsonify, request
+
+from referee import check_position, judge_move
+
+logger = logging.getLogger(__name__)
+
+rooms_bp = Blueprint("rooms", __name__)
+
+# Constants
+COLORS = ("white", "black")
+ACTIONS = ("resign", "offer-draw", "accept-draw")
+ROOM_IDLE_SECONDS = 2 * 60 * 60  # Rooms without a move or a new player for this long are closed
+STREAM_HEARTBEAT_SECONDS = 15  # Comment lines sent on quiet streams, so proxies keep them open
+MAX_STREAMS = 24  # Open event streams, each holding one of gunicorn's 32 threads (see .replit)
+MAX_SPECTATOR_STREAMS = 16  # Streams spectators may hold, so players can always follow their rooms
+MAX_ROOM_SPECTATORS = 8
+MAX_NAME_LENGTH = 40
+MAX_NOTATION_LENGTH = 200
+
+rooms = {}  # Open rooms keyed by room ID
+rooms_lock = threading.Lock()
+open_streams = {"players": 0, "spectators": 0}  # Event streams being served, guarded by rooms_lock
+
+
+class Room:
+    """A game between two seats, with the log of events its channel streams."""
+
+    def __init__(self, name, position):
+        self.id = secrets.token_urlsafe(6)
+        self.name = name
+        self.position = position  # Position string the game starts from
+        self.seats = {color: None for color in COLORS}  # Seat tokens, None while a seat is free
+        self.events = []  # Everything that happened, in order; an event's ID is its index
+        self.spectators = 0  # Open spectator streams
+        self.draw_offer = None  # Color whose draw offer stands, until the other side moves
+        self.over = False  # Set once the referee finds a move ended the game, a player resigns or a draw is agreed
+        self.condition = threading.Condition()
+        self.touched = time.time()
+
+    def starting_color(self):
+        """The side to move in the starting position (its third field)."""
+        fields = self.position.split()
+        return "black" if len(fields) > 2 and fields[2] == "b" else "white"
+
+    def moves(self):
+        return [event for event in self.events if event["type"] == "move"]
+
+    def color_to_move(self):
+        starting = self.starting_color()
+        if len(self.moves()) % 2 == 0:
+            return starting
+        return "black" if starting == "white" else "white"
+
+    def seat_of(self, token):
+        for color, seat_token in self.seats.items():
+            if token and seat_token == token:
+                return color
+        return None
+
+    def add_event(self, event):
+        """Log an event and wake every stream waiting on the room. Call with the condition held."""
+        self.events.append(event)
+        self.touched = time.time()
+        self.condition.notify_all()
+
+    def summary(self):
+        """The room as the lobby lists it."""
+        return {
+            "id": self.id,
+            "name": self.name,
+            "dimensions": int(self.position.split()[0].split(":")[0]),
+            "seats": {color: token is not None for color, token in self.seats.items()},
+            "moves": len(self.moves()),
+            "spectators": self.spectators,
+            "over": self.over,
+        }
+
+
+def close_idle_rooms():
+    """Forget rooms nobody has played in for a while."""
+    cutoff = time.time() - ROOM_IDLE_SECONDS
+    with rooms_lock:
+        for room_id in [room_id for room_id, room in rooms.items() if room.touched < cutoff]:
+            logger.info(f"Closing idle room {room_id}")
+            del rooms[room_id]
+
+
+def get_room(room_id):
+    with rooms_lock:
+        return rooms.get(room_id)
+
+
+def error_response(message, status):
+    return jsonify({"error": message}), status
+
+
+def open_stream(room, spectating):
+    """Reserve a thread for an event stream, counting spectators in the room.
+    Returns False when too many streams are open already."""
+    with rooms_lock:
+        if open_streams["players"] + open_streams["spectators"] >= MAX_STREAMS:
+            return False
+        if spectating and (open_streams["spectators"] >= MAX_SPECTATOR_STREAMS or room.spectators >= MAX_ROOM_SPECTATORS):
+            return False
+        open_streams["spectators" if spectating else "players"] += 1
+        if spectating:
+            count_spectator(room, 1)
+    return True
+
+
+def close_stream(room, spectating):
+    """Give back a stream's thread once the response has closed."""
+    with rooms_lock:
+        open_streams["spectators" if spectating else "players"] -= 1
+        if spectating:
+            count_spectator(room, -1)
+
+
+def count_spectator(room, change):
+    """Wake the room's streams to send the new count, without logging an event or keeping the room open."""
+    with room.condition:
+        room.spectators += change
+        room.condition.notify_all()
+
+
+def take_seat(room, color=None, token=None):
+    """Give a player a seat: back the one their token holds, else the color asked for or any free one.
+    Returns (color, token), or (None, None) when no such seat is free."""
+    with room.condition:
+        held = room.seat_of(token)
+        if held:
+            return held, token
+
+        free = [seat for seat in COLORS if room.seats[seat] is None and color in (None, seat)]
+        if not free:
+            return None, None
+
+        seat = free[0]
+        room.seats[seat] = secrets.token_urlsafe(16)
+        room.add_event({"type": "seat", "color": seat})
+        return seat, room.seats[seat]
+
+
+@rooms_bp.route("/api/rooms", methods=["GET"])
+def list_rooms():
+    """The lobby: every open room, newest first."""
+    close_idle_rooms()
+    with rooms_lock:
+        open_rooms = sorted(rooms.values(), key=lambda room: room.touched, reverse=True)
+    return jsonify({"rooms": [room.summary() for room in open_rooms]})
+
+
+@rooms_bp.route("/api/rooms", methods=["POST"])
+def create_room():
+    """Open a room from a starting position, seating its creator at the color they chose."""
+    data = request.get_json(silent=True) or {}
+    position = str(data.get("position") or "").strip()
+    name = str(data.get("name") or "").strip()[:MAX_NAME_LENGTH] or "N-Dimensional Chess"
+    color = data.get("color")
+
+    if not position:
+        return error_response("A room needs a starting position", 400)
+    if color not in COLORS:
+        return error_response("Choose white or black", 400)
+
+    # A position the referee can't read would have every move refused
+    try:
+        check_position(position)
+    except ValueError as e:
+        return error_response(str(e), 400)
+    except RuntimeError as e:
+        logger.error(f"Opening a room: {e}")
+        return error_response("Rooms can't be opened right now", 503)
+
+    close_idle_rooms()
+    room = Room(name, position)
+    with rooms_lock:
+        rooms[room.id] = room
+    logger.info(f"Opened room {room.id} ({name})")
+
+    seat, token = take_seat(room, color)
+    return jsonify({"room": room.summary(), "position": room.position, "color": seat, "token": token}), 201
+
+
+@rooms_bp.route("/api/rooms/<room_id>", methods=["GET"])
+def get_room_details(room_id):
+    """A room and the position it started from, for spectators to follow it from."""
+    room = get_room(room_id)
+    if room is None:
+        return error_response("That room has closed", 404)
+    return jsonify({"room": room.summary(), "position": room.position})
+
+
+@rooms_bp.route("/api/rooms/<room_id>/join", methods=["POST"])
+def join_room(room_id):
+    """Take a seat in a room, or take back the one a seat token holds."""
+    room = get_room(room_id)
+    if room is None:
+        return error_response("That room has closed", 404)
+
+    data = request.get_json(silent=True) or {}
+    color = data.get("color")
+    if color is not None and color not in COLORS:
+        return error_response("Choose white or black", 400)
+
+    seat, token = take_seat(room, color, data.get("token"))
+    if seat is None:
+        return error_response("That seat is taken" if color else "Both seats are taken", 409)
+
+    return jsonify({"room": room.summary(), "position": room.position, "color": seat, "token": token})
+
+
+@rooms_bp.route("/api/rooms/<room_id>/moves", methods=["POST"])
+def post_move(room_id):
+    """Relay a move to the room, if it comes from the seat to move, follows the moves already played
+    and is legal. The referee also says whether it ended the game (checkmate, stalemate or a draw rule)."""
+    room = get_room(room_id)
+    if room is None:
+        return error_response("That room has closed", 404)
+
+    data = request.get_json(silent=True) or {}
+    move = str(data.get("move") or "").strip()
+    if not move or len(move) > MAX_NOTATION_LENGTH:
+        return error_response("No move given", 400)
+
+    with room.condition:
+        color = room.seat_of(data.get("token"))
+        if color is None:
+            return error_response("Only seated players can move", 403)
+        if room.over:
+            return error_response("The game is over", 409)
+        if color != room.color_to_move():
+            return error_response(f"It is {room.color_to_move()}'s turn", 409)
+
+        ply = len(room.moves())
+        if data.get("ply") != ply:
+            return error_response(f"The game is at move {ply}, not {data.get('ply')}", 409)
+        played = [event["move"] for event in room.moves()]
+
+    # The referee takes a moment, so it runs without holding up the room's streams
+    try:
+        move, result = judge_move(room.position, played, move)
+    except ValueError as e:
+        return error_response(str(e), 422)
+    except RuntimeError as e:
+        logger.error(f"Room {room.id}: {e}")
+        return error_response("Moves can't be checked right now", 503)
+
+    with room.condition:
+        if room.over or len(room.moves()) != ply:
+            return error_response("The game moved on while the move was checked", 409)
+
+        # Moving instead of accepting turns down the opponent's draw offer
+        if room.draw_offer not in (None, color):
+            room.draw_offer = None
+        room.add_event({"type": "move", "color": color, "ply": ply, "move": move})
+        if result:
+            room.over = True
+
+    return jsonify({"ply": ply, "move": move, "result": result})
+
+
+@rooms_bp.route("/api/rooms/<room_id>/actions", methods=["POST"])
+def post_action(room_id):
+    """Resign, offer a draw, or accept the opponent's standing draw offer."""
+    room = get_room(room_id)
+    if room is None:
+        return error_response("That room has closed", 404)
+
+    data = request.get_json(silent=True) or {}
+    action = data.get("action")
+    if action not in ACTIONS:
+        return error_response("Choose resign, offer-draw or accept-draw", 400)
+
+    with room.condition:
+        color = room.seat_of(data.get("token"))
+        if color is None:
+            return error_response("Only seated players can do that", 403)
+        if room.over:
+            return error_response("The game is over", 409)
+
+        if action == "offer-draw":
+            room.draw_offer = color
+        elif action == "accept-draw":
+            if room.draw_offer in (None, color):
+                return error_response("There is no draw offer to accept", 409)
+            room.over = True
+        else:
+            room.over = True
+
+        room.add_event({"type": action, "color": color})
+
+    return jsonify({"action": action})
+
+
+@rooms_bp.route("/api/rooms/<room_id>/events")
+def room_events(room_id):
+    """The room's channel, as server-sent events. Each event's ID is its place in the room's log, so a
+    reconnecting EventSource picks up after the last event it saw (or from ?since=). Spectators
+    follow it with ?spectate=1, and each stream is told how many are watching whenever that changes,
+    in a message without an ID that isn't kept in the log. Streams are refused with a 503 once
+    too many are open."""
+    room = get_room(room_id)
+    if room is None:
+        return error_response("That room has closed", 404)
+
+    last_event_id = request.headers.get("Last-Event-ID")
+    try:
+        since = int(last_event_id) + 1 if last_event_id is not None else int(request.args.get("since", 0))
+    except ValueError:
+        since = 0
+
+    spectating = request.args.get("spectate") == "1"
+    if not open_stream(room, spectating):
+        return error_response("Too many games are being followed right now", 503)
+
+    def stream():
+        next_id = max(since, 0)
+        sent_spectators = None  # The count this stream last sent
+        while True:
+            with room.condition:
+                if len(room.events) <= next_id and room.spectators == sent_spectators:
+                    room.condition.wait(STREAM_HEARTBEAT_SECONDS)
+                pending = room.events[next_id:]
+                spectators = room.spectators
+
+            for event in pending:
+                yield f"id: {next_id}\ndata: {json.dumps(event)}\n\n"
+                next_id += 1
+
+            if spectators != sent_spectators:
+                yield f"data: {json.dumps({'type': 'spectators', 'count': spectators})}\n\n"
+                sent_spectators = spectators
+            elif not pending:
+                # Let the stream go once the room has closed
+                if get_room(room.id) is not room:
+                    return
+                yield ": keep-alive\n\n"
+
+    response = Response(
+        stream(),
+        mimetype="text/event-stream",
+        headers={"Cache-Control": "no-cache", "X-Accel-Buffering": "no"},
+    )
+    # The server closes the response once the client has gone, or the stream has ended
+    response.call_on_close(lambda: close_stream(room, spectating))
+    return response
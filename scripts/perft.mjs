@@ -0,0 +1,118 @@
+/**
+ * N-Dimensional Chess Perft Checks
+ *
+ * Counts legal move trees with static/nd_perft.js and compares them with known counts,
+ * so changes to move generation can't slip through unnoticed. Only the 2D counts are
+ * worked out independently of the engine; the others are regression snapshots, counts
+ * this engine produced that a change must not alter without explanation, and they say
+ * nothing about whether the engine was right when they were taken.
+ *
+ *   node scripts/perft.mjs                              Check the 2D, 3D, 4D and 6D starting positions,
+ *                                                       on infinite, toroidal, Klein-bottle and bounded boards
+ *   node scripts/perft.mjs <dimensions> <depth> [--divide]
+ *   node scripts/perft.mjs --position "<position string>" <depth> [--divide]
+ *
+ * The reference counts use the default rules (dimensional fatigue on, no hypercastling,
+ * back-rank promotion). The process exits with status 1 if any count differs.
+ */
+import { NDChessEngine } from '../static/nd_chess_engine.js';
+import { parsePosition, parseTopology } from '../static/nd_notation.js';
+import { perft, divide } from '../static/nd_perft.js';
+
+// Leaf counts of the standard starting position for each dimension count, board topology
+// (as written in position strings, infinite when left out) and depth.
+//
+// The 2D depth 1 count can be checked by hand. White's pieces stand on rank 0 of an infinite board
+// with its pawns in front of them, and fatigue limits rooks and bishops to 7 squares in 2D:
+//
+//   pawns    8 x 2  single and double step                              16
+//   knights  2 x 7  every leap but the one onto its own pawn             14
+//   king     3      the squares on the empty rank behind it               3
+//   rooks    2 x 14 7 outward along the back rank, 7 backward            28
+//   bishops  2 x 14 7 along each backward diagonal, the others blocked   28
+//   queen    21     7 backward and 7 along each backward diagonal        21
+//                                                                       ---
+//                                                                       110
+//
+// Move generation once listed every knight leap twice, once per ordering of its steps, giving 124.
+//
+// At depth 2 none of White's moves reaches a square that changes Black's moves: White's rooks, bishops,
+// queen and king only move away from Black, and its pawns and knights get no further than rank -3 or
+// -2, while Black's pieces can't come closer than rank -4. Black has the mirror image of White's 110
+// moves after each of them, 110 x 110 = 12100.
+//
+// Every other count is a snapshot of this engine's output, marked snapshot: true.
+const REFERENCE_COUNTS = [
+  { dimensions: 2, depth: 1, nodes: 110 },
+  { dimensions: 2, depth: 2, nodes: 12100 },
+  { dimensions: 3, depth: 1, nodes: 370, snapshot: true },
+  { dimensions: 3, depth: 2, nodes: 136868, snapshot: true },
+  { dimensions: 4, depth: 1, nodes: 2170, snapshot: true },
+  { dimensions: 6, depth: 1, nodes: 10981, snapshot: true },
+  { dimensions: 2, topology: 't8,t8', depth: 2, nodes: 2501, snapshot: true },
+  { dimensions: 2, topology: 't8,m10/1', depth: 2, nodes: 3444, snapshot: true },
+  { dimensions: 4, topology: 'b4,b4,b4,b4', depth: 2, nodes: 27760, snapshot: true }
+];
+
+// Create an engine in the standard starting position with the given number of dimensions and topology
+function createStartingEngine(dimensions, topology = '') {
+  const engine = new NDChessEngine({ dimensions: dimensions, topology: parseTopology(topology, dimensions) });
+  engine.setupStandardPosition();
+  return engine;
+}
+
+// Check every reference count, returning whether all of them matched
+function checkReferenceCounts() {
+  let passed = true;
+
+  for (const { dimensions, topology, depth, nodes, snapshot } of REFERENCE_COUNTS) {
+    const start = Date.now();
+    const counted = perft(createStartingEngine(dimensions, topology), depth);
+    const elapsed = Date.now() - start;
+
+    const ok = counted === nodes;
+    passed = passed && ok;
+    const board = topology ? ` (${topology})` : '';
+    console.log(`${ok ? 'ok  ' : 'FAIL'} ${dimensions}D${board} depth ${depth}: ${counted}` +
+      `${ok ? '' : ` (expected ${nodes}${snapshot ? ', a snapshot' : ''})`} in ${elapsed} ms`);
+  }
+
+  return passed;
+}
+
+// Count a single position, optionally broken down per root move
+function runPerft(engine, depth, showDivide) {
+  const start = Date.now();
+  let nodes;
+
+  if (showDivide) {
+    const results = divide(engine, depth);
+    results.forEach(({ notation, nodes }) => console.log(`${notation}: ${nodes}`));
+    nodes = results.reduce((sum, result) => sum + result.nodes, 0);
+    console.log(`\nMoves: ${results.length}`);
+  } else {
+    nodes = perft(engine, depth);
+  }
+
+  console.log(`Nodes: ${nodes} (depth ${depth}, ${Date.now() - start} ms)`);
+}
+
+const args = process.argv.slice(2);
+const showDivide = args.includes('--divide');
+const positionIndex = args.indexOf('--position');
+const numbers = args.filter((arg, index) => !arg.startsWith('--') && (positionIndex === -1 || index !== positionIndex + 1));
+
+try {
+  if (positionIndex !== -1) {
+    const engine = new NDChessEngine();
+    engine.loadPosition(parsePosition(args[positionIndex + 1] || ''));
+    runPerft(engine, parseInt(numbers[0] || '1'), showDivide);
+  } else if (numbers.length > 0) {
+    runPerft(createStartingEngine(parseInt(numbers[0])), parseInt(numbers[1] || '1'), showDivide);
+  } else {
+    process.exitCode = checkReferenceCounts() ? 0 : 1;
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
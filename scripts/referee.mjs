@@ -0,0 +1,59 @@
+/**
+ * N-Dimensional Chess Move Referee
+ *
+ * Checks a move for an online room, or a saved game's starting position (see referee.py),
+ * with the same engine and notation the clients play with. It reads the game as JSON on
+ * standard input:
+ *
+ *   { position, moves: [notation, ...], move }
+ *
+ * replays the moves already played from the starting position, and writes the verdict on
+ * the new move as JSON on standard output:
+ *
+ *   { move, result }   the move in the engine's own notation, and how it ended the game
+ *                      ({ winner, reason }, see NDChessEngine.isGameOver) or null
+ *   { error }          the move (or one played before it) can't be read or isn't legal
+ *
+ * Without a move, it only checks that the position can be read and the moves replayed,
+ * and the verdict is { result }, how the game stands after them.
+ */
+import { NDChessEngine } from '../static/nd_chess_engine.js';
+import { parsePosition, parseMove, notateMove } from '../static/nd_notation.js';
+import '../static/nd_fairy_pieces.js';
+
+// Judge a move after the moves already played from a starting position
+function judgeMove({ position, moves, move }) {
+  const engine = new NDChessEngine();
+  engine.loadPosition(parsePosition(String(position || '')));
+
+  (moves || []).forEach((notation, ply) => {
+    try {
+      engine.applyMove(parseMove(notation, engine));
+    } catch (error) {
+      throw new Error(`Move ${ply + 1} of the room can't be replayed: ${error.message}`);
+    }
+  });
+
+  if (move === undefined) {
+    return { result: engine.isGameOver() };
+  }
+  if (engine.isGameOver()) {
+    throw new Error('The game is over');
+  }
+
+  const record = engine.applyMove(parseMove(String(move || ''), engine));
+  return { move: notateMove(engine, record), result: engine.isGameOver() };
+}
+
+let input = '';
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', chunk => {
+  input += chunk;
+});
+process.stdin.on('end', () => {
+  try {
+    process.stdout.write(JSON.stringify(judgeMove(JSON.parse(input))));
+  } catch (error) {
+    process.stdout.write(JSON.stringify({ error: error.message }));
+  }
+});
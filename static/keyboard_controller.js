@@ -18,6 +18,10 @@ class KeyboardController {
     this.getSelectedPiece = config.getSelectedPiece || (() => null);
     this.getValidMoves = config.getValidMoves || (() => []);
     
+    // Optional move history controls
+    this.undoMove = config.undoMove || null;
+    this.redoMove = config.redoMove || null;
+    
     // Optional dimension controls
     this.toggleDimension = config.toggleDimension || null;
     this.changeSlice = config.changeSlice || null;
@@ -65,6 +69,9 @@ class KeyboardController {
   }
   
   handleKeyDown(event) {
+    // Leave keys typed into form fields (such as the piece lab's) to the field
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+    
     // Record key state
     this.keys[event.key] = true;
     
@@ -220,6 +227,26 @@ class KeyboardController {
   }
   
   handleKeypressActions(event) {
+    // Ctrl+Z to undo, Ctrl+Y or Ctrl+Shift+Z to redo (Cmd on macOS)
+    if ((event.ctrlKey || event.metaKey) && (this.undoMove || this.redoMove)) {
+      const key = event.key.toLowerCase();
+      const isRedo = key === 'y' || (key === 'z' && event.shiftKey);
+      
+      if (key === 'z' || key === 'y') {
+        event.preventDefault();
+        
+        // Don't let the shortcut's Z key keep zooming in
+        delete this.keys[event.key];
+        
+        if (isRedo && this.redoMove) {
+          this.redoMove();
+        } else if (!isRedo && this.undoMove) {
+          this.undoMove();
+        }
+        return;
+      }
+    }
+    
     // Space to select/deselect
     if (event.key === ' ' || event.key === 'Enter') {
       this.selectAtCursor();
@@ -332,6 +359,8 @@ class KeyboardController {
           
           <h5>Other Controls</h5>
           <ul class="list-unstyled">
+            <li><kbd>Ctrl</kbd>+<kbd>Z</kbd> - Undo move</li>
+            <li><kbd>Ctrl</kbd>+<kbd>Y</kbd> - Redo move</li>
             <li><kbd>?</kbd> - Show/hide this help</li>
           </ul>
         </div>
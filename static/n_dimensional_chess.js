@@ -9,6 +9,49 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'OrbitControls';
 import { KeyboardController } from 'KeyboardController';
+import {
+  NDChessEngine,
+  PIECE_TYPES,
+  PIECE_COLORS,
+  PROMOTION_ZONES,
+  TOPOLOGY_TYPES,
+  PAWN_FORWARD_DIMENSION,
+  PIECE_DEFINITIONS,
+  definePiece,
+  removePieceDefinition,
+  getPieceDefinition,
+  oppositeColor
+} from 'NDChessEngine';
+import { FAIRY_PIECE_TYPES } from 'NDFairyPieces';
+import {
+  notateMove,
+  parseMove,
+  serializePosition,
+  parsePosition,
+  resultTag,
+  formatGameRecord,
+  parseGameRecord,
+  createEngineForRecord,
+  loadGameRecord
+} from 'NDNotation';
+import { DIFFICULTY_LEVELS } from 'NDChessAI';
+import { analyzePosition, pieceValue } from 'NDEvaluation';
+import {
+  listRooms,
+  fetchRoom,
+  createRoom,
+  joinRoom,
+  sendMove,
+  sendAction,
+  followRoom,
+  createGame,
+  gameToken,
+  fetchGameRecord,
+  saveMove,
+  takeBackMoves,
+  saveResult
+} from 'NDOnline';
+import { NDChessClock, CLOCK_MODES, LOW_TIME, formatClockTime } from 'NDClock';
 
 // Constants
 const TILE_SIZE = 1.0;
@@ -142,66 +185,174 @@ const DIMENSION_COLORS = [
   0x00ffff, // Cyan - 6th dimension
 ];
 
-// Piece types and colors
-const PIECE_TYPES = {
-  PAWN: 'pawn',
-  ROOK: 'rook',
-  KNIGHT: 'knight',
-  BISHOP: 'bishop',
-  QUEEN: 'queen',
-  KING: 'king',
-  HYPERROOK: 'hyperrook',
-  HYPERBISHOP: 'hyperbishop',
-  HYPERKNIGHT: 'hyperknight'
+// How each way of drawing the game is announced
+const DRAW_DESCRIPTIONS = {
+  'stalemate': {
+    title: "Stalemate",
+    text: turnName => `${turnName} has no legal moves in any dimension. The game is drawn.`
+  },
+  'threefold-repetition': {
+    title: "Threefold Repetition",
+    text: () => "The same position has occurred three times with the same player to move. The game is drawn."
+  },
+  'fifty-move-rule': {
+    title: "Fifty-Move Rule",
+    text: () => "Fifty moves each have passed without a capture or a pawn move. The game is drawn."
+  },
+  'insufficient-material': {
+    title: "Insufficient Material",
+    text: () => "Neither side has enough material left to checkmate in any dimension. The game is drawn."
+  },
+  'agreement': {
+    title: "Agreement",
+    text: () => "Both players agreed to a draw."
+  }
+};
+
+// Titles and explanations for each way a game can be won
+const WIN_DESCRIPTIONS = {
+  'checkmate': {
+    title: "Checkmate",
+    text: (winner, loser) => `Every escape for ${loser}'s king is covered. ${winner} wins.`
+  },
+  'timeout': {
+    title: "Out of Time",
+    text: (winner, loser) => `${loser}'s time has run out. ${winner} wins.`
+  },
+  'resignation': {
+    title: "Resignation",
+    text: (winner, loser) => `${loser} resigns. ${winner} wins.`
+  }
+};
+
+// Names of the time controls in the clock dialog, and what their extra seconds are called
+const CLOCK_MODE_LABELS = {
+  [CLOCK_MODES.SUDDEN_DEATH]: { label: 'Sudden death', extra: null },
+  [CLOCK_MODES.FISCHER]: { label: 'Fischer increment', extra: 'Increment per move (seconds)' },
+  [CLOCK_MODES.BRONSTEIN]: { label: 'Bronstein delay', extra: 'Delay per move (seconds)' }
 };
 
-const PIECE_COLORS = {
-  WHITE: 'white',
-  BLACK: 'black'
+// Names of the dimension shapes in the topology dialog
+const TOPOLOGY_LABELS = {
+  [TOPOLOGY_TYPES.INFINITE]: 'Infinite',
+  [TOPOLOGY_TYPES.BOUNDED]: 'Bounded',
+  [TOPOLOGY_TYPES.TORUS]: 'Wraps (torus)',
+  [TOPOLOGY_TYPES.TWISTED]: 'Wraps mirrored'
 };
 
-// Mathematical complexity constants
-const COMPLEXITY_WEIGHTS = {
-  DIMENSIONS: 5,    // Weight for number of dimensions used
-  DISTANCE: 0.5,    // Weight for move distance
-  PIECE_TYPE: {     // Base complexity values for different piece types
-    [PIECE_TYPES.PAWN]: 1,
-    [PIECE_TYPES.KNIGHT]: 3,
-    [PIECE_TYPES.BISHOP]: 3,
-    [PIECE_TYPES.ROOK]: 3,
-    [PIECE_TYPES.QUEEN]: 5,
-    [PIECE_TYPES.KING]: 2,
-    [PIECE_TYPES.HYPERROOK]: 7,
-    [PIECE_TYPES.HYPERBISHOP]: 8,
-    [PIECE_TYPES.HYPERKNIGHT]: 9
+// Board shapes offered as presets in the topology dialog
+const TOPOLOGY_PRESETS = [
+  { label: 'Infinite', dimensions: 3, topology: [] },
+  {
+    label: 'Cylinder 8×8',
+    dimensions: 3,
+    topology: [
+      { type: TOPOLOGY_TYPES.TORUS, size: 8 },
+      { type: TOPOLOGY_TYPES.BOUNDED, size: 8 },
+      { type: TOPOLOGY_TYPES.BOUNDED, size: 1 }
+    ]
+  },
+  {
+    // Two more ranks than a chessboard: on an 8×8 torus the back ranks face each other two ranks apart across the seam
+    label: 'Toroidal 8×10',
+    dimensions: 3,
+    topology: [
+      { type: TOPOLOGY_TYPES.TORUS, size: 8 },
+      { type: TOPOLOGY_TYPES.TORUS, size: 10 },
+      { type: TOPOLOGY_TYPES.BOUNDED, size: 1 }
+    ]
+  },
+  {
+    // Crossing the side edges mirrors the rank, so a piece leaving White's side reappears on Black's
+    label: 'Möbius Strip 8×8',
+    dimensions: 3,
+    topology: [
+      { type: TOPOLOGY_TYPES.TWISTED, size: 8, mirror: 1 },
+      { type: TOPOLOGY_TYPES.BOUNDED, size: 8 },
+      { type: TOPOLOGY_TYPES.BOUNDED, size: 1 }
+    ]
+  },
+  {
+    label: 'Klein Bottle 8×10',
+    dimensions: 3,
+    topology: [
+      { type: TOPOLOGY_TYPES.TORUS, size: 8 },
+      { type: TOPOLOGY_TYPES.TWISTED, size: 10, mirror: 0 },
+      { type: TOPOLOGY_TYPES.BOUNDED, size: 1 }
+    ]
+  },
+  {
+    label: 'Projective Plane 8×10',
+    dimensions: 3,
+    topology: [
+      { type: TOPOLOGY_TYPES.TWISTED, size: 8, mirror: 1 },
+      { type: TOPOLOGY_TYPES.TWISTED, size: 10, mirror: 0 },
+      { type: TOPOLOGY_TYPES.BOUNDED, size: 1 }
+    ]
   },
-  CAPTURE: 2,       // Additional complexity for captures
-  DIMENSIONAL_SHIFT: 10,  // Complexity bonus for moving through higher dimensions
-  RISK: 1.5         // Weight for moving into threatened positions
+  { label: 'Bounded 8×8×8', dimensions: 3, topology: Array(3).fill({ type: TOPOLOGY_TYPES.BOUNDED, size: 8 }) },
+  { label: '4×4×4×4 Hyperchess', dimensions: 4, topology: Array(4).fill({ type: TOPOLOGY_TYPES.BOUNDED, size: 4 }) }
+];
+
+// Base shapes a custom piece can take in the piece lab, with the height each stands
+const PIECE_LAB_GEOMETRIES = {
+  dodecahedron: { label: 'Dodecahedron', height: 0.7, build: () => new THREE.DodecahedronGeometry(0.28) },
+  icosahedron: { label: 'Icosahedron', height: 0.7, build: () => new THREE.IcosahedronGeometry(0.28) },
+  octahedron: { label: 'Octahedron', height: 0.9, build: () => new THREE.OctahedronGeometry(0.3) },
+  tetrahedron: { label: 'Tetrahedron', height: 0.8, build: () => new THREE.TetrahedronGeometry(0.3) },
+  box: { label: 'Box', height: 0.6, build: () => new THREE.BoxGeometry(0.3, 0.6, 0.3) },
+  prism: { label: 'Hexagonal Prism', height: 0.7, build: () => new THREE.CylinderGeometry(0.2, 0.2, 0.7, 6) },
+  cylinder: { label: 'Cylinder', height: 0.7, build: () => new THREE.CylinderGeometry(0.2, 0.2, 0.7, 16) },
+  cone: { label: 'Cone', height: 0.8, build: () => new THREE.ConeGeometry(0.22, 0.8, 16) },
+  sphere: { label: 'Sphere', height: 0.5, build: () => new THREE.SphereGeometry(0.25, 16, 16) },
+  torus: { label: 'Torus', height: 0.7, build: () => new THREE.TorusGeometry(0.18, 0.07, 8, 16) },
+  knot: { label: 'Torus Knot', height: 0.7, build: () => new THREE.TorusKnotGeometry(0.15, 0.05, 48, 8) }
 };
 
+// localStorage key the piece lab saves custom piece definitions under
+const CUSTOM_PIECES_STORAGE_KEY = 'ndChessCustomPieces';
+
 // Game state variables
 let scene, camera, renderer, controls, raycaster, mouse;
 let activeDimensions = [0, 1, 2]; // Default active dimensions (first three)
 let viewDimensions = [0, 1, 2]; // Which dimensions to visualize (X, Z, Y by default)
 let dimensionalFatigue = true; // Whether to apply dimensional fatigue mechanic
+let promotionZone = PROMOTION_ZONES.BACK_RANK; // Which hyperplane pawns promote on
+let hypercastling = false; // Whether kings may castle with rooks in other higher-dimensional slices
 let board = {}; // Dictionary to store board tiles keyed by coordinate tuples
 let pieces = {}; // Dictionary to store pieces keyed by coordinate tuples
+let engine; // Headless rules engine holding the authoritative game state
 let selectedPiece = null;
 let validMoves = [];
-let currentTurn = PIECE_COLORS.WHITE;
+let selectedMoves = []; // Engine move objects for the selected piece (validMoves holds their destinations)
+let moveList = []; // Notation for every move played, including undone moves that can still be redone
+let gameStartPosition = null; // Position string the game started from, for replaying and saving it
 let lastCameraPosition = { x: 0, y: 0, z: 0 };
 let moveSound, captureSound;
-let capturedPieces = {
-  [PIECE_COLORS.WHITE]: [],
-  [PIECE_COLORS.BLACK]: []
-};
 let moveHighlights = [];
 let visualizationControls = {
   sliceCoordinates: Array(MAX_DIMENSIONS).fill(0) // For visualizing specific slices
 };
-let totalComplexityScore = 0;
 let lastMoveComplexity = 0;
+let gameResult = null; // { winner, reason } once the game has ended
+let drawOffer = null; // { color, ply } for a draw offer made at a ply, which stands until the other side moves
+let computerColor = null; // Color played by the computer opponent, or null for two human players
+let computerDifficulty = 'medium'; // Key into DIFFICULTY_LEVELS
+let computerWorker = null; // Web Worker running the computer's search
+let computerSearch = null; // { id, position } of the search we're waiting for
+let computerSearchCount = 0;
+let evaluationWorker = null; // Web Worker analyzing positions for the evaluation bar
+let evaluationCount = 0; // ID of the latest position sent to the evaluation worker
+let customPieces = []; // Definitions of the custom pieces saved from the piece lab
+let pieceLab = null; // { type, square, preview } while the piece lab is open
+let setupEditor = null; // { engine } holding the setup being edited while the position editor is open (moves wait until it closes)
+let onlineRoom = null; // { id, name, color, token, opponentSeated, spectators, source } in an online room (color null when watching)
+let savedGame = null; // { id, token, position, moves, result } mirroring the server's copy of the game, from its first move on
+let saveQueue = Promise.resolve(); // Saves to the server, made one after another
+let unsavableStart = null; // Starting position of a game that can't be saved, once the player has been told
+let clockSettings = null; // NDChessClock options for the time control chosen, or null to play without a clock
+let clock = null; // The game's NDChessClock, when playing with a time control
+let clockPly = 0; // Moves played when the clock last caught up with the game
 
 // HTML element references
 let positionDisplay, gameStatusElement;
@@ -249,6 +400,9 @@ function init() {
   // Add orientation axes for visualizing dimensions
   addOrientationAxes();
   
+  // Register the custom pieces saved from the piece lab, so positions can use them
+  loadCustomPieces();
+  
   // Create initial board state and pieces
   initializeBoard();
   
@@ -299,6 +453,25 @@ function init() {
     console.error("Center board button not found in N-dimensional chess!");
   }
   
+  // Undo and redo buttons
+  const undoMoveBtn = document.getElementById('undo-move-btn');
+  const redoMoveBtn = document.getElementById('redo-move-btn');
+  if (undoMoveBtn && redoMoveBtn) {
+    undoMoveBtn.addEventListener('click', () => undoLastMove());
+    redoMoveBtn.addEventListener('click', () => redoLastMove());
+  }
+  
+  // Position and game record import and export
+  setupPositionDialog();
+  setupRecordDialog();
+  setupTopologyDialog();
+  setupPieceLab();
+  setupPositionEditor();
+  setupOnlineDialog();
+  setupClockDialog();
+  setupGameActions();
+  resumeSavedGame();
+  
   // Show welcome mathematical notification
   setTimeout(() => {
     showMathNotification(
@@ -431,10 +604,7 @@ function setupDimensionalControls() {
     }
     
     // Add event listeners
-    toggleBtn.addEventListener('click', () => {
-      toggleDimension(d);
-      toggleBtn.classList.toggle('active');
-    });
+    toggleBtn.addEventListener('click', () => toggleGameDimension(d));
     
     // Add right-click event for dimensional tooltip
     toggleBtn.addEventListener('contextmenu', (e) => {
@@ -484,19 +654,135 @@ function setupDimensionalControls() {
   
   // Add dimensional fatigue toggle
   const fatigueToggle = document.createElement('button');
+  fatigueToggle.id = 'fatigue-toggle';
   fatigueToggle.className = 'btn btn-info btn-sm mt-2';
-  fatigueToggle.innerText = 'Dimensional Fatigue: ON';
-  fatigueToggle.addEventListener('click', () => {
-    dimensionalFatigue = !dimensionalFatigue;
-    fatigueToggle.innerText = `Dimensional Fatigue: ${dimensionalFatigue ? 'ON' : 'OFF'}`;
-  });
+  fatigueToggle.addEventListener('click', () => changeRules({ dimensionalFatigue: !dimensionalFatigue }));
   
   controlsDiv.appendChild(fatigueToggle);
   
+  // Add promotion zone toggle
+  const promotionToggle = document.createElement('button');
+  promotionToggle.id = 'promotion-zone-toggle';
+  promotionToggle.className = 'btn btn-info btn-sm mt-2';
+  promotionToggle.title = 'Whether pawns promote on the far rank of every slice, or only in the base slice';
+  promotionToggle.addEventListener('click', () => changeRules({
+    promotionZone: promotionZone === PROMOTION_ZONES.BACK_RANK ? PROMOTION_ZONES.BASE_SLICE : PROMOTION_ZONES.BACK_RANK
+  }));
+  
+  controlsDiv.appendChild(promotionToggle);
+  
+  // Add hypercastling toggle
+  const hypercastlingToggle = document.createElement('button');
+  hypercastlingToggle.id = 'hypercastling-toggle';
+  hypercastlingToggle.className = 'btn btn-info btn-sm mt-2';
+  hypercastlingToggle.title = 'Let kings castle with unmoved rooks in other higher-dimensional slices';
+  hypercastlingToggle.addEventListener('click', () => changeRules({ hypercastling: !hypercastling }));
+  
+  controlsDiv.appendChild(hypercastlingToggle);
+  
+  // Add board topology button, which opens the dialog for starting a game on another board shape
+  const topologyToggle = document.createElement('button');
+  topologyToggle.id = 'topology-toggle';
+  topologyToggle.className = 'btn btn-info btn-sm mt-2';
+  topologyToggle.title = 'Make dimensions bounded or wrap around, and start a new game on that board';
+  topologyToggle.addEventListener('click', () => openTopologyDialog());
+  
+  controlsDiv.appendChild(topologyToggle);
+  updateRuleToggles();
+  
+  // Add piece lab button, which opens the designer for custom pieces
+  const pieceLabToggle = document.createElement('button');
+  pieceLabToggle.id = 'piece-lab-toggle';
+  pieceLabToggle.className = 'btn btn-info btn-sm mt-2';
+  pieceLabToggle.innerText = 'Piece Lab';
+  pieceLabToggle.title = 'Design custom pieces and preview where they can move';
+  pieceLabToggle.addEventListener('click', () => (pieceLab ? closePieceLab() : openPieceLab()));
+  
+  controlsDiv.appendChild(pieceLabToggle);
+  
+  // Add position editor button, for setting up any position and starting a game from it
+  const positionEditorToggle = document.createElement('button');
+  positionEditorToggle.id = 'position-editor-toggle';
+  positionEditorToggle.className = 'btn btn-info btn-sm mt-2';
+  positionEditorToggle.innerText = 'Edit Position';
+  positionEditorToggle.title = 'Place and remove pieces anywhere, then start a game from the position';
+  positionEditorToggle.addEventListener('click', () => (setupEditor ? closePositionEditor() : openPositionEditor()));
+  
+  controlsDiv.appendChild(positionEditorToggle);
+  
+  // Add computer opponent toggles: which side it plays, and how hard it searches
+  const computerToggle = document.createElement('button');
+  computerToggle.id = 'computer-toggle';
+  computerToggle.className = 'btn btn-info btn-sm mt-2';
+  computerToggle.title = 'Play against the computer as White or Black';
+  computerToggle.addEventListener('click', () => {
+    const sides = [null, PIECE_COLORS.BLACK, PIECE_COLORS.WHITE];
+    computerColor = sides[(sides.indexOf(computerColor) + 1) % sides.length];
+    updateComputerToggles();
+    updateGameStatus();
+  });
+  
+  controlsDiv.appendChild(computerToggle);
+  
+  const difficultyToggle = document.createElement('button');
+  difficultyToggle.id = 'difficulty-toggle';
+  difficultyToggle.className = 'btn btn-info btn-sm mt-2';
+  difficultyToggle.title = 'Search depth or thinking time of the computer opponent';
+  difficultyToggle.addEventListener('click', () => {
+    const levels = Object.keys(DIFFICULTY_LEVELS);
+    computerDifficulty = levels[(levels.indexOf(computerDifficulty) + 1) % levels.length];
+    updateComputerToggles();
+  });
+  
+  controlsDiv.appendChild(difficultyToggle);
+  updateComputerToggles();
+  
   // Setup the enhanced dimension view controls
   setupDimensionViewControls();
 }
 
+// Show the current rule settings on their toggle buttons
+function updateRuleToggles() {
+  const promotionZoneLabels = {
+    [PROMOTION_ZONES.BACK_RANK]: 'All Slices',
+    [PROMOTION_ZONES.BASE_SLICE]: 'Base Slice'
+  };
+  
+  const fatigueToggle = document.getElementById('fatigue-toggle');
+  const promotionToggle = document.getElementById('promotion-zone-toggle');
+  const hypercastlingToggle = document.getElementById('hypercastling-toggle');
+  const topologyToggle = document.getElementById('topology-toggle');
+  
+  if (fatigueToggle) fatigueToggle.innerText = `Dimensional Fatigue: ${dimensionalFatigue ? 'ON' : 'OFF'}`;
+  if (promotionToggle) promotionToggle.innerText = `Promotion Zone: ${promotionZoneLabels[promotionZone]}`;
+  if (hypercastlingToggle) hypercastlingToggle.innerText = `Hypercastling: ${hypercastling ? 'ON' : 'OFF'}`;
+  if (topologyToggle) topologyToggle.innerText = `Board: ${describeTopology()}`;
+}
+
+// Describe the board's shape, as its size along each active dimension (∞ when infinite)
+function describeTopology() {
+  if (!engine) return TOPOLOGY_LABELS[TOPOLOGY_TYPES.INFINITE];
+  
+  const sizes = activeDimensions.map(dim => engine.getDimensionSize(dim));
+  if (sizes.every(size => size === Infinity)) return TOPOLOGY_LABELS[TOPOLOGY_TYPES.INFINITE];
+  
+  const text = sizes.map(size => (size === Infinity ? '∞' : size)).join('×');
+  if (activeDimensions.some(dim => engine.getTopology(dim).type === TOPOLOGY_TYPES.TWISTED)) return `${text} (twisted)`;
+  return engine.hasWrappingDimension() ? `${text} (wraps)` : text;
+}
+
+// Show the computer opponent settings on their toggle buttons
+function updateComputerToggles() {
+  const computerToggle = document.getElementById('computer-toggle');
+  const difficultyToggle = document.getElementById('difficulty-toggle');
+  
+  if (computerToggle) {
+    const side = computerColor === PIECE_COLORS.WHITE ? 'Plays White' : 'Plays Black';
+    computerToggle.innerText = `Computer: ${computerColor ? side : 'OFF'}`;
+  }
+  if (difficultyToggle) difficultyToggle.innerText = `Difficulty: ${DIFFICULTY_LEVELS[computerDifficulty].label}`;
+}
+
 // Setup enhanced dimension view controls
 function setupDimensionViewControls() {
   // Get DOM elements
@@ -575,21 +861,8 @@ function setupDimensionViewControls() {
       return;
     }
     
-    // Find the next available dimension
-    for (let d = 0; d < MAX_DIMENSIONS; d++) {
-      if (!activeDimensions.includes(d)) {
-        // Add this dimension
-        toggleDimension(d);
-        
-        // Update the UI
-        const dimButton = document.querySelector(`button[data-dimension="${d}"]`);
-        if (dimButton) dimButton.classList.add('active');
-        
-        // Refresh dimension selectors
-        populateDimensionSelectors();
-        break;
-      }
-    }
+    // Add the next dimension, then refresh the dimension selectors
+    if (changeDimensionCount(activeDimensions.length + 1)) populateDimensionSelectors();
   });
   
   // Reset dimensions button
@@ -598,26 +871,7 @@ function setupDimensionViewControls() {
     if (!confirm('Reset to default 3 dimensions?')) return;
     
     // Reset to default 3 dimensions
-    for (let d = 0; d < MAX_DIMENSIONS; d++) {
-      const isActive = activeDimensions.includes(d);
-      const shouldBeActive = d < DEFAULT_DIMENSIONS;
-      
-      if (isActive && !shouldBeActive) {
-        // Remove this dimension
-        toggleDimension(d);
-        
-        // Update the UI
-        const dimButton = document.querySelector(`button[data-dimension="${d}"]`);
-        if (dimButton) dimButton.classList.remove('active');
-      } else if (!isActive && shouldBeActive) {
-        // Add this dimension
-        toggleDimension(d);
-        
-        // Update the UI
-        const dimButton = document.querySelector(`button[data-dimension="${d}"]`);
-        if (dimButton) dimButton.classList.add('active');
-      }
-    }
+    if (!changeDimensionCount(DEFAULT_DIMENSIONS)) return;
     
     // Reset view dimensions
     viewDimensions = [0, 1, 2];
@@ -751,6 +1005,7 @@ function toggleDimension(dimension) {
   
   // Regenerate board
   updateBoardVisualization();
+  updateRuleToggles();
 }
 
 // Show a mathematical notification with dimensional information
@@ -886,16 +1141,52 @@ function createDimensionalParticles() {
 
 // Initialize the board with standard chess setup
 function initializeBoard() {
-  // Generate visible chunks of the board
+  // Set up the rules engine in the starting position (including hyperpieces above 3D)
+  engine = new NDChessEngine({
+    dimensions: activeDimensions.length,
+    dimensionalFatigue: dimensionalFatigue,
+    promotionZone: promotionZone,
+    hypercastling: hypercastling
+  });
+  engine.setupStandardPosition();
+  gameStartPosition = serializePosition(engine);
+  moveList = [];
+  
+  // Generate visible chunks of the board (which the engine's topology may limit)
   generateVisibleChunks();
   
-  // Create pieces in starting positions
-  createStandardChessPieces();
+  // Create a mesh for every piece the engine placed
+  for (const key in engine.pieces) {
+    const piece = engine.pieces[key];
+    createPiece(piece.coords, piece.type, piece.color);
+  }
+}
+
+// Replace every piece mesh with a fresh mesh for the engine's current position
+function rebuildPieceMeshes() {
+  for (const key in pieces) {
+    scene.remove(pieces[key].mesh);
+  }
+  pieces = {};
   
-  // Add hyperpieces if more than 3 dimensions
-  if (activeDimensions.length > 3) {
-    createHyperpieces();
+  // While the position editor is open the board shows the setup being edited, a slice at a time
+  const shown = setupEditor ? setupEditor.engine : engine;
+  for (const key in shown.pieces) {
+    const piece = shown.pieces[key];
+    if (setupEditor && !isInViewedSlice(piece.coords)) continue;
+    createPiece(piece.coords, piece.type, piece.color);
   }
+  
+  if (pieceLab) drawPieceLabPreview();
+}
+
+// Keep the engine in step with the visualized dimensions. The number of dimensions only changes with
+// a new game (see changeDimensionCount), when the engine loads the new game's position
+function syncEngineSettings() {
+  if (!engine) return;
+  
+  // In a restricted (2D or slice) view, moves only use the visualized dimensions
+  engine.restrictedDimensions = viewDimensions.length < 3 ? [...viewDimensions] : null;
 }
 
 // Generate chunks of the board visible to the camera
@@ -928,10 +1219,88 @@ function generateVisibleChunks() {
     }
   }
   
+  // Mark the edges that wrap around to the opposite side
+  updateGluingMarkers();
+  
   // Update position display
   updatePositionDisplay();
 }
 
+// Draw color-coded bars along each wrapping edge of the two horizontal view axes. A bar on one edge
+// has the same shade as the bar it is glued to on the opposite edge, so on a twisted gluing the
+// gradient runs the other way along the far edge, showing why a piece reappears mirrored.
+function updateGluingMarkers() {
+  const previous = scene.getObjectByName('gluingMarkers');
+  if (previous) scene.remove(previous);
+  if (!engine || !engine.hasWrappingDimension()) return;
+  
+  const group = new THREE.Group();
+  group.name = 'gluingMarkers';
+  const axisNames = ['x', 'z', 'y'];
+  
+  // Layers of the vertical view axis to mark, all of them when it's finite
+  const verticalDim = viewDimensions[2];
+  const verticalBounds = verticalDim !== undefined ? engine.getDimensionBounds(verticalDim) : null;
+  const layers = [];
+  if (verticalBounds) {
+    for (let y = verticalBounds.min; y <= verticalBounds.max; y++) layers.push(y);
+  } else {
+    layers.push(verticalDim !== undefined ? 0 : null);
+  }
+  
+  [0, 1].forEach(axis => {
+    const dim = viewDimensions[axis];
+    if (dim === undefined || !engine.wraps(dim)) return;
+    
+    const { type, mirror } = engine.getTopology(dim);
+    const { min, max } = engine.getDimensionBounds(dim);
+    const alongDim = viewDimensions[1 - axis];
+    const alongBounds = engine.getDimensionBounds(alongDim) || { min: -10, max: 10 };
+    const twisted = type === TOPOLOGY_TYPES.TWISTED;
+    const flipsAlong = twisted && mirror === alongDim;
+    
+    const baseColor = new THREE.Color(DIMENSION_COLORS[dim % DIMENSION_COLORS.length]);
+    const hsl = {};
+    baseColor.getHSL(hsl);
+    
+    // A twist mirroring a dimension that isn't shown tints the far edge in that dimension's color
+    const farTint = twisted && !flipsAlong ? new THREE.Color(DIMENSION_COLORS[mirror % DIMENSION_COLORS.length]) : null;
+    
+    const geometry = axis === 0 ?
+      new THREE.BoxGeometry(TILE_SIZE * 0.15, 0.3, TILE_SIZE * 0.9) :
+      new THREE.BoxGeometry(TILE_SIZE * 0.9, 0.3, TILE_SIZE * 0.15);
+    const span = Math.max(alongBounds.max - alongBounds.min, 1);
+    
+    for (let along = alongBounds.min; along <= alongBounds.max; along++) {
+      [min, max].forEach(edge => {
+        // Shade by the position along the edge this cell is glued to on the near edge
+        const glued = edge === max && flipsAlong ? alongBounds.min + alongBounds.max - along : along;
+        const color = new THREE.Color().setHSL(hsl.h, hsl.s, 0.3 + 0.45 * (glued - alongBounds.min) / span);
+        if (edge === max && farTint) color.lerp(farTint, 0.4);
+        const material = new THREE.MeshStandardMaterial({
+          color: color,
+          emissive: color,
+          emissiveIntensity: 0.6,
+          transparent: true,
+          opacity: 0.85
+        });
+        
+        layers.forEach(layer => {
+          const marker = new THREE.Mesh(geometry, material);
+          const offset = edge === min ? -0.6 : 0.6;
+          marker.position[axisNames[axis]] = (edge + offset) * TILE_SIZE;
+          marker.position[axisNames[1 - axis]] = along * TILE_SIZE;
+          marker.position.y = layer === null ? 0.1 : layer * TILE_SIZE + 0.1;
+          marker.userData.gluing = { dimension: dim, twisted: twisted };
+          group.add(marker);
+        });
+      });
+    }
+  });
+  
+  scene.add(group);
+}
+
 // Generate a single chunk of tiles
 function generateChunk(chunkX, chunkY, chunkZ) {
   const startX = chunkX * CHUNK_SIZE;
@@ -952,7 +1321,9 @@ function generateChunk(chunkX, chunkY, chunkZ) {
       if (viewDimensions.length > 2) {
         for (let y = startY; y < startY + CHUNK_SIZE; y++) {
           coords[viewDimensions[2]] = y;
-          createTile(coords);
+          
+          // Bounded and wrapping dimensions only have tiles on the board
+          if (engine.isOnBoard(coords)) createTile(coords);
         }
       } else {
         // For higher dimensions, only create tiles at the current slice values
@@ -961,7 +1332,7 @@ function generateChunk(chunkX, chunkY, chunkZ) {
             coords[d] = visualizationControls.sliceCoordinates[d];
           }
         }
-        createTile(coords);
+        if (engine.isOnBoard(coords)) createTile(coords);
       }
     }
   }
@@ -1013,208 +1384,41 @@ function createTile(coords) {
   board[key] = tile;
 }
 
-// Create standard chess pieces (in multiple dimensions)
-function createStandardChessPieces() {
-  // Define piece types for initial setup
-  const backRank = [
-    PIECE_TYPES.ROOK,
-    PIECE_TYPES.KNIGHT,
-    PIECE_TYPES.BISHOP,
-    PIECE_TYPES.QUEEN,
-    PIECE_TYPES.KING,
-    PIECE_TYPES.BISHOP,
-    PIECE_TYPES.KNIGHT,
-    PIECE_TYPES.ROOK
-  ];
-  
-  // Basic 2D chess layout for all players
-  for (let x = 0; x < 8; x++) {
-    // Create coordinates for each piece
-    // Black pieces at one end of the first dimension
-    const blackBackRankCoords = Array(activeDimensions.length).fill(0);
-    blackBackRankCoords[0] = x;
-    blackBackRankCoords[1] = -7;
-    
-    const blackPawnCoords = Array(activeDimensions.length).fill(0);
-    blackPawnCoords[0] = x;
-    blackPawnCoords[1] = -6;
-    
-    // White pieces at the other end
-    const whiteBackRankCoords = Array(activeDimensions.length).fill(0);
-    whiteBackRankCoords[0] = x;
-    whiteBackRankCoords[1] = 0;
-    
-    const whitePawnCoords = Array(activeDimensions.length).fill(0);
-    whitePawnCoords[0] = x;
-    whitePawnCoords[1] = -1;
-    
-    // Create pieces on the main 2D plane
-    createPiece(blackBackRankCoords, backRank[x], PIECE_COLORS.BLACK);
-    createPiece(blackPawnCoords, PIECE_TYPES.PAWN, PIECE_COLORS.BLACK);
-    createPiece(whiteBackRankCoords, backRank[x], PIECE_COLORS.WHITE);
-    createPiece(whitePawnCoords, PIECE_TYPES.PAWN, PIECE_COLORS.WHITE);
-  }
-  
-  // Add additional pieces in higher dimensions if more than 3 dimensions are active
-  if (activeDimensions.length > 3) {
-    // Place pieces in higher dimensions (4th dimension = index 3)
-    if (activeDimensions.length >= 4) {
-      // Position in 4th dimension
-      const position4D = 1;
-      
-      // Add special pieces at strategic positions in 4th dimension
-      // White pieces
-      const white4DQueenCoords = Array(activeDimensions.length).fill(0);
-      white4DQueenCoords[0] = 3; // X position
-      white4DQueenCoords[1] = -3; // Z position (middle of board)
-      white4DQueenCoords[3] = position4D; // 4th dimension
-      createPiece(white4DQueenCoords, PIECE_TYPES.QUEEN, PIECE_COLORS.WHITE);
-      
-      const white4DRookCoords = Array(activeDimensions.length).fill(0);
-      white4DRookCoords[0] = 0; // X position
-      white4DRookCoords[1] = -3; // Z position (middle of board)
-      white4DRookCoords[3] = position4D; // 4th dimension
-      createPiece(white4DRookCoords, PIECE_TYPES.ROOK, PIECE_COLORS.WHITE);
-      
-      const white4DBishopCoords = Array(activeDimensions.length).fill(0);
-      white4DBishopCoords[0] = 2; // X position
-      white4DBishopCoords[1] = -3; // Z position (middle of board)
-      white4DBishopCoords[3] = position4D; // 4th dimension
-      createPiece(white4DBishopCoords, PIECE_TYPES.BISHOP, PIECE_COLORS.WHITE);
-      
-      const white4DKnightCoords = Array(activeDimensions.length).fill(0);
-      white4DKnightCoords[0] = 1; // X position
-      white4DKnightCoords[1] = -3; // Z position (middle of board)
-      white4DKnightCoords[3] = position4D; // 4th dimension
-      createPiece(white4DKnightCoords, PIECE_TYPES.KNIGHT, PIECE_COLORS.WHITE);
-      
-      // Black pieces
-      const black4DQueenCoords = Array(activeDimensions.length).fill(0);
-      black4DQueenCoords[0] = 4; // X position
-      black4DQueenCoords[1] = -4; // Z position (middle of board)
-      black4DQueenCoords[3] = position4D; // 4th dimension
-      createPiece(black4DQueenCoords, PIECE_TYPES.QUEEN, PIECE_COLORS.BLACK);
-      
-      const black4DRookCoords = Array(activeDimensions.length).fill(0);
-      black4DRookCoords[0] = 7; // X position
-      black4DRookCoords[1] = -4; // Z position (middle of board)
-      black4DRookCoords[3] = position4D; // 4th dimension
-      createPiece(black4DRookCoords, PIECE_TYPES.ROOK, PIECE_COLORS.BLACK);
-      
-      const black4DBishopCoords = Array(activeDimensions.length).fill(0);
-      black4DBishopCoords[0] = 5; // X position
-      black4DBishopCoords[1] = -4; // Z position (middle of board)
-      black4DBishopCoords[3] = position4D; // 4th dimension
-      createPiece(black4DBishopCoords, PIECE_TYPES.BISHOP, PIECE_COLORS.BLACK);
-      
-      const black4DKnightCoords = Array(activeDimensions.length).fill(0);
-      black4DKnightCoords[0] = 6; // X position
-      black4DKnightCoords[1] = -4; // Z position (middle of board)
-      black4DKnightCoords[3] = position4D; // 4th dimension
-      createPiece(black4DKnightCoords, PIECE_TYPES.KNIGHT, PIECE_COLORS.BLACK);
-    }
-    
-    // 5th dimension pieces (if available)
-    if (activeDimensions.length >= 5) {
-      const position5D = 1;
-      
-      // White 5D pieces
-      const white5DKingCoords = Array(activeDimensions.length).fill(0);
-      white5DKingCoords[0] = 4; // X position
-      white5DKingCoords[1] = -2; // Z position
-      white5DKingCoords[4] = position5D; // 5th dimension
-      createPiece(white5DKingCoords, PIECE_TYPES.KING, PIECE_COLORS.WHITE);
-      
-      // Pawns in 5D for white
-      for (let x = 0; x < 4; x++) {
-        const white5DPawnCoords = Array(activeDimensions.length).fill(0);
-        white5DPawnCoords[0] = x + 3; // X positions 3-6
-        white5DPawnCoords[1] = -3; // Z position
-        white5DPawnCoords[4] = position5D; // 5th dimension
-        createPiece(white5DPawnCoords, PIECE_TYPES.PAWN, PIECE_COLORS.WHITE);
-      }
-      
-      // Black 5D pieces
-      const black5DKingCoords = Array(activeDimensions.length).fill(0);
-      black5DKingCoords[0] = 3; // X position
-      black5DKingCoords[1] = -5; // Z position
-      black5DKingCoords[4] = position5D; // 5th dimension
-      createPiece(black5DKingCoords, PIECE_TYPES.KING, PIECE_COLORS.BLACK);
-      
-      // Pawns in 5D for black
-      for (let x = 0; x < 4; x++) {
-        const black5DPawnCoords = Array(activeDimensions.length).fill(0);
-        black5DPawnCoords[0] = x + 1; // X positions 1-4
-        black5DPawnCoords[1] = -4; // Z position
-        black5DPawnCoords[4] = position5D; // 5th dimension
-        createPiece(black5DPawnCoords, PIECE_TYPES.PAWN, PIECE_COLORS.BLACK);
-      }
-    }
-    
-    // 6th dimension pieces (if available)
-    if (activeDimensions.length >= 6) {
-      const position6D = 1;
-      
-      // Add powerful pieces in 6th dimension for both players
-      // White 6D pieces
-      const white6DQueenCoords = Array(activeDimensions.length).fill(0);
-      white6DQueenCoords[0] = 7; // X position (corner)
-      white6DQueenCoords[1] = -7; // Z position (corner)
-      white6DQueenCoords[5] = position6D; // 6th dimension
-      createPiece(white6DQueenCoords, PIECE_TYPES.QUEEN, PIECE_COLORS.WHITE);
-      
-      // Black 6D pieces
-      const black6DQueenCoords = Array(activeDimensions.length).fill(0);
-      black6DQueenCoords[0] = 0; // X position (opposite corner)
-      black6DQueenCoords[1] = 0; // Z position (opposite corner)
-      black6DQueenCoords[5] = position6D; // 6th dimension
-      createPiece(black6DQueenCoords, PIECE_TYPES.QUEEN, PIECE_COLORS.BLACK);
-    }
-  }
-}
-
-// Create hyperpieces for higher dimensional play
-function createHyperpieces() {
-  // Only add hyperpieces in dimensions > 3
-  if (activeDimensions.length <= 3) return;
-  
-  // Create hyperpieces for each player
-  for (let i = 0; i < 2; i++) {
-    const color = i === 0 ? PIECE_COLORS.WHITE : PIECE_COLORS.BLACK;
-    
-    // Position hyperpieces in higher dimensions
-    // We'll place them at positions slightly offset in the higher dimensions
-    
-    // Example coordinates for hyperpieces - project them into higher dimensions
-    const hyperRookCoords = Array(activeDimensions.length).fill(0);
-    const hyperBishopCoords = Array(activeDimensions.length).fill(0);
-    const hyperKnightCoords = Array(activeDimensions.length).fill(0);
-    
-    // Set positions (different for each color)
-    hyperRookCoords[0] = 1; // X position
-    hyperRookCoords[1] = i === 0 ? 1 : -8; // Z position
-    hyperRookCoords[3] = 1; // 4th dimension offset
-    
-    hyperBishopCoords[0] = 2; // X position
-    hyperBishopCoords[1] = i === 0 ? 1 : -8; // Z position
-    hyperBishopCoords[3] = 1; // 4th dimension offset
-    
-    hyperKnightCoords[0] = 3; // X position
-    hyperKnightCoords[1] = i === 0 ? 1 : -8; // Z position
-    hyperKnightCoords[3] = 1; // 4th dimension offset
-    
-    // Create the hyperpieces
-    createPiece(hyperRookCoords, PIECE_TYPES.HYPERROOK, color);
-    createPiece(hyperBishopCoords, PIECE_TYPES.HYPERBISHOP, color);
-    createPiece(hyperKnightCoords, PIECE_TYPES.HYPERKNIGHT, color);
-  }
-}
-
 // Create a chess piece at specified coordinates
 function createPiece(coords, type, color) {
   // Generate a unique key from the coordinates
   const key = coords.join(',');
   
+  const { mesh, height } = createPieceMesh(type, color, getPieceDefinition(type));
+  
+  // Position the piece based on the visualized dimensions
+  const position = new THREE.Vector3();
+  
+  // Map the coordinates to 3D space
+  if (viewDimensions.length >= 1) position.x = coords[viewDimensions[0]] * TILE_SIZE;
+  if (viewDimensions.length >= 2) position.z = coords[viewDimensions[1]] * TILE_SIZE;
+  if (viewDimensions.length >= 3) position.y = coords[viewDimensions[2]] * TILE_SIZE;
+  
+  // Adjust height to sit on the board
+  position.y += height / 2 + 0.2;
+  
+  mesh.position.copy(position);
+  
+  // Store the piece data
+  pieces[key] = {
+    mesh: mesh,
+    type: type,
+    color: color,
+    coords: [...coords]
+  };
+  
+  // Add to scene
+  scene.add(mesh);
+}
+
+// Build the mesh for a piece of the given type and color, returned with the height it stands.
+// Custom pieces take the base shape and glow of their definition (see PIECE_LAB_GEOMETRIES).
+function createPieceMesh(type, color, definition) {
   // Define piece geometry based on type
   let geometry, height;
   
@@ -1260,9 +1464,27 @@ function createPiece(coords, type, color) {
       geometry = new THREE.TetrahedronGeometry(0.3);
       height = 0.8;
       break;
-    default:
-      geometry = new THREE.BoxGeometry(0.3, 0.5, 0.3);
-      height = 0.5;
+    case FAIRY_PIECE_TYPES.CHANCELLOR:
+      geometry = new THREE.CylinderGeometry(0.12, 0.22, 0.8, 4);
+      height = 0.8;
+      break;
+    case FAIRY_PIECE_TYPES.ARCHBISHOP:
+      geometry = new THREE.ConeGeometry(0.22, 0.85, 5);
+      height = 0.85;
+      break;
+    case FAIRY_PIECE_TYPES.AMAZON:
+      geometry = new THREE.OctahedronGeometry(0.3);
+      height = 0.9;
+      break;
+    case FAIRY_PIECE_TYPES.NIGHTRIDER:
+      geometry = new THREE.TorusGeometry(0.18, 0.07, 8, 16);
+      height = 0.7;
+      break;
+    default: {
+      const shape = definition && PIECE_LAB_GEOMETRIES[definition.geometry];
+      geometry = shape ? shape.build() : new THREE.BoxGeometry(0.3, 0.5, 0.3);
+      height = shape ? shape.height : 0.5;
+    }
   }
   
   // Create material based on color
@@ -1289,6 +1511,12 @@ function createPiece(coords, type, color) {
     material.opacity = 0.9;
   }
   
+  // Custom pieces glow in the color they were designed with
+  if (definition && definition.emissive) {
+    material.emissive = new THREE.Color(definition.emissive);
+    material.emissiveIntensity = 0.5;
+  }
+  
   // Create mesh
   let mesh;
   
@@ -1338,35 +1566,16 @@ function createPiece(coords, type, color) {
     mesh = new THREE.Mesh(geometry, material);
   }
   
-  // Position the piece based on the visualized dimensions
-  const position = new THREE.Vector3();
-  
-  // Map the coordinates to 3D space
-  if (viewDimensions.length >= 1) position.x = coords[viewDimensions[0]] * TILE_SIZE;
-  if (viewDimensions.length >= 2) position.z = coords[viewDimensions[1]] * TILE_SIZE;
-  if (viewDimensions.length >= 3) position.y = coords[viewDimensions[2]] * TILE_SIZE;
-  
-  // Adjust height to sit on the board
-  position.y += height / 2 + 0.2;
-  
-  mesh.position.copy(position);
   mesh.castShadow = true;
   mesh.receiveShadow = true;
   
-  // Store the piece data
-  pieces[key] = {
-    mesh: mesh,
-    type: type,
-    color: color,
-    coords: [...coords]
-  };
-  
-  // Add to scene
-  scene.add(mesh);
+  return { mesh: mesh, height: height };
 }
 
 // Update the board visualization
 function updateBoardVisualization() {
+  syncEngineSettings();
+  
   // Clear current board
   for (const key in board) {
     scene.remove(board[key]);
@@ -1395,6 +1604,9 @@ function updateBoardVisualization() {
     const piece = piecesData[key];
     createPiece(piece.coords, piece.type, piece.color);
   }
+  
+  if (pieceLab) drawPieceLabPreview();
+  if (setupEditor) showPositionEditor();
 }
 
 // Update position display
@@ -1489,6 +1701,23 @@ function onMouseClick(event) {
   // Get objects intersected by the ray
   const intersects = raycaster.intersectObjects(scene.children, false);
   
+  // While the piece lab is open, clicking a tile moves its test square
+  if (pieceLab) {
+    const tileHit = intersects.find(hit => isTileClicked(hit.object));
+    if (tileHit) movePieceLabSquare(tileHit.object.userData.coords);
+    return;
+  }
+  
+  // While the position editor is open, clicking a tile or piece edits that cell
+  if (setupEditor) {
+    const hit = intersects.find(hit => isTileClicked(hit.object) || isPieceClicked(hit.object));
+    if (hit) {
+      const piece = Object.values(pieces).find(piece => piece.mesh === hit.object);
+      editSetupInView(piece ? piece.coords : hit.object.userData.coords);
+    }
+    return;
+  }
+  
   if (intersects.length > 0) {
     // Find which object was clicked (piece or tile)
     for (let i = 0; i < intersects.length; i++) {
@@ -1534,6 +1763,9 @@ function isTileClicked(object) {
 
 // Handle click on a chess piece
 function handlePieceClick(pieceObject) {
+  // The piece lab and position editor have the board to themselves while open
+  if (pieceLab || setupEditor) return;
+  
   // Find the piece data
   let pieceKey = null;
   for (const key in pieces) {
@@ -1547,12 +1779,30 @@ function handlePieceClick(pieceObject) {
   
   const piece = pieces[pieceKey];
   
+  // No more moves once the game has ended
+  if (gameResult) {
+    console.log("The game is over!");
+    return;
+  }
+  
+  // Online, each player only moves the pieces of their own seat, and spectators move none
+  if (onlineRoom && piece.color !== onlineRoom.color) {
+    console.log(onlineRoom.color ? "Those are your opponent's pieces!" : "Spectators can't move pieces!");
+    return;
+  }
+  
   // Check if it's this player's turn
-  if (piece.color !== currentTurn) {
+  if (piece.color !== engine.currentTurn) {
     console.log("Not your turn!");
     return;
   }
   
+  // The computer's pieces are moved by the computer
+  if (isComputerTurn()) {
+    console.log("The computer is thinking!");
+    return;
+  }
+  
   // If we already had a piece selected, deselect it
   if (selectedPiece) {
     deselectCurrentPiece();
@@ -1590,18 +1840,73 @@ function handleTileClick(tileObject) {
   
   const coords = tileObject.userData.coords;
   
-  // Check if this is a valid move
-  const isValidMove = validMoves.some(move => move.join(',') === coords.join(','));
+  // Check if this is a valid move (validMoves only holds legal destinations)
+  const isValidMove = !gameResult && validMoves.some(move => move.join(',') === coords.join(','));
   
   if (isValidMove) {
-    // Execute the move
+    // Pawns reaching the promotion zone need a piece chosen before the move is made
+    const promotionChoices = selectedMoves
+      .filter(move => move.promotion && move.to.join(',') === coords.join(','))
+      .map(move => move.promotion);
+    
+    if (promotionChoices.length > 0) {
+      const promotingPiece = selectedPiece;
+      const color = promotingPiece.piece.color;
+      showMoveChoicePicker(
+        "Pawn Promotion",
+        "Choose the piece your pawn becomes",
+        promotionChoices.map(type => ({
+          value: type,
+          symbol: getPieceSymbol(type, color),
+          label: pieceName(type),
+          className: type.startsWith('hyper') ? 'btn btn-outline-info' : 'btn btn-outline-light'
+        })),
+        (promotion) => {
+          movePiece(promotingPiece, coords, promotion);
+          sendOnlineMove();
+          deselectCurrentPiece();
+          updateGameStatus();
+        }
+      );
+      return;
+    }
+    
+    // With hypercastling, the king may reach the same square by castling with different rooks
+    const castlingChoices = selectedMoves
+      .filter(move => move.castling && move.to.join(',') === coords.join(','))
+      .map(move => move.castling);
+    
+    if (castlingChoices.length > 1) {
+      const castlingPiece = selectedPiece;
+      const rookSymbol = getPieceSymbol(PIECE_TYPES.ROOK, castlingPiece.piece.color);
+      showMoveChoicePicker(
+        "Castling",
+        "Choose the rook to castle with",
+        castlingChoices.map(castling => ({
+          value: castling,
+          symbol: castling.hyper ? `${rookSymbol}+` : rookSymbol,
+          label: `(${castling.rookFrom.join(', ')})`,
+          className: castling.hyper ? 'btn btn-outline-info' : 'btn btn-outline-light'
+        })),
+        (castling) => {
+          movePiece(castlingPiece, coords, null, castling);
+          sendOnlineMove();
+          deselectCurrentPiece();
+          updateGameStatus();
+        }
+      );
+      return;
+    }
+    
+    // Execute the move, passing it on to the opponent when playing online
     movePiece(selectedPiece, coords);
+    sendOnlineMove();
     
     // Deselect the piece and clean up highlights
     deselectCurrentPiece();
     
-    // Switch turns
-    switchTurn();
+    // The engine has already switched turns; check for check and game over
+    updateGameStatus();
   } else {
     // Not a valid move, deselect
     deselectCurrentPiece();
@@ -1614,524 +1919,53 @@ function calculateValidMoves() {
   
   if (!selectedPiece) return;
   
-  const { piece, coords } = selectedPiece;
+  // The engine only returns moves that don't leave one of our kings attacked
+  selectedMoves = engine.generateMoves(selectedPiece.coords);
   
-  switch (piece.type) {
-    case PIECE_TYPES.PAWN:
-      calculatePawnMoves(coords, piece.color);
-      break;
-    case PIECE_TYPES.ROOK:
-      calculateRookMoves(coords, piece.color);
-      break;
-    case PIECE_TYPES.KNIGHT:
-      calculateKnightMoves(coords, piece.color);
-      break;
-    case PIECE_TYPES.BISHOP:
-      calculateBishopMoves(coords, piece.color);
-      break;
-    case PIECE_TYPES.QUEEN:
-      calculateQueenMoves(coords, piece.color);
-      break;
-    case PIECE_TYPES.KING:
-      calculateKingMoves(coords, piece.color);
-      break;
-    case PIECE_TYPES.HYPERROOK:
-      calculateHyperrookMoves(coords, piece.color);
-      break;
-    case PIECE_TYPES.HYPERBISHOP:
-      calculateHyperbishopMoves(coords, piece.color);
-      break;
-    case PIECE_TYPES.HYPERKNIGHT:
-      calculateHyperknightMoves(coords, piece.color);
-      break;
-  }
+  // Promotion moves share a destination, so only keep each destination once
+  const destinations = {};
+  selectedMoves.forEach(move => {
+    destinations[move.to.join(',')] = move.to;
+  });
+  validMoves = Object.values(destinations);
 }
 
-// Calculate valid pawn moves
-function calculatePawnMoves(coords, color) {
-  // Pawn direction depends on color (move along the second dimension - Z axis traditionally)
-  const direction = color === PIECE_COLORS.WHITE ? -1 : 1;
-  const forwardDimension = 1; // Second dimension (Z in classic chess)
-  
-  // Create new coordinates for forward move
-  const forward = [...coords];
-  forward[forwardDimension] += direction;
-  
-  if (!getPieceAt(forward)) {
-    validMoves.push(forward);
+// Show the move choice picker (for promotions and ambiguous castling) and call onChoose with the chosen value
+function showMoveChoicePicker(title, subtitle, choices, onChoose) {
+  const picker = document.getElementById('move-choice-picker');
+  const choicesContainer = document.getElementById('move-choices');
+  
+  document.getElementById('move-choice-title').innerText = title;
+  document.getElementById('move-choice-subtitle').innerText = subtitle;
+  choicesContainer.innerHTML = '';
+  
+  choices.forEach(choice => {
+    const button = document.createElement('button');
+    button.className = choice.className;
+    button.title = choice.label;
+    button.innerHTML = `<span class="move-choice-symbol">${choice.symbol}</span><span class="small">${choice.label}</span>`;
+    
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      picker.style.display = 'none';
+      onChoose(choice.value);
+    });
     
-    // Double move from starting position
-    const startingRank = color === PIECE_COLORS.WHITE ? -1 : -6;
-    if (coords[forwardDimension] === startingRank) {
-      const doubleForward = [...coords];
-      doubleForward[forwardDimension] += 2 * direction;
-      if (!getPieceAt(doubleForward)) {
-        validMoves.push(doubleForward);
-      }
-    }
-  }
-  
-  // Capture moves (diagonally) - in first and second dimensions
-  const captureLeft = [...coords];
-  captureLeft[0] -= 1; // First dimension (X)
-  captureLeft[forwardDimension] += direction;
-  
-  const captureRight = [...coords];
-  captureRight[0] += 1; // First dimension (X)
-  captureRight[forwardDimension] += direction;
-  
-  if (canCapture(captureLeft, color)) {
-    validMoves.push(captureLeft);
-  }
+    choicesContainer.appendChild(button);
+  });
   
-  if (canCapture(captureRight, color)) {
-    validMoves.push(captureRight);
-  }
+  picker.style.display = 'flex';
 }
 
-// Calculate valid rook moves - moves along a single dimension
-function calculateRookMoves(coords, color) {
-  // For each dimension, check moves in both positive and negative directions
-  for (let dim = 0; dim < activeDimensions.length; dim++) {
-    // Skip dimensions that aren't being visualized if we're in a restricted view
-    if (viewDimensions.length < 3 && !viewDimensions.includes(dim)) continue;
-    
-    // Calculate move range (with dimensional fatigue if enabled)
-    const moveRange = dimensionalFatigue ? 
-      Math.max(7 - (dim > 2 ? dim : 0), 2) : // More fatigue for higher dimensions
-      7; // Standard range
-    
-    // Check positive direction
-    for (let i = 1; i <= moveRange; i++) {
-      const newCoords = [...coords];
-      newCoords[dim] += i;
-      
-      const piece = getPieceAt(newCoords);
-      
-      if (!piece) {
-        // Empty square, add to valid moves
-        validMoves.push(newCoords);
-      } else if (piece.color !== color) {
-        // Enemy piece, add to valid moves and stop
-        validMoves.push(newCoords);
-        break;
-      } else {
-        // Friendly piece, stop
-        break;
-      }
-    }
-    
-    // Check negative direction
-    for (let i = 1; i <= moveRange; i++) {
-      const newCoords = [...coords];
-      newCoords[dim] -= i;
-      
-      const piece = getPieceAt(newCoords);
-      
-      if (!piece) {
-        // Empty square, add to valid moves
-        validMoves.push(newCoords);
-      } else if (piece.color !== color) {
-        // Enemy piece, add to valid moves and stop
-        validMoves.push(newCoords);
-        break;
-      } else {
-        // Friendly piece, stop
-        break;
-      }
-    }
-  }
+// Close the move choice picker without making a move
+function hideMoveChoicePicker() {
+  const picker = document.getElementById('move-choice-picker');
+  if (picker) picker.style.display = 'none';
 }
 
-// Calculate valid knight moves - L-shape movement (2 in one dimension, 1 in another)
-function calculateKnightMoves(coords, color) {
-  // For each pair of dimensions
-  for (let dim1 = 0; dim1 < activeDimensions.length; dim1++) {
-    for (let dim2 = 0; dim2 < activeDimensions.length; dim2++) {
-      // Skip same dimension
-      if (dim1 === dim2) continue;
-      
-      // Skip dimensions that aren't being visualized if we're in a restricted view
-      if (viewDimensions.length < 3 && 
-          (!viewDimensions.includes(dim1) || !viewDimensions.includes(dim2))) {
-        continue;
-      }
-      
-      // Generate all L-moves (2 in one dimension, 1 in another)
-      for (let d1 of [-2, 2]) {
-        for (let d2 of [-1, 1]) {
-          // Move in first pattern (2 in dim1, 1 in dim2)
-          const move1 = [...coords];
-          move1[dim1] += d1;
-          move1[dim2] += d2;
-          
-          // Move in second pattern (2 in dim2, 1 in dim1)
-          const move2 = [...coords];
-          move2[dim1] += d2;
-          move2[dim2] += d1;
-          
-          // Check if the move is valid (empty or enemy piece)
-          const piece1 = getPieceAt(move1);
-          if (!piece1 || piece1.color !== color) {
-            validMoves.push(move1);
-          }
-          
-          const piece2 = getPieceAt(move2);
-          if (!piece2 || piece2.color !== color) {
-            validMoves.push(move2);
-          }
-        }
-      }
-    }
-  }
-}
-
-// Calculate valid bishop moves - moves diagonally (equal steps in two or more dimensions)
-function calculateBishopMoves(coords, color) {
-  // For each pair of dimensions
-  for (let dim1 = 0; dim1 < activeDimensions.length; dim1++) {
-    for (let dim2 = dim1 + 1; dim2 < activeDimensions.length; dim2++) {
-      // Skip dimensions that aren't being visualized if we're in a restricted view
-      if (viewDimensions.length < 3 && 
-          (!viewDimensions.includes(dim1) || !viewDimensions.includes(dim2))) {
-        continue;
-      }
-      
-      // Calculate move range (with dimensional fatigue if enabled)
-      const moveRange = dimensionalFatigue ? 
-        Math.max(7 - (Math.max(dim1, dim2) > 2 ? 1 : 0), 3) : // Slight fatigue
-        7; // Standard range
-      
-      // Check all diagonal directions
-      for (let d1 of [-1, 1]) {
-        for (let d2 of [-1, 1]) {
-          for (let i = 1; i <= moveRange; i++) {
-            const newCoords = [...coords];
-            newCoords[dim1] += d1 * i;
-            newCoords[dim2] += d2 * i;
-            
-            const piece = getPieceAt(newCoords);
-            
-            if (!piece) {
-              // Empty square, add to valid moves
-              validMoves.push(newCoords);
-            } else if (piece.color !== color) {
-              // Enemy piece, add to valid moves and stop
-              validMoves.push(newCoords);
-              break;
-            } else {
-              // Friendly piece, stop
-              break;
-            }
-          }
-        }
-      }
-    }
-  }
-}
-
-// Calculate valid queen moves (combination of rook and bishop)
-function calculateQueenMoves(coords, color) {
-  calculateRookMoves(coords, color);
-  calculateBishopMoves(coords, color);
-}
-
-// Calculate valid king moves
-function calculateKingMoves(coords, color) {
-  // Generate all possible single-step moves in all active dimensions
-  const moves = [];
-  
-  // Helper function to recursively generate moves
-  function generateMoves(currentDim, currentMove) {
-    if (currentDim >= activeDimensions.length) {
-      // Skip if it's the original position
-      if (currentMove.every((val, idx) => val === coords[idx])) {
-        return;
-      }
-      moves.push([...currentMove]);
-      return;
-    }
-    
-    // Skip dimensions that aren't being visualized if we're in a restricted view
-    if (viewDimensions.length < 3 && !viewDimensions.includes(currentDim)) {
-      currentMove[currentDim] = coords[currentDim];
-      generateMoves(currentDim + 1, currentMove);
-      return;
-    }
-    
-    // Try each possible value for this dimension
-    for (let d of [-1, 0, 1]) {
-      currentMove[currentDim] = coords[currentDim] + d;
-      generateMoves(currentDim + 1, currentMove);
-    }
-  }
-  
-  // Start the recursive generation with an empty move
-  const initialMove = Array(activeDimensions.length).fill(0);
-  generateMoves(0, initialMove);
-  
-  // Filter out moves that lead to invalid positions or friendly pieces
-  for (const move of moves) {
-    const piece = getPieceAt(move);
-    if (!piece || piece.color !== color) {
-      validMoves.push(move);
-    }
-  }
-}
-
-// Calculate hyperrook moves - like rook but can move along multiple dimensions at once
-function calculateHyperrookMoves(coords, color) {
-  // First, include all standard rook moves
-  calculateRookMoves(coords, color);
-  
-  // For hyperrook, allow movement along any number of dimensions simultaneously
-  // but apply dimensional fatigue based on the number of dimensions used
-  
-  // Helper function to recursively generate multi-dimensional moves
-  function generateMultiDimMoves(currentDim, dimsUsed, currentMove) {
-    if (currentDim >= activeDimensions.length) {
-      // Only add moves that use at least 2 dimensions
-      if (dimsUsed >= 2) {
-        // Apply dimensional fatigue if enabled
-        const range = dimensionalFatigue ? 
-          Math.max(7 - Math.pow(2, dimsUsed - 2), 2) : // Severe fatigue
-          7 - dimsUsed; // Mild fatigue even if disabled
-        
-        // Generate moves with the calculated range
-        generateMovesWithRange(currentMove, range);
-      }
-      return;
-    }
-    
-    // Skip this dimension (don't use it in this move)
-    generateMultiDimMoves(currentDim + 1, dimsUsed, [...currentMove, 0]);
-    
-    // Use this dimension in this move
-    generateMultiDimMoves(currentDim + 1, dimsUsed + 1, [...currentMove, 1]);
-  }
-  
-  // Generate moves with a given range
-  function generateMovesWithRange(dimFlags, range) {
-    for (let distance = 1; distance <= range; distance++) {
-      // Generate all direction combinations
-      generateDirections(0, dimFlags, distance, Array(dimFlags.length).fill(0));
-    }
-  }
-  
-  // Generate all direction combinations
-  function generateDirections(currentDim, dimFlags, distance, directions) {
-    if (currentDim >= dimFlags.length) {
-      // Create and check the move
-      const move = [...coords];
-      let isMoveValid = false;
-      
-      for (let dim = 0; dim < activeDimensions.length; dim++) {
-        if (dimFlags[dim] === 1) {
-          move[dim] += directions[dim] * distance;
-          isMoveValid = true;
-        }
-      }
-      
-      if (isMoveValid) {
-        const piece = getPieceAt(move);
-        if (!piece) {
-          validMoves.push(move);
-        } else if (piece.color !== color) {
-          validMoves.push(move);
-        }
-      }
-      
-      return;
-    }
-    
-    // Skip dimensions that aren't flagged for use
-    if (dimFlags[currentDim] === 0) {
-      directions[currentDim] = 0;
-      generateDirections(currentDim + 1, dimFlags, distance, directions);
-      return;
-    }
-    
-    // Try both directions for this dimension
-    directions[currentDim] = 1;
-    generateDirections(currentDim + 1, dimFlags, distance, [...directions]);
-    
-    directions[currentDim] = -1;
-    generateDirections(currentDim + 1, dimFlags, distance, [...directions]);
-  }
-  
-  // Start the recursive generation with no dimensions used
-  generateMultiDimMoves(0, 0, []);
-  
-  // Add dimensional transport capability - allows direct movement to higher dimensions
-  if (activeDimensions.length > 3) {
-    // Get higher dimensions (beyond the first three)
-    const higherDimensions = activeDimensions.filter((dim, index) => dim >= 3);
-    
-    // For each higher dimension, add transport moves
-    higherDimensions.forEach(dim => {
-      // Create transport move coordinates
-      for (let offset = -3; offset <= 3; offset++) {
-        if (offset === 0) continue; // Skip no movement
-        
-        const move = [...coords];
-        move[dim] += offset; // Move in the higher dimension
-        
-        // Check if the destination is valid
-        const piece = getPieceAt(move);
-        if (!piece) {
-          validMoves.push(move);
-        } else if (piece.color !== color) {
-          validMoves.push(move);
-        }
-      }
-    });
-  }
-}
-
-// Calculate hyperbishop moves - enhanced bishop that can move in multiple dimension-pairs simultaneously
-function calculateHyperbishopMoves(coords, color) {
-  // First, include all standard bishop moves
-  calculateBishopMoves(coords, color);
-  
-  // For hyperbishop, allow more complex diagonal movements
-  // Hyperbishop can move along any 3 or more dimensions simultaneously in a diagonal pattern
-  
-  // Helper function to generate diagonal moves with more than 2 dimensions
-  function generateHyperDiagonals(dimensions, distance) {
-    if (dimensions.length < 3) return; // Need at least 3 dimensions
-    
-    // Generate all possible direction combinations for the selected dimensions
-    const numDirections = Math.pow(2, dimensions.length);
-    
-    for (let dirIdx = 0; dirIdx < numDirections; dirIdx++) {
-      const move = [...coords];
-      let directionsUsed = 0;
-      
-      // Convert dirIdx to a binary direction pattern
-      for (let i = 0; i < dimensions.length; i++) {
-        const dim = dimensions[i];
-        const direction = (dirIdx & (1 << i)) ? 1 : -1;
-        move[dim] += direction * distance;
-        directionsUsed++;
-      }
-      
-      // Check if the move is valid
-      const piece = getPieceAt(move);
-      if (!piece) {
-        validMoves.push(move);
-      } else if (piece.color !== color) {
-        validMoves.push(move);
-      }
-    }
-  }
-  
-  // Generate all combinations of 3 or more dimensions to use
-  function generateDimensionCombinations(start, current) {
-    if (current.length >= 3) {
-      // Calculate move range (with dimensional fatigue if enabled)
-      const maxDim = Math.max(...current);
-      const numDims = current.length;
-      
-      const moveRange = dimensionalFatigue ? 
-        Math.max(7 - Math.pow(2, numDims - 3), 2) : // Severe fatigue
-        7 - numDims + 2; // Mild fatigue even if disabled
-      
-      // Generate moves for each distance
-      for (let distance = 1; distance <= moveRange; distance++) {
-        generateHyperDiagonals(current, distance);
-      }
-    }
-    
-    // Keep adding more dimensions
-    if (current.length < activeDimensions.length) {
-      for (let i = start; i < activeDimensions.length; i++) {
-        generateDimensionCombinations(i + 1, [...current, i]);
-      }
-    }
-  }
-  
-  // Start the recursive generation with at least 3 dimensions
-  if (activeDimensions.length >= 3) {
-    generateDimensionCombinations(0, []);
-  }
-}
-
-// Calculate hyperknight moves - enhanced knight with dimensional teleportation abilities
-function calculateHyperknightMoves(coords, color) {
-  // First, include all standard knight moves
-  calculateKnightMoves(coords, color);
-  
-  // Hyperknight has special teleportation abilities in higher dimensions
-  // It can jump 3 units in one dimension and 1 in two others
-  
-  // For each triplet of dimensions
-  for (let dim1 = 0; dim1 < activeDimensions.length; dim1++) {
-    for (let dim2 = 0; dim2 < activeDimensions.length; dim2++) {
-      if (dim1 === dim2) continue;
-      
-      for (let dim3 = 0; dim3 < activeDimensions.length; dim3++) {
-        if (dim1 === dim3 || dim2 === dim3) continue;
-        
-        // Generate all teleportation moves (3 in one dimension, 1 in two others)
-        for (let d1 of [-3, 3]) {
-          for (let d2 of [-1, 1]) {
-            for (let d3 of [-1, 1]) {
-              const move = [...coords];
-              move[dim1] += d1;
-              move[dim2] += d2;
-              move[dim3] += d3;
-              
-              // Check if the move is valid (empty or enemy piece)
-              const piece = getPieceAt(move);
-              if (!piece || piece.color !== color) {
-                validMoves.push(move);
-              }
-            }
-          }
-        }
-      }
-    }
-  }
-  
-  // Additional teleportation ability - can move 2 units in each of two dimensions
-  // and 1 unit in a third dimension
-  for (let dim1 = 0; dim1 < activeDimensions.length; dim1++) {
-    for (let dim2 = 0; dim2 < activeDimensions.length; dim2++) {
-      if (dim1 === dim2) continue;
-      
-      for (let dim3 = 0; dim3 < activeDimensions.length; dim3++) {
-        if (dim1 === dim3 || dim2 === dim3) continue;
-        
-        for (let d1 of [-2, 2]) {
-          for (let d2 of [-2, 2]) {
-            for (let d3 of [-1, 1]) {
-              const move = [...coords];
-              move[dim1] += d1;
-              move[dim2] += d2;
-              move[dim3] += d3;
-              
-              const piece = getPieceAt(move);
-              if (!piece || piece.color !== color) {
-                validMoves.push(move);
-              }
-            }
-          }
-        }
-      }
-    }
-  }
-}
-
-// Get piece at specific coordinates
-function getPieceAt(coords) {
-  const key = coords.join(',');
-  return pieces[key];
-}
-
-// Check if a position can be captured by the current color
-function canCapture(coords, color) {
-  const piece = getPieceAt(coords);
-  return piece && piece.color !== color;
+// Check if coordinates lie in the slice on view: at the slice coordinates along every dimension not shown
+function isInViewedSlice(coords) {
+  return coords.every((coord, dim) => viewDimensions.includes(dim) || coord === visualizationControls.sliceCoordinates[dim]);
 }
 
 // Highlight the selected piece
@@ -2170,34 +2004,37 @@ function highlightValidMoves() {
   
   // Create a new indicator for each valid move
   for (const moveCoords of validMoves) {
-    // Determine if this is a capture move
-    const isCapture = getPieceAt(moveCoords) !== undefined;
-    
-    // Create highlight geometry
-    const geometry = new THREE.BoxGeometry(TILE_SIZE, 0.05, TILE_SIZE);
-    const material = isCapture ? CAPTURE_MOVE_MATERIAL : VALID_MOVE_MATERIAL;
-    
-    const highlight = new THREE.Mesh(geometry, material);
-    
-    // Position based on the visualized dimensions
-    const position = new THREE.Vector3();
-    
-    // Map the coordinates to 3D space
-    if (viewDimensions.length >= 1) position.x = moveCoords[viewDimensions[0]] * TILE_SIZE;
-    if (viewDimensions.length >= 2) position.z = moveCoords[viewDimensions[1]] * TILE_SIZE;
-    if (viewDimensions.length >= 3) position.y = moveCoords[viewDimensions[2]] * TILE_SIZE;
+    // Determine if this is a capture move (en passant captures land on an empty square)
+    const isCapture = selectedMoves.some(move => move.capture && move.to.join(',') === moveCoords.join(','));
     
-    // Adjust height to be just above the board
-    position.y = 0.1;
-    
-    highlight.position.copy(position);
-    scene.add(highlight);
-    
-    // Store the highlight for later removal
-    moveHighlights.push(highlight);
+    addMoveHighlight(moveCoords, isCapture ? CAPTURE_MOVE_MATERIAL : VALID_MOVE_MATERIAL);
   }
 }
 
+// Add a move indicator on the tile at the given coordinates
+function addMoveHighlight(moveCoords, material) {
+  // Create highlight geometry
+  const geometry = new THREE.BoxGeometry(TILE_SIZE, 0.05, TILE_SIZE);
+  const highlight = new THREE.Mesh(geometry, material);
+  
+  // Position based on the visualized dimensions
+  const position = new THREE.Vector3();
+  
+  // Map the coordinates to 3D space
+  if (viewDimensions.length >= 1) position.x = moveCoords[viewDimensions[0]] * TILE_SIZE;
+  if (viewDimensions.length >= 2) position.z = moveCoords[viewDimensions[1]] * TILE_SIZE;
+  if (viewDimensions.length >= 3) position.y = moveCoords[viewDimensions[2]] * TILE_SIZE;
+  
+  // Adjust height to be just above the board
+  position.y = 0.1;
+  
+  highlight.position.copy(position);
+  scene.add(highlight);
+  
+  // Store the highlight for later removal
+  moveHighlights.push(highlight);
+}
+
 // Clear valid move highlights
 function clearValidMoveHighlights() {
   for (const highlight of moveHighlights) {
@@ -2215,15 +2052,24 @@ function deselectCurrentPiece() {
   clearValidMoveHighlights();
   selectedPiece = null;
   validMoves = [];
+  selectedMoves = [];
 }
 
-// Move a piece to a new position
-function movePiece(selectedPiece, newCoords) {
+// Move a piece to a new position (promotion is the piece type chosen for a promoting pawn,
+// castling the engine's castling details when the king could castle with more than one rook).
+// A quiet move skips the animations, sounds and notifications, leaving the moved meshes for the
+// caller to redraw with rebuildPieceMeshes, as when replaying a whole game
+function movePiece(selectedPiece, newCoords, promotion = null, castling = null, quiet = false) {
   const { piece, coords, key } = selectedPiece;
   
-  // Check if there's a piece to capture at the destination
+  // Let the engine apply the move (captures, promotion, castling, complexity score and turn switching)
+  const record = engine.applyMove({ from: coords, to: newCoords, promotion: promotion, castling: castling });
+  recordMoveNotation(record);
+  
+  // Find the captured piece, which an en passant capture leaves beside the destination
   const newKey = newCoords.join(',');
-  const capturedPiece = pieces[newKey];
+  const capturedKey = record.captured ? record.captured.coords.join(',') : newKey;
+  const capturedPiece = record.captured ? pieces[capturedKey] : null;
   
   // Check if this is a special dimensional move (using higher dimensions)
   const isHigherDimensionalMove = coords.some((coord, index) => {
@@ -2238,26 +2084,24 @@ function movePiece(selectedPiece, newCoords) {
   if (capturedPiece) {
     isCapture = true;
     
-    // Remove the captured piece from the scene with an animation
-    animatePieceCapture(capturedPiece.mesh);
-    
-    // Change the chessboard orientation randomly for dimensional effects
-    changeChessboardOrientation();
-    
-    // Store the captured piece in the captured list
-    capturedPieces[piece.color].push({
-      type: capturedPiece.type,
-      color: capturedPiece.color
-    });
+    if (quiet) {
+      scene.remove(capturedPiece.mesh);
+    } else {
+      // Remove the captured piece from the scene with an animation
+      animatePieceCapture(capturedPiece.mesh);
+      
+      // Change the chessboard orientation randomly for dimensional effects
+      changeChessboardOrientation();
+    }
     
     // Update the UI with captured piece
     updateCapturedPiecesDisplay();
     
     // Remove from the pieces lookup
-    delete pieces[newKey];
+    delete pieces[capturedKey];
     
     // If this is a higher dimensional capture, show mathematical notification
-    if (isHigherDimensionalMove) {
+    if (isHigherDimensionalMove && !quiet) {
       showMathNotification(
         "Dimensional Capture!",
         DIMENSIONAL_MATH.transport.formula,
@@ -2278,11 +2122,13 @@ function movePiece(selectedPiece, newCoords) {
   const originalY = piece.mesh.position.y - (viewDimensions.length >= 3 ? newCoords[viewDimensions[2]] * TILE_SIZE : 0);
   
   // Animate the piece movement
-  animatePieceMovement(piece.mesh, position.x, position.z, isCapture, originalY);
+  if (!quiet) animatePieceMovement(piece.mesh, position.x, position.z, isCapture, originalY);
   
   // Play appropriate sound
   try {
-    if (isCapture && captureSound) {
+    if (quiet) {
+      // A quiet move makes no sound
+    } else if (isCapture && captureSound) {
       captureSound.currentTime = 0;
       // Only play if user has interacted with the page
       if (document.hasFocus()) {
@@ -2309,86 +2155,1973 @@ function movePiece(selectedPiece, newCoords) {
         }
       }
     }
-  } catch (e) {
-    console.log("Error handling sound playback:", e);
-    // Silently fail if sound playback isn't working
+  } catch (e) {
+    console.log("Error handling sound playback:", e);
+    // Silently fail if sound playback isn't working
+  }
+  
+  // Update the piece's coordinates
+  piece.coords = [...newCoords];
+  
+  // Update the pieces lookup
+  delete pieces[key];
+  pieces[newKey] = piece;
+  
+  // Castling also moves the rook
+  if (record.castling) {
+    moveCastledRook(record.castling, quiet);
+  }
+  
+  // Replace a promoted pawn's mesh with the mesh of its new piece type
+  if (record.promotion) {
+    scene.remove(piece.mesh);
+    createPiece(newCoords, record.promotion, piece.color);
+    
+    if (!quiet) showMathNotification(
+      "Pawn Promotion",
+      `${getPieceSymbol(PIECE_TYPES.PAWN, piece.color)} → ${getPieceSymbol(record.promotion, piece.color)}`,
+      `A pawn reached the promotion hyperplane x₂ = ${newCoords[1]} and became a ${record.promotion}.`
+    );
+  }
+  
+  // Create a multi-dimensional ripple effect
+  if (!quiet) createDimensionalRipple(
+    coords[viewDimensions[0]] * TILE_SIZE, 
+    coords[viewDimensions[1]] * TILE_SIZE, 
+    newCoords[viewDimensions[0]] * TILE_SIZE, 
+    newCoords[viewDimensions[1]] * TILE_SIZE, 
+    isCapture
+  );
+  
+  // Update the complexity score display with the engine's score for this move
+  updateComplexityScore(record.complexity);
+  
+  // For hyperpiece movements through higher dimensions, provide mathematical explanations
+  if (!isCapture && isHigherDimensionalMove && !quiet) {
+    // Determine which hyperpiece is moving
+    let mathInfo;
+    if (piece.type === PIECE_TYPES.HYPERROOK) {
+      mathInfo = HYPERPIECE_MATH.hyperrook;
+    } else if (piece.type === PIECE_TYPES.HYPERBISHOP) {
+      mathInfo = HYPERPIECE_MATH.hyperbishop;
+    } else if (piece.type === PIECE_TYPES.HYPERKNIGHT) {
+      mathInfo = HYPERPIECE_MATH.hyperknight;
+    } else {
+      mathInfo = DIMENSIONAL_MATH.transport;
+    }
+    
+    // Create movement description
+    const fromCoords = `(${coords.join(', ')})`;
+    const toCoords = `(${newCoords.join(', ')})`;
+    
+    showMathNotification(
+      `${pieceName(piece.type)} Transport`,
+      mathInfo.formula,
+      `Moving from ${fromCoords} to ${toCoords} through dimensional space. ${mathInfo.fact}`
+    );
+    
+    // Update math panel with dimensional transport information
+    document.getElementById('current-formula').textContent = mathInfo.formula;
+    document.getElementById('math-explanation').textContent = mathInfo.explanation;
+    document.getElementById('math-fact').textContent = mathInfo.fact;
+  }
+  
+  // If move uses dimensional fatigue, display that information
+  if (dimensionalFatigue && isHigherDimensionalMove && !quiet) {
+    // Calculate dimensions used
+    const dimsUsed = coords.reduce((count, coord, index) => {
+      if (index >= 3 && coord !== newCoords[index]) {
+        return count + 1;
+      }
+      return count;
+    }, 0);
+    
+    // If multiple dimensions used, show fatigue information
+    if (dimsUsed > 1) {
+      setTimeout(() => {
+        showMathNotification(
+          "Dimensional Fatigue",
+          DIMENSIONAL_MATH.fatigue.formula,
+          `Using ${dimsUsed} higher dimensions simultaneously reduces range by factor of ${Math.pow(2, dimsUsed-1)}.`
+        );
+      }, 2000); // Delay this notification to show after the movement one
+    }
+  }
+}
+
+// Move the rook that castled alongside the king (through the higher dimensions for hypercastling)
+function moveCastledRook(castling, quiet = false) {
+  const rookKey = castling.rookFrom.join(',');
+  const rook = pieces[rookKey];
+  if (!rook) return;
+  
+  const target = castling.rookTo;
+  if (!quiet) animatePieceToCoords(rook, target);
+  
+  rook.coords = [...target];
+  delete pieces[rookKey];
+  pieces[target.join(',')] = rook;
+  
+  if (castling.hyper && !quiet) {
+    showMathNotification(
+      "Hypercastling!",
+      `(${castling.rookFrom.join(', ')}) → (${target.join(', ')})`,
+      "The rook crossed between higher-dimensional slices to castle beside its king."
+    );
+  }
+}
+
+// Animate a piece's mesh to the position of the given coordinates in the visualized dimensions
+function animatePieceToCoords(piece, target, isCapture = false) {
+  const targetX = viewDimensions.length >= 1 ? target[viewDimensions[0]] * TILE_SIZE : 0;
+  const targetZ = viewDimensions.length >= 2 ? target[viewDimensions[1]] * TILE_SIZE : 0;
+  const originalY = piece.mesh.position.y - (viewDimensions.length >= 3 ? target[viewDimensions[2]] * TILE_SIZE : 0);
+  
+  animatePieceMovement(piece.mesh, targetX, targetZ, isCapture, originalY);
+}
+
+// Take back the last move, restoring captured pieces and playing the move's animation in reverse
+function undoLastMove() {
+  if (setupEditor || onlineRoom || resultIsFinal() || engine.history.length === 0) return;
+  
+  cancelComputerMove();
+  hideMoveChoicePicker();
+  deselectCurrentPiece();
+  
+  const record = engine.undoMove();
+  const { move, piece, captured, promotion, castling } = record;
+  const toKey = move.to.join(',');
+  
+  // A promoted piece turns back into a pawn before retreating
+  if (promotion && pieces[toKey]) {
+    scene.remove(pieces[toKey].mesh);
+    createPiece(move.to, PIECE_TYPES.PAWN, piece.color);
+  }
+  
+  // Slide the piece back to where it came from
+  const movedPiece = pieces[toKey];
+  if (movedPiece) {
+    animatePieceToCoords(movedPiece, move.from);
+    movedPiece.coords = [...move.from];
+    delete pieces[toKey];
+    pieces[move.from.join(',')] = movedPiece;
+  }
+  
+  // Return a castled rook to its corner
+  if (castling) {
+    const rook = pieces[castling.rookTo.join(',')];
+    if (rook) {
+      animatePieceToCoords(rook, castling.rookFrom);
+      rook.coords = [...castling.rookFrom];
+      delete pieces[castling.rookTo.join(',')];
+      pieces[castling.rookFrom.join(',')] = rook;
+    }
+  }
+  
+  // Bring a captured piece back onto the board
+  if (captured) {
+    createPiece(captured.coords, captured.type, captured.color);
+    animatePieceRestore(pieces[captured.coords.join(',')].mesh);
+    updateCapturedPiecesDisplay();
+  }
+  
+  // Taking back the final move reopens a game the rules ended
+  gameResult = null;
+  updateComplexityScore(0);
+  
+  // Against the computer, take back its reply together with the player's move
+  if (isComputerTurn() && engine.history.length > 0) {
+    undoLastMove();
+    return;
+  }
+  
+  updateGameStatus();
+}
+
+// Replay the most recently undone move
+function redoLastMove() {
+  const move = engine.nextRedoMove();
+  if (setupEditor || onlineRoom || resultIsFinal() || !move) return;
+  
+  cancelComputerMove();
+  hideMoveChoicePicker();
+  deselectCurrentPiece();
+  
+  const key = move.from.join(',');
+  const piece = pieces[key];
+  if (!piece) return;
+  
+  movePiece({ piece: piece, coords: [...move.from], key: key }, move.to, move.promotion || null, move.castling || null);
+  
+  // Against the computer, replay its reply too instead of letting it search for a new one
+  if (isComputerTurn() && engine.nextRedoMove()) {
+    redoLastMove();
+    return;
+  }
+  
+  updateGameStatus();
+}
+
+// Add the move the engine just applied to the move list.
+// A move that isn't a redo replaces every undone move after it.
+function recordMoveNotation(record) {
+  const ply = engine.history.length - 1;
+  
+  if (!engine.nextRedoMove()) {
+    moveList = moveList.slice(0, ply);
+  }
+  moveList[ply] = notateMove(engine, record);
+}
+
+// Show the move list, marking the current position and any undone moves
+function renderMoveList() {
+  const list = document.getElementById('move-list');
+  if (!list) return;
+  
+  const currentPly = engine ? engine.history.length : 0;
+  
+  // A game started with Black to move opens with "1. …", Black's first move filling the row's second half
+  const blackFirst = !!gameStartPosition && gameStartPosition.split(' ')[2] === 'b';
+  const firstIndex = blackFirst && moveList.length > 0 ? -1 : 0;
+  
+  // Entry for a position; ply is the number of moves played to reach it
+  const createEntry = (text, ply) => {
+    const entry = document.createElement('span');
+    entry.className = 'move-entry';
+    if (ply === currentPly) entry.classList.add('current');
+    if (ply > currentPly) entry.classList.add('undone');
+    entry.textContent = text;
+    entry.title = ply === 0 ? 'Jump to the starting position' : `Jump to the position after move ${Math.ceil((ply - firstIndex) / 2)}`;
+    entry.addEventListener('click', () => jumpToPly(ply));
+    return entry;
+  };
+  
+  list.innerHTML = '';
+  
+  const startRow = document.createElement('div');
+  startRow.className = 'move-list-row';
+  startRow.appendChild(createEntry('Start', 0));
+  list.appendChild(startRow);
+  
+  // One row per full move: White's move, then Black's
+  for (let i = firstIndex; i < moveList.length; i += 2) {
+    const row = document.createElement('div');
+    row.className = 'move-list-row';
+    
+    const number = document.createElement('span');
+    number.className = 'move-number';
+    number.textContent = `${(i - firstIndex) / 2 + 1}.`;
+    row.appendChild(number);
+    
+    if (i < 0) {
+      const missing = document.createElement('span');
+      missing.className = 'move-number';
+      missing.textContent = '…';
+      row.appendChild(missing);
+    } else {
+      row.appendChild(createEntry(moveList[i], i + 1));
+    }
+    if (i + 1 < moveList.length) {
+      row.appendChild(createEntry(moveList[i + 1], i + 2));
+    }
+    
+    list.appendChild(row);
+  }
+  
+  // Keep the current position in view
+  const current = list.querySelector('.move-entry.current');
+  if (current) {
+    current.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+// Jump straight to the position after the given number of moves, without animating each move
+function jumpToPly(ply) {
+  if (setupEditor || onlineRoom || resultIsFinal() || ply === engine.history.length) return;
+  
+  cancelComputerMove();
+  hideMoveChoicePicker();
+  deselectCurrentPiece();
+  
+  while (engine.history.length > ply) {
+    engine.undoMove();
+  }
+  while (engine.history.length < ply && engine.nextRedoMove()) {
+    engine.redoMove();
+  }
+  
+  rebuildPieceMeshes();
+  updateCapturedPiecesDisplay();
+  
+  gameResult = null;
+  updateComplexityScore(0);
+  updateGameStatus();
+}
+
+// Read an export back the way its dialog's Load button would, so a position or record that couldn't be
+// loaded is reported when it is written instead of when someone tries to load it. Returns the error, or ''
+function checkExport(read, text) {
+  try {
+    read(text);
+    return '';
+  } catch (e) {
+    return `This can't be loaded back: ${e.message}`;
+  }
+}
+
+// Set up the position dialog used to export and import position strings
+function setupPositionDialog() {
+  const dialog = document.getElementById('position-dialog');
+  const input = document.getElementById('position-string');
+  const error = document.getElementById('position-error');
+  const positionBtn = document.getElementById('position-btn');
+  if (!dialog || !input || !positionBtn) return;
+  
+  // Open the dialog with the current position filled in
+  positionBtn.addEventListener('click', () => {
+    input.value = serializePosition(engine);
+    error.textContent = checkExport(parsePosition, input.value);
+    dialog.style.display = 'flex';
+  });
+  
+  document.getElementById('position-copy-btn').addEventListener('click', () => {
+    input.select();
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(input.value).catch(e => {
+        console.log("Clipboard access prevented by browser:", e);
+      });
+    }
+  });
+  
+  document.getElementById('position-load-btn').addEventListener('click', () => {
+    try {
+      importPosition(input.value);
+      dialog.style.display = 'none';
+    } catch (e) {
+      error.textContent = e.message;
+    }
+  });
+  
+  document.getElementById('position-close-btn').addEventListener('click', () => {
+    dialog.style.display = 'none';
+  });
+}
+
+// Set up the game record dialog used to export, download and import PGN-style records
+function setupRecordDialog() {
+  const dialog = document.getElementById('record-dialog');
+  const input = document.getElementById('record-text');
+  const error = document.getElementById('record-error');
+  const recordBtn = document.getElementById('record-btn');
+  if (!dialog || !input || !recordBtn) return;
+  
+  // Open the dialog with the current game filled in
+  recordBtn.addEventListener('click', () => {
+    input.value = formatGameRecord(engine, {}, gameResult);
+    error.textContent = checkExport(loadGameRecord, input.value);
+    dialog.style.display = 'flex';
+  });
+  
+  document.getElementById('record-copy-btn').addEventListener('click', () => {
+    input.select();
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(input.value).catch(e => {
+        console.log("Clipboard access prevented by browser:", e);
+      });
+    }
+  });
+  
+  // Save the record as a plain text file
+  document.getElementById('record-download-btn').addEventListener('click', () => downloadGameRecord(input.value));
+  
+  // Read a record file into the text box
+  const fileInput = document.getElementById('record-file');
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+      input.value = reader.result;
+      error.textContent = '';
+    };
+    reader.readAsText(file);
+    fileInput.value = '';
+  });
+  
+  document.getElementById('record-load-btn').addEventListener('click', () => {
+    try {
+      importGameRecord(input.value);
+      dialog.style.display = 'none';
+    } catch (e) {
+      error.textContent = e.message;
+    }
+  });
+  
+  document.getElementById('record-close-btn').addEventListener('click', () => {
+    dialog.style.display = 'none';
+  });
+}
+
+// Save a game record as a plain text file
+function downloadGameRecord(text) {
+  const blob = new Blob([text], { type: 'text/plain' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `n-dimensional-chess-${new Date().toISOString().slice(0, 10)}.pgn`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// Replay a PGN-style game record from its starting position (throws at the first unreadable or illegal move)
+function importGameRecord(text) {
+  const gameRecord = parseGameRecord(text);
+  const startEngine = createEngineForRecord(gameRecord);
+  
+  importPosition(serializePosition(startEngine));
+  
+  // Moves are numbered as formatGameRecord numbers them, from "1..." when Black moved first
+  const firstPly = startEngine.currentTurn === PIECE_COLORS.BLACK ? 1 : 0;
+  
+  try {
+    // Every move goes through movePiece, so the complexity scores are recomputed as the game is replayed,
+    // quietly, without the animations, sounds and notifications of playing it on the board
+    gameRecord.moves.forEach((notation, index) => {
+      let move;
+      try {
+        move = parseMove(notation, engine);
+      } catch (e) {
+        const ply = firstPly + index;
+        throw new Error(`Move ${Math.floor(ply / 2) + 1}${ply % 2 === 0 ? '.' : '...'} ${e.message}`);
+      }
+      
+      const key = move.from.join(',');
+      movePiece({ piece: pieces[key], coords: [...move.from], key: key }, move.to, move.promotion || null, move.castling || null, true);
+    });
+  } finally {
+    // Show the final position at once
+    rebuildPieceMeshes();
+    updateCapturedPiecesDisplay();
+    gameResult = null;
+    updateGameStatus();
+  }
+  
+  // Games that ended on time, by resignation or by agreement end there again
+  const reason = gameRecord.headers.Termination;
+  if (!gameResult && gameRecord.result !== '*' && (WIN_DESCRIPTIONS[reason] || DRAW_DESCRIPTIONS[reason])) {
+    gameResult = {
+      winner: gameRecord.result === '1-0' ? PIECE_COLORS.WHITE : gameRecord.result === '0-1' ? PIECE_COLORS.BLACK : null,
+      reason: reason
+    };
+    updateGameStatus();
+  }
+}
+
+// Replace the game with the position in a position string (throws if the string is invalid)
+function importPosition(text) {
+  const position = parsePosition(text);
+  
+  if (position.dimensions < 3 || position.dimensions > MAX_DIMENSIONS) {
+    throw new Error(`Positions must have between 3 and ${MAX_DIMENSIONS} dimensions`);
+  }
+  
+  closePositionEditor();
+  leaveOnlineRoom();
+  forgetSavedGame();
+  hideMoveChoicePicker();
+  deselectCurrentPiece();
+  
+  // Activate exactly the dimensions the position uses
+  setActiveDimensionCount(position.dimensions);
+  
+  engine.loadPosition(position);
+  syncEngineSettings();
+  gameStartPosition = serializePosition(engine);
+  
+  dimensionalFatigue = engine.dimensionalFatigue;
+  hypercastling = engine.hypercastling;
+  promotionZone = engine.promotionZone;
+  updateRuleToggles();
+  
+  // The position may be on a board of another shape
+  updateSliceRanges();
+  generateVisibleChunks();
+  
+  moveList = [];
+  rebuildPieceMeshes();
+  updateCapturedPiecesDisplay();
+  resetClock();
+  
+  gameResult = null;
+  drawOffer = null;
+  updateComplexityScore(0);
+  updateGameStatus();
+}
+
+// Fit the slice sliders to the board: the cells of a bounded or wrapping dimension, or -10 to 10 when it is infinite
+function updateSliceRanges() {
+  for (let dim = 3; dim < MAX_DIMENSIONS; dim++) {
+    const slider = document.getElementById(`slice-d${dim}`);
+    if (!slider) continue;
+    
+    const bounds = engine.getDimensionBounds(dim);
+    const min = bounds ? bounds.min : -10;
+    const max = bounds ? bounds.max : 10;
+    const value = Math.min(Math.max(visualizationControls.sliceCoordinates[dim], min), max);
+    
+    slider.min = min;
+    slider.max = max;
+    slider.value = value;
+    visualizationControls.sliceCoordinates[dim] = value;
+  }
+}
+
+// Set up the board topology dialog: a row per dimension to pick its shape and size, and presets
+function setupTopologyDialog() {
+  const dialog = document.getElementById('topology-dialog');
+  const dimensionsSelect = document.getElementById('topology-dimensions');
+  const presets = document.getElementById('topology-presets');
+  const error = document.getElementById('topology-error');
+  if (!dialog || !dimensionsSelect || !presets) return;
+  
+  for (let count = 3; count <= MAX_DIMENSIONS; count++) {
+    const option = document.createElement('option');
+    option.value = count;
+    option.innerText = `${count}D`;
+    dimensionsSelect.appendChild(option);
+  }
+  
+  TOPOLOGY_PRESETS.forEach(preset => {
+    const presetBtn = document.createElement('button');
+    presetBtn.className = 'btn btn-outline-light btn-sm';
+    presetBtn.innerText = preset.label;
+    presetBtn.addEventListener('click', () => showTopologyRows(preset.dimensions, preset.topology));
+    presets.appendChild(presetBtn);
+  });
+  
+  // Changing the dimension count keeps the shapes already chosen
+  dimensionsSelect.addEventListener('change', () => {
+    showTopologyRows(parseInt(dimensionsSelect.value), readTopologyRows(false));
+  });
+  
+  document.getElementById('topology-start-btn').addEventListener('click', () => {
+    try {
+      startTopologyGame(parseInt(dimensionsSelect.value), readTopologyRows(true));
+      dialog.style.display = 'none';
+    } catch (e) {
+      error.textContent = e.message;
+    }
+  });
+  
+  document.getElementById('topology-close-btn').addEventListener('click', () => {
+    dialog.style.display = 'none';
+  });
+}
+
+// Open the topology dialog showing the current board's shape
+function openTopologyDialog() {
+  const dialog = document.getElementById('topology-dialog');
+  if (!dialog) return;
+  
+  showTopologyRows(activeDimensions.length, engine.topology);
+  document.getElementById('topology-error').textContent = '';
+  dialog.style.display = 'flex';
+}
+
+// Fill the topology dialog with a row for each dimension, with the dimension a mirrored wrap reflects
+function showTopologyRows(dimensions, topology) {
+  const rows = document.getElementById('topology-rows');
+  document.getElementById('topology-dimensions').value = dimensions;
+  rows.innerHTML = '';
+  
+  for (let dim = 0; dim < dimensions; dim++) {
+    const { type, size, mirror } = topology[dim] || { type: TOPOLOGY_TYPES.INFINITE };
+    
+    const row = document.createElement('div');
+    row.className = 'topology-row';
+    
+    const label = document.createElement('span');
+    label.className = 'badge';
+    label.style.backgroundColor = `#${DIMENSION_COLORS[dim % DIMENSION_COLORS.length].toString(16).padStart(6, '0')}`;
+    label.innerText = `D${dim + 1}`;
+    
+    const typeSelect = document.createElement('select');
+    typeSelect.className = 'form-select form-select-sm';
+    Object.values(TOPOLOGY_TYPES).forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.innerText = TOPOLOGY_LABELS[value];
+      typeSelect.appendChild(option);
+    });
+    typeSelect.value = type;
+    
+    const sizeInput = document.createElement('input');
+    sizeInput.type = 'number';
+    sizeInput.min = 1;
+    sizeInput.className = 'form-control form-control-sm';
+    sizeInput.title = 'Number of cells';
+    sizeInput.value = size || 8;
+    sizeInput.disabled = type === TOPOLOGY_TYPES.INFINITE;
+    
+    const mirrorSelect = document.createElement('select');
+    mirrorSelect.className = 'form-select form-select-sm topology-mirror';
+    mirrorSelect.title = 'Dimension mirrored when crossing the edge';
+    for (let other = 0; other < dimensions; other++) {
+      if (other === dim) continue;
+      const option = document.createElement('option');
+      option.value = other;
+      option.innerText = `flips D${other + 1}`;
+      mirrorSelect.appendChild(option);
+    }
+    mirrorSelect.value = mirror !== undefined && mirror < dimensions ? mirror : (dim === 0 ? 1 : 0);
+    mirrorSelect.style.display = type === TOPOLOGY_TYPES.TWISTED ? '' : 'none';
+    
+    typeSelect.addEventListener('change', () => {
+      sizeInput.disabled = typeSelect.value === TOPOLOGY_TYPES.INFINITE;
+      mirrorSelect.style.display = typeSelect.value === TOPOLOGY_TYPES.TWISTED ? '' : 'none';
+    });
+    
+    row.appendChild(label);
+    row.appendChild(typeSelect);
+    row.appendChild(sizeInput);
+    row.appendChild(mirrorSelect);
+    rows.appendChild(row);
+  }
+}
+
+// Read the topology chosen in the dialog (throws on an invalid size if strict)
+function readTopologyRows(strict) {
+  return Array.from(document.querySelectorAll('#topology-rows .topology-row')).map((row, dim) => {
+    const type = row.querySelector('select').value;
+    if (type === TOPOLOGY_TYPES.INFINITE) return { type: type };
+    
+    let size = Number(row.querySelector('input').value);
+    if (!Number.isInteger(size) || size < 1) {
+      if (strict) throw new Error(`D${dim + 1} needs a whole number of cells`);
+      size = 8;
+    }
+    if (type !== TOPOLOGY_TYPES.TWISTED) return { type: type, size: size };
+    
+    return { type: type, size: size, mirror: parseInt(row.querySelector('.topology-mirror').value) };
+  });
+}
+
+// Start a new game from the standard position on a board of the given shape
+function startTopologyGame(dimensions, topology) {
+  const startEngine = new NDChessEngine({
+    dimensions: dimensions,
+    dimensionalFatigue: dimensionalFatigue,
+    promotionZone: promotionZone,
+    hypercastling: hypercastling,
+    topology: topology
+  });
+  startEngine.setupStandardPosition();
+  
+  importPosition(serializePosition(startEngine));
+}
+
+// Turn a dimension on or off from its button: on plays in every dimension up to it, off in those below it
+function toggleGameDimension(dimension) {
+  changeDimensionCount(activeDimensions.includes(dimension) ? dimension : dimension + 1);
+}
+
+// Play in another number of dimensions. The pieces' coordinates and the moves already played belong to
+// the old number, so this starts a new game from the standard position, keeping the shape of the board
+// along the dimensions that remain. Returns whether the game changed
+function changeDimensionCount(count) {
+  if (count === activeDimensions.length) return true;
+  if (count < DEFAULT_DIMENSIONS) {
+    alert(`Cannot have fewer than ${DEFAULT_DIMENSIONS} dimensions active`);
+    return false;
+  }
+  if (count > MAX_DIMENSIONS) {
+    alert(`Maximum number of dimensions (${MAX_DIMENSIONS}) reached!`);
+    return false;
+  }
+  if (!confirmNewGame('the number of dimensions')) return false;
+  
+  // A mirrored wrap can't reflect a dimension that is gone, so that dimension becomes infinite
+  const topology = engine.topology.slice(0, count).map(shape => {
+    return shape && shape.type === TOPOLOGY_TYPES.TWISTED && shape.mirror >= count ? { type: TOPOLOGY_TYPES.INFINITE } : shape;
+  });
+  startTopologyGame(count, topology);
+  return true;
+}
+
+// Change rules of the game ({ dimensionalFatigue, promotionZone, hypercastling }). The moves already played
+// followed the old rules, so the game starts again from its starting position under the new ones
+function changeRules(rules) {
+  if (!confirmNewGame('the rules')) return;
+  
+  const startEngine = new NDChessEngine();
+  startEngine.loadPosition(parsePosition(gameStartPosition));
+  Object.assign(startEngine, rules);
+  
+  importPosition(serializePosition(startEngine));
+}
+
+// Ask before a change of settings starts a new game, once moves have been played. The game in an
+// online room belongs to both players, so its settings can't change at all
+function confirmNewGame(change) {
+  if (onlineRoom) {
+    alert(`Leave the online room to change ${change}`);
+    return false;
+  }
+  return engine.history.length === 0 || confirm(`Changing ${change} starts a new game. Continue?`);
+}
+
+// Toggle dimensions until exactly the first count dimensions are active
+function setActiveDimensionCount(count) {
+  // Add missing dimensions first, since there must always be at least 3 active
+  for (let dim = 0; dim < count; dim++) {
+    if (!activeDimensions.includes(dim)) toggleDimension(dim);
+  }
+  for (let dim = MAX_DIMENSIONS - 1; dim >= count; dim--) {
+    if (activeDimensions.includes(dim)) toggleDimension(dim);
+  }
+  
+  // Keep the dimension buttons in step
+  document.querySelectorAll('#dimension-controls button[data-dimension]').forEach(button => {
+    button.classList.toggle('active', activeDimensions.includes(parseInt(button.dataset.dimension)));
+  });
+}
+
+// Register the custom pieces saved in localStorage (a saved piece the rules no longer accept is skipped)
+function loadCustomPieces() {
+  let saved = [];
+  try {
+    saved = JSON.parse(localStorage.getItem(CUSTOM_PIECES_STORAGE_KEY) || '[]');
+  } catch (e) {
+    console.warn("Couldn't read the saved custom pieces:", e.message);
+  }
+  
+  customPieces = [];
+  for (const definition of saved) {
+    try {
+      customPieces.push(definePiece(definition));
+    } catch (e) {
+      console.warn(`Skipped the saved piece ${definition.name}:`, e.message);
+    }
+  }
+}
+
+// Save the custom pieces in localStorage
+function storeCustomPieces() {
+  localStorage.setItem(CUSTOM_PIECES_STORAGE_KEY, JSON.stringify(customPieces));
+}
+
+// Set up the piece lab: the base shapes to choose from, and a fresh preview on every edit
+function setupPieceLab() {
+  const lab = document.getElementById('piece-lab');
+  const geometrySelect = document.getElementById('piece-lab-geometry');
+  if (!lab || !geometrySelect) return;
+  
+  Object.entries(PIECE_LAB_GEOMETRIES).forEach(([value, shape]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.innerText = shape.label;
+    geometrySelect.appendChild(option);
+  });
+  
+  lab.addEventListener('input', () => drawPieceLabPreview());
+  
+  document.getElementById('piece-lab-saved').addEventListener('change', (e) => {
+    showPieceLabDesign(customPieces.find(piece => piece.type === e.target.value) || null);
+  });
+  
+  document.getElementById('piece-lab-add-rule').addEventListener('click', () => {
+    addPieceLabRule({ leap: [1] });
+    drawPieceLabPreview();
+  });
+  
+  const error = document.getElementById('piece-lab-error');
+  document.getElementById('piece-lab-save-btn').addEventListener('click', () => {
+    try {
+      savePieceLabDesign();
+    } catch (e) {
+      error.textContent = e.message;
+    }
+  });
+  
+  document.getElementById('piece-lab-delete-btn').addEventListener('click', () => {
+    try {
+      deletePieceLabDesign();
+    } catch (e) {
+      error.textContent = e.message;
+    }
+  });
+  
+  document.getElementById('piece-lab-close-btn').addEventListener('click', () => closePieceLab());
+}
+
+// Open the piece lab with a new design, tried out from the selected piece's square if there is one
+function openPieceLab() {
+  const lab = document.getElementById('piece-lab');
+  if (!lab) return;
+  
+  const square = selectedPiece ? [...selectedPiece.coords] : null;
+  closePositionEditor();
+  deselectCurrentPiece();
+  
+  pieceLab = { type: null, square: square, preview: null };
+  showPieceLabDesign(null);
+  lab.style.display = 'block';
+}
+
+// Close the piece lab, giving the board back to the game
+function closePieceLab() {
+  if (!pieceLab) return;
+  
+  clearValidMoveHighlights();
+  if (pieceLab.preview) scene.remove(pieceLab.preview);
+  pieceLab = null;
+  
+  for (const key in pieces) {
+    pieces[key].mesh.visible = true;
+  }
+  document.getElementById('piece-lab').style.display = 'none';
+}
+
+// List the saved custom pieces in the lab, with the one being edited chosen
+function updatePieceLabSavedList() {
+  const select = document.getElementById('piece-lab-saved');
+  select.innerHTML = '';
+  
+  const newOption = document.createElement('option');
+  newOption.value = '';
+  newOption.innerText = 'New piece';
+  select.appendChild(newOption);
+  
+  customPieces.forEach(piece => {
+    const option = document.createElement('option');
+    option.value = piece.type;
+    option.innerText = `${piece.name} (${piece.letter})`;
+    select.appendChild(option);
+  });
+  
+  select.value = pieceLab.type || '';
+  document.getElementById('piece-lab-delete-btn').disabled = !pieceLab.type;
+}
+
+// Fill the lab with a saved custom piece to edit, or with a new design (a one-step leap) when definition is null
+function showPieceLabDesign(definition) {
+  pieceLab.type = definition ? definition.type : null;
+  
+  document.getElementById('piece-lab-name').value = definition ? definition.name : '';
+  document.getElementById('piece-lab-letter').value = definition ? definition.letter : '';
+  document.getElementById('piece-lab-value').value = definition ? definition.value : 300;
+  document.getElementById('piece-lab-geometry').value = definition ? definition.geometry : 'dodecahedron';
+  document.getElementById('piece-lab-emissive').value = definition ? definition.emissive : '#00ffaa';
+  document.getElementById('piece-lab-error').textContent = '';
+  
+  document.getElementById('piece-lab-rules').innerHTML = '';
+  (definition ? definition.moves : [{ leap: [1] }]).forEach(addPieceLabRule);
+  
+  updatePieceLabSavedList();
+  drawPieceLabPreview();
+}
+
+// Add a row to the lab for one move rule: leap or slide, its distances, range, the dimensions it may use,
+// how many dimensions a one-distance move spreads over at once, and whether it only moves or only captures
+function addPieceLabRule(rule) {
+  const row = document.createElement('div');
+  row.className = 'piece-lab-rule';
+  
+  const kindSelect = document.createElement('select');
+  kindSelect.className = 'form-select form-select-sm piece-lab-kind';
+  [['leap', 'Leap'], ['ride', 'Slide']].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.innerText = label;
+    kindSelect.appendChild(option);
+  });
+  kindSelect.value = rule.ride ? 'ride' : 'leap';
+  
+  const vectorInput = document.createElement('input');
+  vectorInput.type = 'text';
+  vectorInput.className = 'form-control form-control-sm piece-lab-vector';
+  vectorInput.title = 'Distances along each dimension the move uses, such as 2,1 for a knight';
+  vectorInput.value = (rule.leap || rule.ride).join(',');
+  
+  const rangeInput = document.createElement('input');
+  rangeInput.type = 'number';
+  rangeInput.min = 1;
+  rangeInput.className = 'form-control form-control-sm piece-lab-range';
+  rangeInput.placeholder = 'Range';
+  rangeInput.title = 'Most cells a slide travels, or most times a leap repeats (7 and 1 when left empty)';
+  rangeInput.value = rule.range || '';
+  
+  const onlySelect = document.createElement('select');
+  onlySelect.className = 'form-select form-select-sm piece-lab-only';
+  [['', 'Moves & captures'], ['moveOnly', 'Only moves'], ['captureOnly', 'Only captures']].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.innerText = label;
+    onlySelect.appendChild(option);
+  });
+  onlySelect.value = rule.moveOnly ? 'moveOnly' : (rule.captureOnly ? 'captureOnly' : '');
+  
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'btn btn-outline-danger btn-sm';
+  removeBtn.innerText = '×';
+  removeBtn.title = 'Remove this move';
+  removeBtn.addEventListener('click', () => {
+    row.remove();
+    drawPieceLabPreview();
+  });
+  
+  const moveRow = document.createElement('div');
+  moveRow.className = 'piece-lab-row';
+  [kindSelect, vectorInput, rangeInput, onlySelect, removeBtn].forEach(element => moveRow.appendChild(element));
+  
+  // Every dimension ticked leaves the move free to use whichever dimensions the board has
+  const dimensionRow = document.createElement('div');
+  dimensionRow.className = 'piece-lab-row';
+  for (let dim = 0; dim < MAX_DIMENSIONS; dim++) {
+    const label = document.createElement('label');
+    label.className = 'badge';
+    label.style.backgroundColor = `#${DIMENSION_COLORS[dim % DIMENSION_COLORS.length].toString(16).padStart(6, '0')}`;
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'piece-lab-dimension';
+    checkbox.value = dim;
+    checkbox.checked = !Array.isArray(rule.dimensions) || rule.dimensions.includes(dim);
+    
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` D${dim + 1}`));
+    dimensionRow.appendChild(label);
+  }
+  
+  const acrossSelect = document.createElement('select');
+  acrossSelect.className = 'form-select form-select-sm piece-lab-across';
+  acrossSelect.title = 'Take a one-distance move along several dimensions at once, as a king steps diagonally';
+  for (let count = 1; count <= MAX_DIMENSIONS; count++) {
+    const option = document.createElement('option');
+    option.value = count;
+    option.innerText = count === 1 ? 'One at a time' : `Up to ${count} at once`;
+    acrossSelect.appendChild(option);
+  }
+  acrossSelect.value = rule.across ? Math.min(rule.across[1], MAX_DIMENSIONS) : 1;
+  dimensionRow.appendChild(acrossSelect);
+  
+  // Only moves of a single distance can spread over several dimensions
+  const updateAcross = () => {
+    acrossSelect.style.display = vectorInput.value.includes(',') ? 'none' : '';
+  };
+  vectorInput.addEventListener('input', updateAcross);
+  updateAcross();
+  
+  row.appendChild(moveRow);
+  row.appendChild(dimensionRow);
+  document.getElementById('piece-lab-rules').appendChild(row);
+}
+
+// Read the design in the lab as a piece definition (see definePiece), throwing on a move that can't be read.
+// New pieces take a type made from their name.
+function readPieceLabDesign() {
+  const name = document.getElementById('piece-lab-name').value.trim();
+  const rows = Array.from(document.querySelectorAll('#piece-lab-rules .piece-lab-rule'));
+  if (rows.length === 0) throw new Error('Add a move for the piece');
+  
+  const moves = rows.map((row, index) => {
+    const vector = row.querySelector('.piece-lab-vector').value.split(',').map(text => Number(text.trim()));
+    if (!vector.every(distance => Number.isInteger(distance) && distance > 0)) {
+      throw new Error(`Move ${index + 1} needs whole distances separated by commas, such as 2,1`);
+    }
+    const rule = { [row.querySelector('.piece-lab-kind').value]: vector };
+    
+    const dimensions = Array.from(row.querySelectorAll('.piece-lab-dimension:checked')).map(box => parseInt(box.value));
+    if (dimensions.length < vector.length) {
+      throw new Error(`Move ${index + 1} needs a dimension ticked for each of its distances`);
+    }
+    if (dimensions.length < MAX_DIMENSIONS) rule.dimensions = dimensions;
+    
+    const range = row.querySelector('.piece-lab-range').value;
+    if (range !== '') {
+      if (!Number.isInteger(Number(range)) || Number(range) < 1) {
+        throw new Error(`Move ${index + 1} needs a range of at least 1`);
+      }
+      rule.range = Number(range);
+    }
+    
+    const across = parseInt(row.querySelector('.piece-lab-across').value);
+    if (vector.length === 1 && across > 1) rule.across = [1, across];
+    
+    const only = row.querySelector('.piece-lab-only').value;
+    if (only) rule[only] = true;
+    return rule;
+  });
+  
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return {
+    type: pieceLab.type || `custom-${slug || 'piece'}`,
+    name: name,
+    letter: document.getElementById('piece-lab-letter').value.trim().toUpperCase(),
+    value: Number(document.getElementById('piece-lab-value').value) || 0,
+    geometry: document.getElementById('piece-lab-geometry').value,
+    emissive: document.getElementById('piece-lab-emissive').value,
+    moves: moves
+  };
+}
+
+// Get the lab's test square, starting it near the middle of the board when it doesn't fit the board
+// (as after a change of dimensions or board shape)
+function pieceLabSquare() {
+  if (!pieceLab.square || pieceLab.square.length !== engine.dimensions || !engine.isOnBoard(pieceLab.square)) {
+    pieceLab.square = Array.from({ length: engine.dimensions }, (_, dim) => {
+      const middle = dim === 0 ? 3 : (dim === PAWN_FORWARD_DIMENSION ? -4 : visualizationControls.sliceCoordinates[dim]);
+      const bounds = engine.getDimensionBounds(dim);
+      return bounds ? Math.min(Math.max(middle, bounds.min), bounds.max) : middle;
+    });
+  }
+  return pieceLab.square;
+}
+
+// Move the lab's test square to a clicked tile, in the slice on view
+function movePieceLabSquare(coords) {
+  pieceLab.square = coords.map((coord, dim) => (viewDimensions.includes(dim) ? coord : visualizationControls.sliceCoordinates[dim]));
+  drawPieceLabPreview();
+}
+
+// Show the piece in the lab on its test square, with the cells it reaches on an empty board of the game's
+// shape and dimensionality highlighted (those in the slice on view; the slice controls show the rest)
+function drawPieceLabPreview() {
+  if (!pieceLab) return;
+  
+  const summary = document.getElementById('piece-lab-summary');
+  const error = document.getElementById('piece-lab-error');
+  
+  clearValidMoveHighlights();
+  if (pieceLab.preview) {
+    scene.remove(pieceLab.preview);
+    pieceLab.preview = null;
+  }
+  
+  // The game's pieces step aside while the lab uses the board
+  for (const key in pieces) {
+    pieces[key].mesh.visible = false;
+  }
+  
+  const square = pieceLabSquare();
+  let design, moves;
+  try {
+    design = readPieceLabDesign();
+    const labEngine = new NDChessEngine({
+      dimensions: engine.dimensions,
+      dimensionalFatigue: dimensionalFatigue,
+      restrictedDimensions: engine.restrictedDimensions,
+      topology: engine.topology
+    });
+    moves = labEngine.generateDefinitionMoves(design, square, PIECE_COLORS.WHITE);
+  } catch (e) {
+    error.textContent = e.message;
+    summary.textContent = '';
+    return;
+  }
+  error.textContent = '';
+  
+  const shown = moves.filter(isInViewedSlice);
+  shown.forEach(coords => addMoveHighlight(coords, VALID_MOVE_MATERIAL));
+  
+  if (isInViewedSlice(square)) {
+    addMoveHighlight(square, SELECTED_PIECE_MATERIAL);
+    
+    const { mesh, height } = createPieceMesh(design.type, PIECE_COLORS.WHITE, design);
+    mesh.position.set(
+      square[viewDimensions[0]] * TILE_SIZE,
+      (viewDimensions.length >= 3 ? square[viewDimensions[2]] * TILE_SIZE : 0) + height / 2 + 0.2,
+      square[viewDimensions[1]] * TILE_SIZE
+    );
+    scene.add(mesh);
+    pieceLab.preview = mesh;
+  }
+  
+  summary.textContent = `From (${square.join(',')}) it reaches ${moves.length} cells in ${engine.dimensions}D, ` +
+    `${shown.length} of them in this view. Click a tile to move the test square.`;
+}
+
+// Save the design in the lab as a custom piece, or save the changes to the one being edited. Once defined,
+// positions, setups and the computer opponent can use it by its letter.
+function savePieceLabDesign() {
+  const design = readPieceLabDesign();
+  if (!design.name) throw new Error('Give the piece a name');
+  if (!pieceLab.type && getPieceDefinition(design.type)) throw new Error(`There is already a piece called ${design.name}`);
+  
+  definePiece(design);
+  const index = customPieces.findIndex(piece => piece.type === design.type);
+  if (index >= 0) {
+    customPieces[index] = design;
+  } else {
+    customPieces.push(design);
+  }
+  storeCustomPieces();
+  
+  pieceLab.type = design.type;
+  updatePieceLabSavedList();
+  
+  // Pieces of the type already in the game take on its new look
+  rebuildPieceMeshes();
+  
+  showMathNotification(
+    "Piece Saved",
+    design.letter,
+    `The ${design.name} is saved in this browser. Positions write it as ${design.letter}.`
+  );
+}
+
+// Delete the custom piece being edited, unless the game has one on the board
+function deletePieceLabDesign() {
+  const definition = getPieceDefinition(pieceLab.type);
+  if (!definition) return;
+  
+  if (Object.values(engine.pieces).some(piece => piece.type === definition.type)) {
+    throw new Error(`The ${definition.name} is still on the board`);
+  }
+  
+  removePieceDefinition(definition.type);
+  customPieces = customPieces.filter(piece => piece.type !== definition.type);
+  storeCustomPieces();
+  
+  showPieceLabDesign(null);
+}
+
+// Set up the position editor: the side to move, placing pieces by typed coordinates, and its buttons
+function setupPositionEditor() {
+  const editor = document.getElementById('position-editor');
+  if (!editor) return;
+  
+  const error = document.getElementById('position-editor-error');
+  
+  document.getElementById('position-editor-turn').addEventListener('change', () => showPositionEditor());
+  
+  document.getElementById('position-editor-place-btn').addEventListener('click', () => {
+    try {
+      editSetupAt(readEditorCoords(document.getElementById('position-editor-coords').value));
+    } catch (e) {
+      error.textContent = e.message;
+    }
+  });
+  
+  document.getElementById('position-editor-clear-btn').addEventListener('click', () => {
+    setupEditor.engine = createEditorEngine();
+    showPositionEditor();
+  });
+  
+  document.getElementById('position-editor-standard-btn').addEventListener('click', () => {
+    setupEditor.engine = createEditorEngine();
+    setupEditor.engine.setupStandardPosition();
+    showPositionEditor();
+  });
+  
+  document.getElementById('position-editor-start-btn').addEventListener('click', () => {
+    try {
+      startEditedGame();
+    } catch (e) {
+      error.textContent = e.message;
+    }
+  });
+  
+  document.getElementById('position-editor-close-btn').addEventListener('click', () => closePositionEditor());
+}
+
+// Open the position editor, starting from the position on the board
+function openPositionEditor() {
+  const editor = document.getElementById('position-editor');
+  if (!editor) return;
+  
+  closePieceLab();
+  leaveOnlineRoom();
+  hideMoveChoicePicker();
+  deselectCurrentPiece();
+  cancelComputerMove();
+  
+  setupEditor = { engine: createEditorEngine() };
+  Object.values(engine.pieces).forEach(piece => {
+    setupEditor.engine.addPiece(piece.coords, piece.type, piece.color).hasMoved = piece.hasMoved;
+  });
+  document.getElementById('position-editor-turn').value = engine.currentTurn;
+  
+  // Every defined piece can be placed, the custom ones from the piece lab included
+  const typeSelect = document.getElementById('position-editor-type');
+  typeSelect.innerHTML = '';
+  Object.values(PIECE_DEFINITIONS).forEach(({ type }) => {
+    const option = document.createElement('option');
+    option.value = type;
+    option.innerText = `${getPieceSymbol(type, PIECE_COLORS.WHITE)} ${pieceName(type)}`;
+    typeSelect.appendChild(option);
+  });
+  const removeOption = document.createElement('option');
+  removeOption.value = '';
+  removeOption.innerText = 'Remove pieces';
+  typeSelect.appendChild(removeOption);
+  
+  editor.style.display = 'block';
+  showPositionEditor();
+}
+
+// Close the position editor without starting a game, giving the board back to the game
+function closePositionEditor() {
+  if (!setupEditor) return;
+  
+  setupEditor = null;
+  document.getElementById('position-editor').style.display = 'none';
+  rebuildPieceMeshes();
+  updateGameStatus();
+}
+
+// Create an empty engine for a setup on the game's board, with the game's rules
+function createEditorEngine() {
+  return new NDChessEngine({
+    dimensions: engine.dimensions,
+    dimensionalFatigue: dimensionalFatigue,
+    promotionZone: promotionZone,
+    hypercastling: hypercastling,
+    topology: engine.topology
+  });
+}
+
+// Read typed coordinates such as (3,-4,0,1) for the position editor, which must be a cell of the board
+function readEditorCoords(text) {
+  const coords = text.replace(/[()\s]/g, '').split(',').map(Number);
+  if (coords.length !== engine.dimensions || !coords.every(Number.isInteger)) {
+    throw new Error(`Enter ${engine.dimensions} whole coordinates, such as (${Array(engine.dimensions).fill(0).join(',')})`);
+  }
+  if (!engine.isOnBoard(coords)) {
+    throw new Error(`(${coords.join(',')}) is off the board`);
+  }
+  return coords;
+}
+
+// Edit a clicked cell of the position editor's board, in the slice on view
+function editSetupInView(coords) {
+  editSetupAt(coords.map((coord, dim) => (viewDimensions.includes(dim) ? coord : visualizationControls.sliceCoordinates[dim])));
+}
+
+// Put the chosen piece on a cell, or take off the piece there when it is the chosen piece already
+// (or removing is chosen)
+function editSetupAt(coords) {
+  const type = document.getElementById('position-editor-type').value;
+  const color = document.getElementById('position-editor-color').value;
+  const setup = setupEditor.engine;
+  const existing = setup.getPieceAt(coords);
+  
+  if (!type || (existing && existing.type === type && existing.color === color)) {
+    setup.removePiece(coords);
+  } else {
+    // A pawn set up off its starting rank has had its chance to double step
+    setup.addPiece(coords, type, color).hasMoved = type === PIECE_TYPES.PAWN && !setup.isOnStartingRank(coords, color);
+  }
+  
+  showPositionEditor();
+}
+
+// Show the setup being edited on the board, with anything that keeps a game from starting from it
+function showPositionEditor() {
+  const setup = fitSetupToDimensions();
+  setup.currentTurn = document.getElementById('position-editor-turn').value;
+  
+  rebuildPieceMeshes();
+  
+  const placed = Object.values(setup.pieces);
+  const hidden = placed.filter(piece => !isInViewedSlice(piece.coords)).length;
+  document.getElementById('position-editor-summary').textContent = `${placed.length} pieces` +
+    (hidden > 0 ? `, ${hidden} of them in other slices (use the slice controls to see them).` : '.');
+  
+  const problems = setup.findPositionProblems();
+  document.getElementById('position-editor-error').textContent = problems.join('. ');
+  document.getElementById('position-editor-start-btn').disabled = problems.length > 0;
+}
+
+// Carry the setup over when the number of dimensions changes while editing: coordinates past the last
+// dimension are dropped and new dimensions start at 0, leaving out pieces that no longer fit the board
+function fitSetupToDimensions() {
+  const previous = setupEditor.engine;
+  if (previous.dimensions === engine.dimensions) return previous;
+  
+  setupEditor.engine = createEditorEngine();
+  Object.values(previous.pieces).forEach(piece => {
+    const coords = Array.from({ length: engine.dimensions }, (_, dim) => piece.coords[dim] || 0);
+    if (setupEditor.engine.isOnBoard(coords)) {
+      setupEditor.engine.addPiece(coords, piece.type, piece.color).hasMoved = piece.hasMoved;
+    }
+  });
+  return setupEditor.engine;
+}
+
+// Start a new game from the setup being edited
+function startEditedGame() {
+  const problems = setupEditor.engine.findPositionProblems();
+  if (problems.length > 0) throw new Error(problems[0]);
+  
+  importPosition(serializePosition(setupEditor.engine));
+}
+
+// Set up the online play dialog: the lobby of open rooms, and opening, joining and leaving rooms
+function setupOnlineDialog() {
+  const dialog = document.getElementById('online-dialog');
+  const error = document.getElementById('online-error');
+  const onlineBtn = document.getElementById('online-btn');
+  if (!dialog || !onlineBtn) return;
+  
+  onlineBtn.addEventListener('click', () => {
+    error.textContent = '';
+    dialog.style.display = 'flex';
+    refreshLobby();
+  });
+  
+  // Open a room starting from the position on the board
+  document.getElementById('online-create-btn').addEventListener('click', () => {
+    const name = document.getElementById('online-room-name').value;
+    const color = document.getElementById('online-room-color').value;
+    createRoom(name, serializePosition(engine), color).then(seat => {
+      enterRoom(seat);
+      dialog.style.display = 'none';
+    }).catch(e => {
+      error.textContent = e.message;
+    });
+  });
+  
+  document.getElementById('online-refresh-btn').addEventListener('click', () => refreshLobby());
+  
+  document.getElementById('online-leave-btn').addEventListener('click', () => {
+    leaveOnlineRoom();
+    updateGameStatus();
+    refreshLobby();
+  });
+  
+  document.getElementById('online-close-btn').addEventListener('click', () => {
+    dialog.style.display = 'none';
+  });
+  
+  // A link to a room (?room=) takes a seat there, or takes back the seat this browser holds,
+  // and a link to watch one (?watch=) follows it as a spectator
+  const params = new URLSearchParams(window.location.search);
+  if (params.get('room')) {
+    joinRoom(params.get('room')).then(enterRoom).catch(e => {
+      showMathNotification("Online Play", "∅", `Couldn't join the room: ${e.message}`);
+    });
+  } else if (params.get('watch')) {
+    fetchRoom(params.get('watch')).then(enterRoom).catch(e => {
+      showMathNotification("Online Play", "∅", `Couldn't watch the game: ${e.message}`);
+    });
+  }
+}
+
+// Fill the online dialog's lobby with the open rooms and their free seats
+function refreshLobby() {
+  const dialog = document.getElementById('online-dialog');
+  const list = document.getElementById('online-rooms');
+  const error = document.getElementById('online-error');
+  document.getElementById('online-leave-btn').disabled = !onlineRoom;
+  
+  listRooms().then(rooms => {
+    list.innerHTML = '';
+    if (rooms.length === 0) {
+      list.innerHTML = '<p class="small text-muted mb-0">No rooms are open yet.</p>';
+      return;
+    }
+    
+    rooms.forEach(room => {
+      const row = document.createElement('div');
+      row.className = 'topology-row';
+      
+      const label = document.createElement('span');
+      label.className = 'small flex-grow-1';
+      label.innerText = `${room.name} · ${room.dimensions}D · ${room.moves} moves · ${room.spectators} watching` +
+        (room.over ? ' · finished' : '');
+      row.appendChild(label);
+      
+      const watchBtn = document.createElement('button');
+      watchBtn.className = 'btn btn-outline-info btn-sm';
+      watchBtn.innerText = 'Watch';
+      watchBtn.addEventListener('click', () => {
+        fetchRoom(room.id).then(watched => {
+          enterRoom(watched);
+          dialog.style.display = 'none';
+        }).catch(e => {
+          error.textContent = e.message;
+        });
+      });
+      row.appendChild(watchBtn);
+      
+      // Finished games can only be watched
+      if (room.over) {
+        list.appendChild(row);
+        return;
+      }
+      
+      // One button per free seat; a full room can only be rejoined with the seat this browser holds
+      const freeSeats = Object.values(PIECE_COLORS).filter(color => !room.seats[color]);
+      (freeSeats.length > 0 ? freeSeats : [null]).forEach(color => {
+        const seatBtn = document.createElement('button');
+        seatBtn.className = 'btn btn-outline-light btn-sm';
+        seatBtn.innerText = color ? `Play ${color === PIECE_COLORS.WHITE ? 'White' : 'Black'}` : 'Rejoin';
+        seatBtn.addEventListener('click', () => {
+          joinRoom(room.id, color).then(seat => {
+            enterRoom(seat);
+            dialog.style.display = 'none';
+          }).catch(e => {
+            error.textContent = e.message;
+          });
+        });
+        row.appendChild(seatBtn);
+      });
+      
+      list.appendChild(row);
+    });
+  }).catch(e => {
+    error.textContent = `The lobby couldn't be reached: ${e.message}`;
+  });
+}
+
+// Play in an online room from a seat, or watch it when there's no seat: start from the room's position,
+// then follow its channel, which replays the moves already made before relaying new ones. The camera,
+// view dimensions and slices stay this board's own, so spectators look around as they like
+function enterRoom(seat) {
+  importPosition(seat.position);
+  
+  onlineRoom = {
+    id: seat.room.id,
+    name: seat.room.name,
+    color: seat.color || null,
+    token: seat.token || null,
+    opponentSeated: false,
+    spectators: seat.room.spectators,
+    resyncing: false, // Set while reloading the game from the room
+    resyncedAt: null, // Ply of the move that made us reload, if one did
+    source: null
+  };
+  onlineRoom.source = followRoom(onlineRoom.id, applyRoomEvent, (event) => {
+    // EventSource retries dropped connections by itself, and only gives up once the room is gone
+    // (or the server is following too many games to take another stream)
+    if (event.target.readyState !== EventSource.CLOSED || !onlineRoom || event.target !== onlineRoom.source) return;
+    showMathNotification("Room Closed", "∅", `The room ${onlineRoom.name} has closed, or the server is too busy to follow it.`);
+    leaveOnlineRoom();
+    updateGameStatus();
+  }, !onlineRoom.color);
+  
+  // Keep the room in the address, so a reload (or the link sent to a friend) comes back to it
+  setAddressParam(onlineRoom.color ? 'room' : 'watch', onlineRoom.id);
+  updateGameStatus();
+}
+
+// Stop playing or watching in the online room (a seat stays ours, to take back from the lobby)
+function leaveOnlineRoom() {
+  if (!onlineRoom) return;
+  
+  onlineRoom.source.close();
+  onlineRoom = null;
+  setAddressParam('room', null);
+  setAddressParam('watch', null);
+}
+
+// Apply an event from the online room's channel. Moves are played in order through movePiece: our own
+// moves come back already on the board, and are skipped. Resignations and draw offers come back too,
+// and take effect on every board at once
+function applyRoomEvent(event) {
+  if (!onlineRoom || onlineRoom.resyncing) return;
+  
+  if (event.type === 'resign') {
+    endGame({ winner: oppositeColor(event.color), reason: 'resignation' });
+    return;
+  }
+  if (event.type === 'accept-draw') {
+    endGame({ winner: null, reason: 'agreement' });
+    return;
+  }
+  if (event.type === 'offer-draw') {
+    offerDraw(event.color);
+    return;
+  }
+  if (event.type === 'seat') {
+    if (event.color !== onlineRoom.color) onlineRoom.opponentSeated = true;
+    updateOnlineStatus();
+    return;
+  }
+  if (event.type === 'spectators') {
+    onlineRoom.spectators = event.count;
+    updateOnlineStatus();
+    return;
+  }
+  if (event.type !== 'move' || event.ply < engine.history.length) return;
+  
+  try {
+    const move = parseMove(event.move, engine);
+    const key = move.from.join(',');
+    movePiece({ piece: pieces[key], coords: [...move.from], key: key }, move.to, move.promotion || null, move.castling || null);
+    updateGameStatus();
+  } catch (e) {
+    // A second failure at the same move means the boards can't agree on it, so stop there
+    if (onlineRoom.resyncedAt === event.ply) {
+      showMathNotification("Online Play", "∅", `Move ${event.ply + 1} from the room isn't legal on this board (${e.message}). Leaving the room.`);
+      leaveOnlineRoom();
+      updateGameStatus();
+      return;
+    }
+    showMathNotification("Online Play", "∅", `Move ${event.ply + 1} from the room couldn't be played (${e.message}). Reloading the game from the room.`);
+    resyncOnlineRoom(event.ply);
+  }
+}
+
+// Start over from the room's own record of the game, taking our seat back (or watching again),
+// remembering the move that made us resync
+function resyncOnlineRoom(ply) {
+  const room = onlineRoom;
+  room.resyncing = true;
+  
+  (room.color ? joinRoom(room.id) : fetchRoom(room.id)).then(seat => {
+    if (onlineRoom !== room) return;
+    enterRoom(seat);
+    onlineRoom.resyncedAt = ply;
+  }).catch(() => {
+    if (onlineRoom !== room) return;
+    leaveOnlineRoom();
+    updateGameStatus();
+  });
+}
+
+// Send the move just played on the board to the online room
+function sendOnlineMove() {
+  if (!onlineRoom) return;
+  
+  const room = onlineRoom;
+  const ply = engine.history.length - 1;
+  sendMove(room.id, room.token, ply, moveList[ply]).catch(e => {
+    showMathNotification("Move Not Sent", "∅", e.message);
+    
+    // Start over from the room's own record of the game
+    if (onlineRoom === room) resyncOnlineRoom(null);
+  });
+}
+
+// Set or remove (with a null value) a parameter in the page's address, without reloading the page
+function setAddressParam(name, value) {
+  const params = new URLSearchParams(window.location.search);
+  if (value) {
+    params.set(name, value);
+  } else {
+    params.delete(name);
+  }
+  
+  const query = params.toString();
+  window.history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
+}
+
+// Resume the saved game named in the page's address (?game=), replaying its record. A game started in
+// another browser can't be changed without its write token, so it is saved on as a copy of our own
+function resumeSavedGame() {
+  const params = new URLSearchParams(window.location.search);
+  const gameId = params.get('game');
+  if (!gameId || params.get('room') || params.get('watch')) return;
+  
+  fetchGameRecord(gameId).then(record => {
+    importGameRecord(record);
+    
+    // Carry on saving to the same game, if it is ours
+    const token = gameToken(gameId);
+    if (!token) return;
+    savedGame = { id: gameId, token: token, position: gameStartPosition, moves: parseGameRecord(record).moves, result: gameResult ? resultTag(gameResult) : null };
+    setAddressParam('game', gameId);
+  }).catch(e => {
+    setAddressParam('game', null);
+    showMathNotification("Saved Game", "∅", `Couldn't resume the game: ${e.message}`);
+  });
+}
+
+// Stop saving to the current saved game, so the next move starts a new one
+function forgetSavedGame() {
+  savedGame = null;
+  setAddressParam('game', null);
+}
+
+// Save the game to the server whenever it changes, so a reload or crash can resume it from the
+// ?game= address. Games in online rooms are kept by their room instead
+function autosaveGame() {
+  saveQueue = saveQueue.then(() => syncSavedGame()).catch(e => {
+    console.log("Couldn't save the game:", e);
+  });
+}
+
+// Bring the server's copy of the game up to date, sending only what differs: the game itself from its
+// first move, then each move played, taking back or replacing moves that were undone, then the result
+async function syncSavedGame() {
+  if (!engine || setupEditor || onlineRoom) return;
+  
+  if (savedGame && savedGame.position !== gameStartPosition) forgetSavedGame();
+  if (!savedGame) {
+    if (engine.history.length === 0 || unsavableStart === gameStartPosition) return;
+    
+    // Custom pieces only exist in the browser whose piece lab made them, so the server can't read a game
+    // starting with one. Say so once, rather than failing quietly after every move
+    const customTypes = customPieces.map(piece => piece.type);
+    if (parsePosition(gameStartPosition).pieces.some(piece => customTypes.includes(piece.type))) {
+      unsavableStart = gameStartPosition;
+      showMathNotification("Saved Game", "∅", "This game starts with custom pieces from the piece lab, so it can't be saved on the server.");
+      return;
+    }
+    
+    const position = gameStartPosition;
+    const created = await createGame(position);
+    savedGame = { id: created.id, token: created.token, position: position, moves: [], result: null };
+    setAddressParam('game', created.id);
+  }
+  
+  // The game may change while a save is on its way, so compare again after each one
+  const game = savedGame;
+  while (savedGame === game) {
+    const plies = engine.history.length;
+    let ply = 0;
+    while (ply < plies && ply < game.moves.length && game.moves[ply] === moveList[ply]) ply++;
+    
+    if (ply < plies) {
+      const move = moveList[ply];
+      await saveMove(game.id, game.token, ply, move);
+      game.moves = [...game.moves.slice(0, ply), move];
+    } else if (ply < game.moves.length) {
+      await takeBackMoves(game.id, game.token, ply);
+      game.moves = game.moves.slice(0, ply);
+    } else {
+      break;
+    }
+    game.result = null;
   }
   
-  // Update the piece's coordinates
-  piece.coords = [...newCoords];
+  const result = gameResult ? resultTag(gameResult) : null;
+  if (savedGame === game && result !== game.result) {
+    await saveResult(game.id, game.token, result, gameResult ? gameResult.reason : null);
+    game.result = result;
+  }
+}
+
+// Show which room we're playing (and at which seat) or watching, or hide the line when playing locally
+function updateOnlineStatus() {
+  const status = document.getElementById('online-status');
+  if (!status) return;
   
-  // Update the pieces lookup
-  delete pieces[key];
-  pieces[newKey] = piece;
+  status.style.display = onlineRoom ? '' : 'none';
+  if (!onlineRoom) return;
   
-  // Create a multi-dimensional ripple effect
-  createDimensionalRipple(
-    coords[viewDimensions[0]] * TILE_SIZE, 
-    coords[viewDimensions[1]] * TILE_SIZE, 
-    newCoords[viewDimensions[0]] * TILE_SIZE, 
-    newCoords[viewDimensions[1]] * TILE_SIZE, 
-    isCapture
-  );
+  const watching = onlineRoom.spectators > 0 ? ` · ${onlineRoom.spectators} watching` : '';
+  if (!onlineRoom.color) {
+    status.textContent = `Watching ${onlineRoom.name}${watching}`;
+    return;
+  }
   
-  // Calculate the complexity score for this move
-  const complexityScore = calculateMoveComplexity(coords, newCoords, piece, isCapture);
+  const side = onlineRoom.color === PIECE_COLORS.WHITE ? 'White' : 'Black';
+  status.textContent = `Online in ${onlineRoom.name}, playing ${side}` +
+    (onlineRoom.opponentSeated ? '' : ' (waiting for an opponent)') + watching;
+}
+
+// Set up the clock dialog used to choose a time control: the kind of clock, each side's time, the increment
+// or delay, and the variant rule that gives bonus time for moves through higher dimensions
+function setupClockDialog() {
+  const dialog = document.getElementById('clock-dialog');
+  const modeSelect = document.getElementById('clock-mode');
+  const error = document.getElementById('clock-error');
+  const clockBtn = document.getElementById('clock-btn');
+  if (!dialog || !modeSelect || !clockBtn) return;
+  
+  const noClock = document.createElement('option');
+  noClock.value = '';
+  noClock.innerText = 'No clock';
+  modeSelect.appendChild(noClock);
+  
+  Object.entries(CLOCK_MODE_LABELS).forEach(([mode, { label }]) => {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.innerText = label;
+    modeSelect.appendChild(option);
+  });
   
-  // Update the complexity score display
-  updateComplexityScore(complexityScore);
+  // Show only the settings the chosen clock uses
+  const showClockSettings = () => {
+    const mode = CLOCK_MODE_LABELS[modeSelect.value];
+    document.getElementById('clock-settings').style.display = mode ? '' : 'none';
+    document.getElementById('clock-extra-row').style.display = mode && mode.extra ? '' : 'none';
+    if (mode && mode.extra) {
+      document.getElementById('clock-extra-label').innerText = mode.extra;
+    }
+  };
+  modeSelect.addEventListener('change', showClockSettings);
   
-  // For hyperpiece movements through higher dimensions, provide mathematical explanations
-  if (!isCapture && isHigherDimensionalMove) {
-    // Determine which hyperpiece is moving
-    let mathInfo;
-    if (piece.type === PIECE_TYPES.HYPERROOK) {
-      mathInfo = HYPERPIECE_MATH.hyperrook;
-    } else if (piece.type === PIECE_TYPES.HYPERBISHOP) {
-      mathInfo = HYPERPIECE_MATH.hyperbishop;
-    } else if (piece.type === PIECE_TYPES.HYPERKNIGHT) {
-      mathInfo = HYPERPIECE_MATH.hyperknight;
-    } else {
-      mathInfo = DIMENSIONAL_MATH.transport;
+  clockBtn.addEventListener('click', () => {
+    modeSelect.value = clockSettings ? clockSettings.mode : '';
+    error.textContent = '';
+    showClockSettings();
+    dialog.style.display = 'flex';
+  });
+  
+  // Both sides get the full time again, whether or not the game has started
+  document.getElementById('clock-set-btn').addEventListener('click', () => {
+    try {
+      clockSettings = readClockSettings();
+      resetClock();
+      updateGameStatus();
+      dialog.style.display = 'none';
+    } catch (e) {
+      error.textContent = e.message;
     }
-    
-    // Create movement description
-    const fromCoords = `(${coords.join(', ')})`;
-    const toCoords = `(${newCoords.join(', ')})`;
-    
-    showMathNotification(
-      `${piece.type.charAt(0).toUpperCase() + piece.type.slice(1)} Transport`,
-      mathInfo.formula,
-      `Moving from ${fromCoords} to ${toCoords} through dimensional space. ${mathInfo.fact}`
-    );
-    
-    // Update math panel with dimensional transport information
-    document.getElementById('current-formula').textContent = mathInfo.formula;
-    document.getElementById('math-explanation').textContent = mathInfo.explanation;
-    document.getElementById('math-fact').textContent = mathInfo.fact;
+  });
+  
+  document.getElementById('clock-close-btn').addEventListener('click', () => {
+    dialog.style.display = 'none';
+  });
+  
+  setInterval(tickClock, 100);
+}
+
+// Read the time control chosen in the clock dialog as NDChessClock options, or null for no clock
+// (throws if a time is invalid)
+function readClockSettings() {
+  const mode = document.getElementById('clock-mode').value;
+  if (!mode) return null;
+  
+  const minutes = Number(document.getElementById('clock-minutes').value);
+  const extra = CLOCK_MODE_LABELS[mode].extra ? Number(document.getElementById('clock-extra').value) : 0;
+  const bonus = document.getElementById('clock-bonus-enabled').checked ? Number(document.getElementById('clock-bonus').value) : 0;
+  
+  if (!(minutes > 0)) throw new Error("Each side needs some time on the clock");
+  if (!(extra >= 0) || !(bonus >= 0)) throw new Error("Seconds added per move can't be negative");
+  
+  return { mode: mode, initialTime: minutes * 60000, increment: extra * 1000, dimensionBonus: bonus * 1000 };
+}
+
+// Give both sides the full time of the chosen time control. The clock runs from the next move on
+function resetClock() {
+  clock = clockSettings ? new NDChessClock(clockSettings) : null;
+  clockPly = engine.history.length;
+  showClocks();
+}
+
+// Keep the clock with the game: press it for the move just played (with its dimension bonus), and after
+// anything else (undo, jumps, loads) run the time of the side to move. It stops while the game is over,
+// being edited, or played online, where each board would keep its own time, and back before the first
+// move, since it only starts with one
+function updateClock() {
+  if (!clock) return;
+  
+  const plies = engine.history.length;
+  if (gameResult || setupEditor || onlineRoom || plies === 0) {
+    clock.stop();
+  } else if (plies === clockPly + 1) {
+    const record = engine.history[plies - 1];
+    const higherDimensions = engine.getMoveDimensions(record.move.from, record.move.to).filter(dim => dim >= 3).length;
+    clock.press(record.piece.color, higherDimensions);
+  } else {
+    clock.start(engine.currentTurn);
   }
+  clockPly = plies;
   
-  // If move uses dimensional fatigue, display that information
-  if (dimensionalFatigue && isHigherDimensionalMove) {
-    // Calculate dimensions used
-    const dimsUsed = coords.reduce((count, coord, index) => {
-      if (index >= 3 && coord !== newCoords[index]) {
-        return count + 1;
-      }
-      return count;
-    }, 0);
-    
-    // If multiple dimensions used, show fatigue information
-    if (dimsUsed > 1) {
-      setTimeout(() => {
-        showMathNotification(
-          "Dimensional Fatigue",
-          DIMENSIONAL_MATH.fatigue.formula,
-          `Using ${dimsUsed} higher dimensions simultaneously reduces range by factor of ${Math.pow(2, dimsUsed-1)}.`
-        );
-      }, 2000); // Delay this notification to show after the movement one
+  showClocks();
+}
+
+// Count the clock down on screen, and end the game when the running side's time runs out
+function tickClock() {
+  if (!clock || !clock.running) return;
+  
+  showClocks();
+  
+  const flagged = clock.flagged();
+  if (!flagged || gameResult) return;
+  
+  clock.stop();
+  endGame({ winner: oppositeColor(flagged), reason: 'timeout' });
+}
+
+// Show both sides' time next to the current turn, marking the side whose time is running
+function showClocks() {
+  const clocks = document.getElementById('game-clocks');
+  if (!clocks) return;
+  
+  clocks.style.display = clock && !onlineRoom ? '' : 'none';
+  if (!clock) return;
+  
+  Object.values(PIECE_COLORS).forEach(color => {
+    const face = document.getElementById(`clock-${color}`);
+    const time = clock.timeLeft(color);
+    
+    face.textContent = formatClockTime(time);
+    if (time === 0 || (clock.running === color && time < LOW_TIME)) {
+      face.className = 'badge clock-face bg-danger';
+    } else if (clock.running === color) {
+      face.className = 'badge clock-face bg-warning text-dark';
+    } else {
+      face.className = 'badge clock-face bg-secondary';
+    }
+  });
+}
+
+// Set up resigning, offering and accepting draws, and the results modal shown when a game ends
+function setupGameActions() {
+  const resignBtn = document.getElementById('resign-btn');
+  const drawBtn = document.getElementById('draw-btn');
+  const modal = document.getElementById('results-modal');
+  if (!resignBtn || !drawBtn || !modal) return;
+  
+  resignBtn.addEventListener('click', () => resignGame());
+  drawBtn.addEventListener('click', () => offerOrAcceptDraw());
+  
+  const hideResults = () => {
+    modal.style.display = 'none';
+  };
+  document.getElementById('results-close').addEventListener('click', hideResults);
+  document.getElementById('results-review-btn').addEventListener('click', hideResults);
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) hideResults();
+  });
+  
+  document.getElementById('results-export-btn').addEventListener('click', () => {
+    downloadGameRecord(formatGameRecord(engine, {}, gameResult));
+  });
+}
+
+// Get the side the resign and draw buttons act for: our seat online (none when watching), the player's
+// side against the computer, and otherwise the side to move
+function actingColor() {
+  if (onlineRoom) return onlineRoom.color;
+  if (computerColor) return oppositeColor(computerColor);
+  return engine.currentTurn;
+}
+
+// Resign the game for the side the buttons act for
+function resignGame() {
+  const color = actingColor();
+  if (!color || gameResult) return;
+  if (!confirm(`Resign the game for ${color === PIECE_COLORS.WHITE ? "White" : "Black"}?`)) return;
+  
+  // Online, the room's channel ends the game on every board
+  if (onlineRoom) {
+    sendRoomAction('resign');
+    return;
+  }
+  endGame({ winner: oppositeColor(color), reason: 'resignation' });
+}
+
+// Offer a draw for the side the buttons act for, or accept the other side's standing offer.
+// The computer answers an offer at once, accepting unless it thinks it is ahead
+function offerOrAcceptDraw() {
+  const color = actingColor();
+  if (!color || gameResult) return;
+  
+  const accepting = drawOfferStands() && drawOffer.color !== color;
+  if (onlineRoom) {
+    sendRoomAction(accepting ? 'accept-draw' : 'offer-draw');
+  } else if (accepting) {
+    endGame({ winner: null, reason: 'agreement' });
+  } else if (computerColor) {
+    const analysis = analyzePosition(engine);
+    const computerScore = computerColor === PIECE_COLORS.WHITE ? analysis.total : -analysis.total;
+    if (computerScore <= 0) {
+      endGame({ winner: null, reason: 'agreement' });
+    } else {
+      showMathNotification("Draw Declined", "½ ≠ ½", "The computer thinks it is ahead, and plays on.");
     }
+  } else {
+    offerDraw(color);
+  }
+}
+
+// Put a side's draw offer on the table
+function offerDraw(color) {
+  drawOffer = { color: color, ply: engine.history.length };
+  
+  const side = color === PIECE_COLORS.WHITE ? "White" : "Black";
+  const other = color === PIECE_COLORS.WHITE ? "Black" : "White";
+  showMathNotification("Draw Offered", "½ - ½ ?", `${side} offers a draw. ${other} can accept it until they move.`);
+  updateGameActions();
+}
+
+// Check whether a draw offer stands: the game is on, and the other side hasn't moved since it was made
+function drawOfferStands() {
+  if (!drawOffer || gameResult || engine.history.length < drawOffer.ply) return false;
+  return engine.history.slice(drawOffer.ply).every(record => record.piece.color === drawOffer.color);
+}
+
+// Send a resignation or draw offer to the online room, which relays it back to every board
+function sendRoomAction(action) {
+  sendAction(onlineRoom.id, onlineRoom.token, action).catch(e => {
+    showMathNotification("Online Play", "∅", e.message);
+  });
+}
+
+// End the game without a move: on time, by resignation or by agreement
+function endGame(result) {
+  cancelComputerMove();
+  hideMoveChoicePicker();
+  deselectCurrentPiece();
+  
+  gameResult = result;
+  updateGameStatus();
+  showResultsModal();
+}
+
+// Enable resigning and offering (or accepting) a draw while the game is on, for the side the buttons act for
+function updateGameActions() {
+  const resignBtn = document.getElementById('resign-btn');
+  const drawBtn = document.getElementById('draw-btn');
+  if (!resignBtn || !drawBtn || !engine) return;
+  
+  // An offer lapses once the moves it was made after are taken back
+  if (drawOffer && engine.history.length < drawOffer.ply) drawOffer = null;
+  
+  const color = actingColor();
+  const playing = !gameResult && !setupEditor && !!color;
+  const offered = drawOfferStands();
+  
+  resignBtn.disabled = !playing;
+  drawBtn.disabled = !playing || (offered && drawOffer.color === color);
+  if (offered && drawOffer.color !== color) {
+    drawBtn.innerHTML = '<i class="bi bi-hand-thumbs-up me-1"></i> Accept Draw';
+  } else if (offered) {
+    drawBtn.innerHTML = '<i class="bi bi-hourglass-split me-1"></i> Draw Offered';
+  } else {
+    drawBtn.innerHTML = '<i class="bi bi-hand-thumbs-up me-1"></i> Offer Draw';
   }
 }
 
+// Show the results of the game that has ended: who won and how, each side's complexity total over the
+// moves played, and the pieces each side captured with their material value
+function showResultsModal() {
+  const modal = document.getElementById('results-modal');
+  if (!modal || !gameResult) return;
+  
+  const description = gameResult.winner ? WIN_DESCRIPTIONS[gameResult.reason] : DRAW_DESCRIPTIONS[gameResult.reason];
+  document.getElementById('results-winner').textContent = gameResult.winner ?
+    `${gameResult.winner === PIECE_COLORS.WHITE ? "White" : "Black"} wins` : "Draw";
+  document.getElementById('results-reason').textContent = description.title;
+  
+  Object.values(PIECE_COLORS).forEach(color => {
+    const complexity = engine.history
+      .filter(record => record.piece.color === color)
+      .reduce((total, record) => total + record.complexity, 0);
+    const captured = engine.capturedPieces[color];
+    const material = captured.reduce((total, piece) => total + pieceValue(piece.type), 0) / 100;
+    
+    document.getElementById(`results-${color}-complexity`).textContent = Math.round(complexity * 10) / 10;
+    document.getElementById(`results-${color}-captures`).textContent =
+      captured.map(piece => getPieceSymbol(piece.type, piece.color)).join(' ') || '-';
+    document.getElementById(`results-${color}-material`).textContent = material;
+  });
+  
+  modal.style.display = 'flex';
+}
+
+// Enable the undo and redo buttons only when there is a move to take back or replay
+function updateUndoRedoButtons() {
+  const undoMoveBtn = document.getElementById('undo-move-btn');
+  const redoMoveBtn = document.getElementById('redo-move-btn');
+  
+  if (undoMoveBtn) undoMoveBtn.disabled = !engine || !!onlineRoom || resultIsFinal() || engine.history.length === 0;
+  if (redoMoveBtn) redoMoveBtn.disabled = !engine || !!onlineRoom || resultIsFinal() || !engine.nextRedoMove();
+}
+
+// Check whether the game ended in a way no move can take back: a resignation, a draw agreement or a
+// loss on time. Results the rules worked out from the position reopen when its moves are undone
+function resultIsFinal() {
+  return !!gameResult && ['resignation', 'agreement', 'timeout'].includes(gameResult.reason);
+}
+
 // Animate piece movement
 function animatePieceMovement(pieceMesh, targetX, targetZ, isCapture, originalY) {
   // Save original position
@@ -2448,8 +4181,7 @@ function animatePieceMovement(pieceMesh, targetX, targetZ, isCapture, originalY)
 
 // Animate piece capture
 function animatePieceCapture(pieceMesh) {
-  // Original scale and position
-  const originalScale = { x: pieceMesh.scale.x, y: pieceMesh.scale.y, z: pieceMesh.scale.z };
+  // Original position
   const originalPosition = { x: pieceMesh.position.x, y: pieceMesh.position.y, z: pieceMesh.position.z };
   
   // Animation duration in milliseconds
@@ -2482,6 +4214,39 @@ function animatePieceCapture(pieceMesh) {
   animateStep();
 }
 
+// Animate a captured piece returning to the board (the capture animation in reverse)
+function animatePieceRestore(pieceMesh) {
+  const targetPosition = { x: pieceMesh.position.x, y: pieceMesh.position.y, z: pieceMesh.position.z };
+  
+  // Animation duration in milliseconds
+  const duration = 400;
+  const startTime = Date.now();
+  
+  function animateStep() {
+    const now = Date.now();
+    const elapsed = now - startTime;
+    const progress = Math.min(elapsed / duration, 1.0);
+    
+    // Scale up from nothing
+    pieceMesh.scale.set(progress, progress, progress);
+    
+    // Spin and descend
+    pieceMesh.rotation.y -= 0.2;
+    pieceMesh.position.y = targetPosition.y + (1 - progress) * 2;
+    
+    // Continue animation if not complete
+    if (progress < 1.0) {
+      requestAnimationFrame(animateStep);
+    } else {
+      pieceMesh.rotation.y = 0;
+      pieceMesh.position.y = targetPosition.y;
+    }
+  }
+  
+  // Start animation
+  animateStep();
+}
+
 // Create a dimensional ripple effect when pieces move
 function createDimensionalRipple(startX, startZ, targetX, targetZ, isCapture) {
   // Create a ring geometry
@@ -2556,7 +4321,7 @@ function changeChessboardOrientation() {
       // Check if it's a chess tile
       for (const key in board) {
         if (board[key] === child) {
-          tilesToMove.push({ child, key });
+          tilesToMove.push(child);
           return;
         }
       }
@@ -2564,14 +4329,14 @@ function changeChessboardOrientation() {
       // Check if it's a chess piece
       for (const key in pieces) {
         if (pieces[key].mesh === child) {
-          piecesToMove.push({ child, key });
+          piecesToMove.push(child);
           return;
         }
       }
     });
     
     // Move tiles to container
-    tilesToMove.forEach(({ child, key }) => {
+    tilesToMove.forEach(child => {
       const worldPos = child.position.clone();
       scene.remove(child);
       boardContainer.add(child);
@@ -2580,7 +4345,7 @@ function changeChessboardOrientation() {
     });
     
     // Move pieces to container
-    piecesToMove.forEach(({ child, key }) => {
+    piecesToMove.forEach(child => {
       const worldPos = child.position.clone();
       scene.remove(child);
       boardContainer.add(child);
@@ -2734,18 +4499,251 @@ function createDimensionalRift() {
   animateRift();
 }
 
-// Switch turns
-function switchTurn() {
-  currentTurn = currentTurn === PIECE_COLORS.WHITE ? PIECE_COLORS.BLACK : PIECE_COLORS.WHITE;
-  updateGameStatus();
-}
-
 // Update game status display
 function updateGameStatus() {
+  updateUndoRedoButtons();
+  updateGameActions();
+  updateOnlineStatus();
+  autosaveGame();
+  renderMoveList();
+  
+  const currentTurn = engine.currentTurn;
+  const turnName = currentTurn === PIECE_COLORS.WHITE ? "White" : "Black";
+  const inCheck = engine.isInCheck(currentTurn);
+  
+  // Ask the engine whether the game has ended (no legal moves, or one of the draw rules)
+  if (!gameResult) {
+    gameResult = engine.isGameOver();
+    
+    if (gameResult && gameResult.reason === 'checkmate') {
+      showMathNotification(
+        "Checkmate!",
+        `ℝ${activeDimensions.length}`,
+        `${gameResult.winner === PIECE_COLORS.WHITE ? "White" : "Black"} wins: every escape for ${turnName}'s king is covered across ${activeDimensions.length} dimensions.`
+      );
+    } else if (gameResult) {
+      const draw = DRAW_DESCRIPTIONS[gameResult.reason];
+      showMathNotification(draw.title, "½ - ½", draw.text(turnName));
+    } else if (inCheck) {
+      showMathNotification(
+        "Check!",
+        `ℝ${activeDimensions.length}`,
+        `${turnName}'s king is under attack.`
+      );
+    }
+    
+    if (gameResult) {
+      updateGameActions();
+      showResultsModal();
+    }
+  }
+  
+  updateClock();
+  updateEvaluationBar();
+  
   if (gameStatusElement) {
-    gameStatusElement.textContent = currentTurn === PIECE_COLORS.WHITE ? "White" : "Black";
-    gameStatusElement.className = currentTurn === PIECE_COLORS.WHITE ? "badge bg-light text-dark" : "badge bg-dark";
+    if (gameResult) {
+      if (gameResult.winner) {
+        gameStatusElement.textContent = `${WIN_DESCRIPTIONS[gameResult.reason].title} - ${gameResult.winner === PIECE_COLORS.WHITE ? "White" : "Black"} wins`;
+      } else {
+        gameStatusElement.textContent = `${DRAW_DESCRIPTIONS[gameResult.reason].title} - Draw`;
+      }
+      gameStatusElement.className = "badge bg-danger";
+      return;
+    }
+    
+    gameStatusElement.textContent = inCheck ? `${turnName} (check)` : turnName;
+    if (isComputerTurn()) {
+      gameStatusElement.textContent += " - computer thinking...";
+    } else if (onlineRoom && onlineRoom.color && currentTurn !== onlineRoom.color) {
+      gameStatusElement.textContent += " - opponent's move";
+    }
+    if (inCheck) {
+      gameStatusElement.className = "badge bg-warning text-dark";
+    } else {
+      gameStatusElement.className = currentTurn === PIECE_COLORS.WHITE ? "badge bg-light text-dark" : "badge bg-dark";
+    }
+  }
+  
+  // Let the computer reply when it is its turn
+  scheduleComputerMove();
+}
+
+// Ask the evaluation worker to analyze the current position for the evaluation bar
+function updateEvaluationBar() {
+  if (!document.getElementById('evaluation-score') || !document.getElementById('evaluation-fill') || !engine) return;
+  
+  if (!evaluationWorker) {
+    evaluationWorker = new Worker('/static/nd_evaluation_worker.js', { type: 'module' });
+    evaluationWorker.addEventListener('message', (event) => showEvaluation(event.data));
+    evaluationWorker.addEventListener('error', (event) => console.log('Evaluation failed:', event.message));
+  }
+  
+  evaluationWorker.postMessage({
+    id: ++evaluationCount,
+    position: serializePosition(engine),
+    restrictedDimensions: engine.restrictedDimensions,
+    pieces: customPieces
+  });
+}
+
+// Show who is ahead according to the static evaluation, with its terms in the bar's tooltip
+function showEvaluation(result) {
+  // A reply to an earlier position is out of date once another has been asked about
+  if (result.id !== evaluationCount) return;
+  if (result.error) {
+    console.log('Evaluation failed:', result.error);
+    return;
   }
+  
+  const scoreElement = document.getElementById('evaluation-score');
+  const bar = document.getElementById('evaluation-bar');
+  const fill = document.getElementById('evaluation-fill');
+  const { analysis } = result;
+  
+  // Map centipawns to White's share of the bar, saturating a few pawns either way
+  let whiteShare = 1 / (1 + Math.exp(-analysis.total / 400));
+  let scoreText = `${analysis.total > 0 ? '+' : ''}${(analysis.total / 100).toFixed(2)}`;
+  
+  if (gameResult && gameResult.winner) {
+    whiteShare = gameResult.winner === PIECE_COLORS.WHITE ? 1 : 0;
+    scoreText = gameResult.winner === PIECE_COLORS.WHITE ? '1-0' : '0-1';
+  } else if (gameResult) {
+    whiteShare = 0.5;
+    scoreText = '½-½';
+  }
+  
+  fill.style.width = `${(whiteShare * 100).toFixed(1)}%`;
+  scoreElement.textContent = scoreText;
+  
+  if (bar) {
+    const white = analysis.mobilityByDimension[PIECE_COLORS.WHITE];
+    const black = analysis.mobilityByDimension[PIECE_COLORS.BLACK];
+    const mobilityLines = white.map((count, dim) => `  D${dim + 1}: ${count} / ${black[dim]}`);
+    
+    bar.title = [
+      `Material: ${analysis.material}`,
+      `Mobility: ${analysis.mobility}`,
+      `King safety: ${analysis.kingSafety}`,
+      `Pawn advancement: ${analysis.pawnAdvance}`,
+      `Moves per dimension (White / Black):`,
+      ...mobilityLines
+    ].join('\n');
+  }
+}
+
+// Check whether the computer opponent is to move in a game that hasn't ended (and isn't being edited or played online)
+function isComputerTurn() {
+  return !!engine && !gameResult && !setupEditor && !onlineRoom && computerColor === engine.currentTurn;
+}
+
+// Start the computer's search in its Web Worker, unless it is already searching this position
+function scheduleComputerMove() {
+  if (!isComputerTurn()) {
+    cancelComputerMove();
+    return;
+  }
+  
+  const position = serializePosition(engine);
+  if (computerSearch && computerSearch.position === position) return;
+  
+  cancelComputerMove();
+  
+  if (!computerWorker) {
+    computerWorker = new Worker('/static/nd_chess_ai_worker.js', { type: 'module' });
+    computerWorker.addEventListener('message', (event) => playComputerMove(event.data));
+    computerWorker.addEventListener('error', (event) => {
+      const search = computerSearch;
+      cancelComputerMove();
+      if (search) playFallbackMove(search.position, event.message);
+    });
+  }
+  
+  const level = DIFFICULTY_LEVELS[computerDifficulty];
+  computerSearch = { id: ++computerSearchCount, position: position };
+  computerWorker.postMessage({
+    id: computerSearch.id,
+    position: position,
+    startPosition: gameStartPosition,
+    moves: moveList.slice(0, engine.history.length),
+    restrictedDimensions: engine.restrictedDimensions,
+    pieces: customPieces,
+    maxDepth: level.maxDepth,
+    timeLimit: level.timeLimit,
+    weights: level.weights
+  });
+}
+
+// Abandon the computer's current search (a busy worker is terminated, since it can't be interrupted)
+function cancelComputerMove() {
+  if (!computerSearch) return;
+  
+  computerSearch = null;
+  if (computerWorker) {
+    computerWorker.terminate();
+    computerWorker = null;
+  }
+}
+
+// Play the move found by the computer's search, if the board hasn't changed since it started
+function playComputerMove(result) {
+  if (!computerSearch || result.id !== computerSearch.id) return;
+  
+  const { position } = computerSearch;
+  computerSearch = null;
+  
+  if (result.error || !result.move) {
+    playFallbackMove(position, result.error || "the search found no move");
+    return;
+  }
+  if (!isComputerTurn() || serializePosition(engine) !== position) return;
+  
+  const { move } = result;
+  const key = move.from.join(',');
+  movePiece({ piece: pieces[key], coords: [...move.from], key: key }, move.to, move.promotion || null, move.castling || null);
+  updateGameStatus();
+}
+
+// When the computer's search fails, say so and play a random legal move instead, so the game goes on
+function playFallbackMove(position, reason) {
+  if (!isComputerTurn() || serializePosition(engine) !== position) return;
+  
+  const moves = engine.generateMoves();
+  if (moves.length === 0) return;
+  
+  showMathNotification("Computer Opponent", "∅", `The computer's search failed (${reason}), so it plays a random move.`);
+  
+  const move = moves[Math.floor(Math.random() * moves.length)];
+  const key = move.from.join(',');
+  movePiece({ piece: pieces[key], coords: [...move.from], key: key }, move.to, move.promotion || null, move.castling || null);
+  updateGameStatus();
+}
+
+// Get the Unicode chess symbol for a piece
+function getPieceSymbol(type, color) {
+  const symbols = {
+    [PIECE_TYPES.PAWN]: color === PIECE_COLORS.WHITE ? '♙' : '♟',
+    [PIECE_TYPES.ROOK]: color === PIECE_COLORS.WHITE ? '♖' : '♜',
+    [PIECE_TYPES.KNIGHT]: color === PIECE_COLORS.WHITE ? '♘' : '♞',
+    [PIECE_TYPES.BISHOP]: color === PIECE_COLORS.WHITE ? '♗' : '♝',
+    [PIECE_TYPES.QUEEN]: color === PIECE_COLORS.WHITE ? '♕' : '♛',
+    [PIECE_TYPES.KING]: color === PIECE_COLORS.WHITE ? '♔' : '♚',
+    [PIECE_TYPES.HYPERROOK]: color === PIECE_COLORS.WHITE ? '♖+' : '♜+',
+    [PIECE_TYPES.HYPERBISHOP]: color === PIECE_COLORS.WHITE ? '♗+' : '♝+',
+    [PIECE_TYPES.HYPERKNIGHT]: color === PIECE_COLORS.WHITE ? '♘+' : '♞+'
+  };
+  if (symbols[type]) return symbols[type];
+  
+  // Pieces without a chess symbol show their notation letter
+  const definition = getPieceDefinition(type);
+  if (!definition) return '?';
+  return color === PIECE_COLORS.WHITE ? definition.letter : definition.letter.toLowerCase();
+}
+
+// Get the display name of a piece type
+function pieceName(type) {
+  const definition = getPieceDefinition(type);
+  return definition && definition.name ? definition.name : type.charAt(0).toUpperCase() + type.slice(1);
 }
 
 // Update captured pieces display
@@ -2758,24 +4756,8 @@ function updateCapturedPiecesDisplay() {
     whiteCapturedElement.innerHTML = '';
     blackCapturedElement.innerHTML = '';
     
-    // Helper function to get Unicode chess piece symbol
-    const getPieceSymbol = (type, color) => {
-      const symbols = {
-        [PIECE_TYPES.PAWN]: color === PIECE_COLORS.WHITE ? '♙' : '♟',
-        [PIECE_TYPES.ROOK]: color === PIECE_COLORS.WHITE ? '♖' : '♜',
-        [PIECE_TYPES.KNIGHT]: color === PIECE_COLORS.WHITE ? '♘' : '♞',
-        [PIECE_TYPES.BISHOP]: color === PIECE_COLORS.WHITE ? '♗' : '♝',
-        [PIECE_TYPES.QUEEN]: color === PIECE_COLORS.WHITE ? '♕' : '♛',
-        [PIECE_TYPES.KING]: color === PIECE_COLORS.WHITE ? '♔' : '♚',
-        [PIECE_TYPES.HYPERROOK]: color === PIECE_COLORS.WHITE ? '♖+' : '♜+',
-        [PIECE_TYPES.HYPERBISHOP]: color === PIECE_COLORS.WHITE ? '♗+' : '♝+',
-        [PIECE_TYPES.HYPERKNIGHT]: color === PIECE_COLORS.WHITE ? '♘+' : '♞+'
-      };
-      return symbols[type] || '?';
-    };
-    
     // Add white captured pieces
-    capturedPieces[PIECE_COLORS.WHITE].forEach(piece => {
+    engine.capturedPieces[PIECE_COLORS.WHITE].forEach(piece => {
       const pieceElement = document.createElement('span');
       pieceElement.className = 'captured-piece';
       pieceElement.textContent = getPieceSymbol(piece.type, piece.color);
@@ -2783,7 +4765,7 @@ function updateCapturedPiecesDisplay() {
     });
     
     // Add black captured pieces
-    capturedPieces[PIECE_COLORS.BLACK].forEach(piece => {
+    engine.capturedPieces[PIECE_COLORS.BLACK].forEach(piece => {
       const pieceElement = document.createElement('span');
       pieceElement.className = 'captured-piece';
       pieceElement.textContent = getPieceSymbol(piece.type, piece.color);
@@ -2792,74 +4774,13 @@ function updateCapturedPiecesDisplay() {
   }
 }
 
-// Calculate mathematical complexity of a move
-function calculateMoveComplexity(fromCoords, toCoords, piece, isCapture) {
-  let complexity = 0;
-  
-  // Base complexity from piece type
-  complexity += COMPLEXITY_WEIGHTS.PIECE_TYPE[piece.type] || 1;
-  
-  // Add complexity for capture operations
-  if (isCapture) {
-    complexity += COMPLEXITY_WEIGHTS.CAPTURE;
-  }
-  
-  // Calculate Euclidean distance in all dimensions
-  const dimensionsUsed = [];
-  let distanceSquared = 0;
-  
-  for (let i = 0; i < fromCoords.length; i++) {
-    const delta = toCoords[i] - fromCoords[i];
-    distanceSquared += delta * delta;
-    
-    // Count which dimensions were used in this move
-    if (delta !== 0) {
-      dimensionsUsed.push(i);
-    }
-  }
-  
-  const distance = Math.sqrt(distanceSquared);
-  complexity += distance * COMPLEXITY_WEIGHTS.DISTANCE;
-  
-  // Extra complexity for using higher dimensions (beyond 3D)
-  const higherDimensionsUsed = dimensionsUsed.filter(d => d >= 3).length;
-  if (higherDimensionsUsed > 0) {
-    // Exponential scaling for higher dimension usage
-    complexity += COMPLEXITY_WEIGHTS.DIMENSIONAL_SHIFT * Math.pow(1.5, higherDimensionsUsed);
-  }
-  
-  // Factor in dimensional fatigue if enabled
-  if (dimensionalFatigue && higherDimensionsUsed > 1) {
-    // Complexity increases with more dimensions due to increased coordination difficulty
-    complexity *= 1 + (higherDimensionsUsed * 0.2);
-  }
-  
-  // Total dimensions used also increases complexity
-  complexity += dimensionsUsed.length * COMPLEXITY_WEIGHTS.DIMENSIONS;
-  
-  // Hyperpieces get additional complexity based on their special movement patterns
-  if (piece.type.startsWith('hyper')) {
-    // Calculate which dimensions were used together for the move
-    const uniqueDimensionPairs = Math.min(dimensionsUsed.length * (dimensionsUsed.length - 1) / 2, 10);
-    
-    // Add complexity for each unique pair of dimensions used together
-    complexity += uniqueDimensionPairs * 2;
-  }
-  
-  // Round to 1 decimal place
-  return Math.round(complexity * 10) / 10;
-}
-
 // Update the complexity score display
 function updateComplexityScore(newPoints) {
   // Update the last move complexity
   lastMoveComplexity = newPoints;
   
-  // Update the total score
-  totalComplexityScore += newPoints;
-  
-  // Round to integer for display
-  const displayScore = Math.round(totalComplexityScore);
+  // Round the engine's running total to integer for display
+  const displayScore = Math.round(engine.totalComplexityScore);
   
   // Update the display
   const scoreElement = document.getElementById('complexity-score');
@@ -2915,9 +4836,11 @@ function initKeyboardController() {
     deselectPiece: () => deselectCurrentPiece(),
     getSelectedPiece: () => selectedPiece,
     getValidMoves: () => validMoves,
+    undoMove: () => undoLastMove(),
+    redoMove: () => redoLastMove(),
     
     // Dimension control functions
-    toggleDimension: (dimension) => toggleDimension(dimension),
+    toggleDimension: (dimension) => toggleGameDimension(dimension),
     changeSlice: (dimension, direction) => {
       // Only change slice if dimension exists and is active
       if (dimension < MAX_DIMENSIONS && activeDimensions.includes(dimension)) {
@@ -3014,6 +4937,7 @@ function centerOnActivePieces() {
   console.log("centerOnActivePieces called");
   
   // Get the current turn color
+  const currentTurn = engine.currentTurn;
   console.log("Current turn color:", currentTurn);
   
   // Find all pieces of the current color
@@ -3516,12 +5440,12 @@ init = function() {
 
 // Modify movePiece function to check for easter egg pattern
 const originalMovePiece = movePiece;
-movePiece = function(selectedPiece, newCoords) {
+movePiece = function(selectedPiece, newCoords, promotion = null, castling = null, quiet = false) {
   // Call the original function
-  const result = originalMovePiece(selectedPiece, newCoords);
+  const result = originalMovePiece(selectedPiece, newCoords, promotion, castling, quiet);
   
-  // Check for easter egg pattern after move
-  checkForEasterEggPattern(selectedPiece, selectedPiece.position, newCoords);
+  // Check for easter egg pattern after move (not while a game record is replayed quietly)
+  if (!quiet) checkForEasterEggPattern(selectedPiece.piece, selectedPiece.coords, newCoords);
   
   return result;
 };
@@ -0,0 +1,188 @@
+/**
+ * N-Dimensional Chess Computer Opponent
+ *
+ * Alpha-beta (negamax) search with iterative deepening over NDChessEngine
+ * positions. Like the engine, it never touches Three.js or the DOM, so it runs
+ * in the Web Worker in nd_chess_ai_worker.js as well as under Node.
+ */
+import { PIECE_TYPES, FIFTY_MOVE_PLIES } from './nd_chess_engine.js';
+import { PIECE_VALUES, pieceValue, DEFAULT_WEIGHTS, FAST_WEIGHTS, createEvaluator } from './nd_evaluation.js';
+
+// Score for delivering checkmate (reduced by the number of moves it takes)
+const MATE_SCORE = 1000000;
+
+// Difficulty levels: a fixed search depth, or iterative deepening within a time budget in milliseconds,
+// and the evaluation weights (see nd_evaluation.js) the search scores positions with
+const DIFFICULTY_LEVELS = {
+  easy: { label: 'Easy (depth 1)', maxDepth: 1, timeLimit: null, weights: FAST_WEIGHTS },
+  medium: { label: 'Medium (depth 2)', maxDepth: 2, timeLimit: null, weights: FAST_WEIGHTS },
+  hard: { label: 'Hard (2 seconds)', maxDepth: 32, timeLimit: 2000, weights: FAST_WEIGHTS },
+  expert: { label: 'Expert (6 seconds)', maxDepth: 32, timeLimit: 6000, weights: DEFAULT_WEIGHTS }
+};
+
+// How many nodes to search between checks of the time budget
+const TIME_CHECK_INTERVAL = 16;
+
+class NDChessAI {
+  constructor(options = {}) {
+    // Static evaluation, scored from the point of view of the side to move (any function shaped like evaluatePosition)
+    this.evaluate = options.evaluate || createEvaluator(FAST_WEIGHTS);
+  }
+
+  // Find the best move for the side to move.
+  // Returns { move, score, depth, nodes }, with a null move if the side to move has no legal moves.
+  search(engine, options = {}) {
+    const maxDepth = options.maxDepth || 2;
+    const timeLimit = options.timeLimit || null;
+
+    this.engine = engine;
+    this.nodes = 0;
+    this.deadline = timeLimit ? Date.now() + timeLimit : null;
+    this.stopped = false;
+
+    let rootMoves = this.generateSearchMoves();
+    let best = { move: null, score: 0, depth: 0, nodes: 0 };
+
+    for (let depth = 1; depth <= maxDepth; depth++) {
+      const result = this.searchRoot(rootMoves, depth);
+
+      // A search cut short by the time budget is only trusted if it got through some root moves
+      if (this.stopped) {
+        if (result.move && result.searched > 0) {
+          best = { move: result.move, score: result.score, depth: depth, nodes: this.nodes };
+        }
+        break;
+      }
+
+      best = { move: result.move, score: result.score, depth: depth, nodes: this.nodes };
+
+      // Search the best move first on the next iteration, and stop early once a mate is found
+      if (!result.move || Math.abs(result.score) >= MATE_SCORE - maxDepth) break;
+      rootMoves = [result.move, ...rootMoves.filter(move => move !== result.move)];
+    }
+
+    // Drop the move-ordering key before handing the move back
+    if (best.move) {
+      const { order, ...move } = best.move;
+      best.move = move;
+    }
+
+    return best;
+  }
+
+  // Search every root move to the given depth and return the best one
+  searchRoot(rootMoves, depth) {
+    const engine = this.engine;
+    const color = engine.currentTurn;
+    let alpha = -Infinity;
+    let bestMove = null;
+    let searched = 0;
+
+    for (const move of rootMoves) {
+      engine.applyMove(move);
+
+      if (engine.isInCheck(color)) {
+        engine.undoMove();
+        continue;
+      }
+
+      const score = -this.negamax(depth - 1, -Infinity, -alpha, 1);
+      engine.undoMove();
+
+      if (this.stopped) break;
+
+      searched++;
+      if (score > alpha || !bestMove) {
+        alpha = score;
+        bestMove = move;
+      }
+    }
+
+    return { move: bestMove, score: alpha, searched: searched };
+  }
+
+  // Negamax alpha-beta search, returning the score from the point of view of the side to move
+  negamax(depth, alpha, beta, ply) {
+    const engine = this.engine;
+
+    this.nodes++;
+    if (this.deadline && this.nodes % TIME_CHECK_INTERVAL === 0 && Date.now() > this.deadline) {
+      this.stopped = true;
+    }
+    if (this.stopped) return 0;
+
+    // A position repeated within the search could be repeated again, so it scores as a draw
+    if (engine.repetitionCount() > 1 || engine.halfmoveClock >= FIFTY_MOVE_PLIES) return 0;
+
+    if (depth <= 0) {
+      return this.evaluate(engine);
+    }
+
+    const color = engine.currentTurn;
+    let legalMoves = 0;
+
+    for (const move of this.generateSearchMoves()) {
+      engine.applyMove(move);
+
+      // Pseudo-legal moves that leave our own king attacked are skipped
+      if (engine.isInCheck(color)) {
+        engine.undoMove();
+        continue;
+      }
+
+      legalMoves++;
+      const score = -this.negamax(depth - 1, -beta, -alpha, ply + 1);
+      engine.undoMove();
+
+      if (this.stopped) return 0;
+
+      if (score >= beta) return score;
+      if (score > alpha) alpha = score;
+    }
+
+    // No legal moves: checkmate (sooner is better for the winner) or stalemate
+    if (legalMoves === 0) {
+      return engine.isInCheck(color) ? -MATE_SCORE + ply : 0;
+    }
+
+    return alpha;
+  }
+
+  // Generate pseudo-legal moves for the side to move, with the most promising first
+  generateSearchMoves() {
+    const engine = this.engine;
+    const color = engine.currentTurn;
+    const moves = [];
+
+    for (const key in engine.pieces) {
+      const piece = engine.pieces[key];
+      if (piece.color !== color) continue;
+
+      for (const to of engine.generatePseudoLegalMoves(piece.coords)) {
+        const target = engine.pieces[to.join(',')];
+        const captureValue = target ? pieceValue(target.type) : 0;
+        const order = target ? captureValue * 10 - pieceValue(piece.type) / 10 : 0;
+
+        if (piece.type === PIECE_TYPES.PAWN && engine.isPromotionSquare(to, color)) {
+          // Only the queen and knight promotions are worth searching
+          moves.push({ from: [...piece.coords], to: to, promotion: PIECE_TYPES.QUEEN, order: order + PIECE_VALUES[PIECE_TYPES.QUEEN] * 10 });
+          moves.push({ from: [...piece.coords], to: to, promotion: PIECE_TYPES.KNIGHT, order: order });
+        } else {
+          moves.push({ from: [...piece.coords], to: to, order: order });
+        }
+      }
+
+      // Castling moves come back already checked for safety
+      if (piece.type === PIECE_TYPES.KING) {
+        engine.generateCastlingMoves(piece.coords).forEach(move => {
+          moves.push({ ...move, order: 0 });
+        });
+      }
+    }
+
+    return moves.sort((a, b) => b.order - a.order);
+  }
+}
+
+// Export for ES modules
+export { NDChessAI, DIFFICULTY_LEVELS, MATE_SCORE };
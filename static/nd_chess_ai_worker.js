@@ -0,0 +1,48 @@
+/**
+ * N-Dimensional Chess Computer Opponent Worker
+ *
+ * Runs the alpha-beta search off the main thread so the Three.js animation loop
+ * never stalls while the computer is thinking. Module workers don't see the page's
+ * import map, so everything is imported by relative path. The fairy pieces are
+ * registered here too, since the worker's engine doesn't share the page's definitions,
+ * and so are the custom pieces the page sends with each request (from its piece lab).
+ * The game is replayed from its starting position and moves rather than loaded from the
+ * current position alone, so the search sees the positions already played and can tell
+ * when a move would repeat one of them.
+ *
+ * Request:  { id, position, startPosition, moves, restrictedDimensions, pieces, maxDepth, timeLimit, weights }
+ * Response: { id, move, score, depth, nodes } or { id, error }
+ */
+import { NDChessEngine, definePiece, removePieceDefinition } from './nd_chess_engine.js';
+import { parsePosition, parseMove, serializePosition } from './nd_notation.js';
+import { NDChessAI } from './nd_chess_ai.js';
+import { createEvaluator } from './nd_evaluation.js';
+import './nd_fairy_pieces.js';
+
+// Custom piece types defined for the last request, which the next request's pieces replace
+let customTypes = [];
+
+self.onmessage = (event) => {
+  const { id, position, startPosition, moves, restrictedDimensions, pieces, maxDepth, timeLimit, weights } = event.data;
+
+  try {
+    customTypes.forEach(removePieceDefinition);
+    customTypes = (pieces || []).map(definition => definePiece(definition).type);
+
+    // Replay the game on a private engine, which must end up in the position the page is asking about.
+    // Earlier moves may have used dimensions that are restricted now, so the restriction comes after
+    const engine = new NDChessEngine();
+    engine.loadPosition(parsePosition(startPosition || position));
+    (moves || []).forEach(notation => engine.applyMove(parseMove(notation, engine)));
+    if (serializePosition(engine) !== position) {
+      throw new Error("The game's moves don't lead to its position");
+    }
+    engine.restrictedDimensions = restrictedDimensions || null;
+
+    const ai = new NDChessAI({ evaluate: createEvaluator(weights) });
+    const result = ai.search(engine, { maxDepth: maxDepth, timeLimit: timeLimit });
+    self.postMessage({ id: id, ...result });
+  } catch (error) {
+    self.postMessage({ id: id, error: error.message });
+  }
+};
@@ -0,0 +1,1808 @@
+/**
+ * N-Dimensional Chess Rules Engine
+ *
+ * A headless rules engine for n-dimensional chess. Board state is held as
+ * coordinate tuples, and nothing in this module touches Three.js or the DOM,
+ * so it can run in the browser, in a Web Worker or under Node.
+ */
+
+// Piece types and colors
+const PIECE_TYPES = {
+  PAWN: 'pawn',
+  ROOK: 'rook',
+  KNIGHT: 'knight',
+  BISHOP: 'bishop',
+  QUEEN: 'queen',
+  KING: 'king',
+  HYPERROOK: 'hyperrook',
+  HYPERBISHOP: 'hyperbishop',
+  HYPERKNIGHT: 'hyperknight'
+};
+
+const PIECE_COLORS = {
+  WHITE: 'white',
+  BLACK: 'black'
+};
+
+// Mathematical complexity constants
+const COMPLEXITY_WEIGHTS = {
+  DIMENSIONS: 5,    // Weight for number of dimensions used
+  DISTANCE: 0.5,    // Weight for move distance
+  PIECE_TYPE: {     // Base complexity values for different piece types
+    [PIECE_TYPES.PAWN]: 1,
+    [PIECE_TYPES.KNIGHT]: 3,
+    [PIECE_TYPES.BISHOP]: 3,
+    [PIECE_TYPES.ROOK]: 3,
+    [PIECE_TYPES.QUEEN]: 5,
+    [PIECE_TYPES.KING]: 2,
+    [PIECE_TYPES.HYPERROOK]: 7,
+    [PIECE_TYPES.HYPERBISHOP]: 8,
+    [PIECE_TYPES.HYPERKNIGHT]: 9
+  },
+  CAPTURE: 2,       // Additional complexity for captures
+  DIMENSIONAL_SHIFT: 10,  // Complexity bonus for moving through higher dimensions
+  RISK: 1.5         // Weight for moving into threatened positions
+};
+
+// Pawns advance along the second dimension (Z in classic chess)
+const PAWN_FORWARD_DIMENSION = 1;
+
+// Back rank of each color along the pawn forward dimension, when that dimension is infinite
+const BACK_RANKS = {
+  [PIECE_COLORS.WHITE]: 0,
+  [PIECE_COLORS.BLACK]: -7
+};
+
+// Which hyperplane counts as the promotion zone for pawns
+const PROMOTION_ZONES = {
+  BACK_RANK: 'back-rank',   // The opponent's back rank, in every higher-dimensional slice
+  BASE_SLICE: 'base-slice'  // The opponent's back rank, only in the base slice (all coordinates past D2 are 0)
+};
+
+// Castling moves the king two squares along the first dimension (X in classic chess)
+const CASTLING_DIMENSION = 0;
+
+// How each dimension of the board is shaped
+const TOPOLOGY_TYPES = {
+  INFINITE: 'infinite',  // Unbounded in both directions
+  BOUNDED: 'bounded',    // A fixed number of cells, with edges nothing crosses
+  TORUS: 'torus',        // A fixed number of cells, where leaving one edge re-enters at the opposite one
+  TWISTED: 'twisted'     // Wraps like a torus, but re-enters with the coordinate along another (mirror) dimension
+                         // reflected: a Möbius strip, or with more twisted dimensions a Klein bottle or projective plane
+};
+
+// Shape of every dimension without a topology entry
+const INFINITE_TOPOLOGY = { type: TOPOLOGY_TYPES.INFINITE };
+
+// Files of the standard back rank, and the king's place among them
+const STANDARD_BACK_RANK = [
+  PIECE_TYPES.ROOK,
+  PIECE_TYPES.KNIGHT,
+  PIECE_TYPES.BISHOP,
+  PIECE_TYPES.QUEEN,
+  PIECE_TYPES.KING,
+  PIECE_TYPES.BISHOP,
+  PIECE_TYPES.KNIGHT,
+  PIECE_TYPES.ROOK
+];
+const KING_FILE = 4;
+
+// Families of moves, by their shape. A destination reached by more than one generator (a hyperrook's
+// transport jump that a rook slide also reaches, say) is listed once, under the family of its shape.
+const MOVE_FAMILIES = {
+  PAWN_PUSH: 'pawn-push',          // A pawn step or double step forward
+  PAWN_CAPTURE: 'pawn-capture',    // A pawn capturing diagonally
+  EN_PASSANT: 'en-passant',        // A pawn capturing a double-stepped pawn in passing
+  CASTLING: 'castling',            // A king castling (or hypercastling) with a rook
+  ORTHOGONAL: 'orthogonal',        // Along a single dimension
+  DIAGONAL: 'diagonal',            // The same distance along two dimensions
+  HYPERDIAGONAL: 'hyperdiagonal',  // The same distance along three or more dimensions
+  KNIGHT: 'knight',                // 2 along one dimension and 1 along another
+  HYPERKNIGHT: 'hyperknight'       // Unequal distances along three dimensions
+};
+
+// A game is drawn once this many moves (plies) pass without a capture or pawn move
+const FIFTY_MOVE_PLIES = 100;
+
+// Seeds for the two independent 32-bit halves of every Zobrist key
+const ZOBRIST_SEEDS = [0x9e3779b9, 0x85ebca6b];
+
+// Get the opposing color
+function oppositeColor(color) {
+  return color === PIECE_COLORS.WHITE ? PIECE_COLORS.BLACK : PIECE_COLORS.WHITE;
+}
+
+// Get the direction a color's pawns advance along the pawn forward dimension
+function pawnDirection(color) {
+  return color === PIECE_COLORS.WHITE ? -1 : 1;
+}
+
+// Order coordinate tuples dimension by dimension, so move lists and position strings are deterministic
+function compareCoords(a, b) {
+  for (let dim = 0; dim < a.length; dim++) {
+    if (a[dim] !== b[dim]) return a[dim] - b[dim];
+  }
+  return 0;
+}
+
+// Scramble a 32-bit integer (the MurmurHash3 finalizer)
+function mix32(value) {
+  let hash = value;
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+// Get the Zobrist key of a label (such as a piece type and color) on a coordinate tuple, as two 32-bit halves.
+// The board is unbounded, so keys are derived from the coordinates by hashing rather than drawn from a table.
+function zobristKey(label, coords) {
+  return ZOBRIST_SEEDS.map(seed => {
+    let hash = seed;
+    for (let i = 0; i < label.length; i++) {
+      hash = mix32(hash ^ label.charCodeAt(i));
+    }
+    coords.forEach(coord => {
+      hash = mix32(hash ^ mix32(coord + 0x632be5ab));
+    });
+    return mix32(hash ^ coords.length);
+  });
+}
+
+// Zobrist key toggled in while Black is to move
+const BLACK_TO_MOVE_KEY = zobristKey('black-to-move', []);
+
+// Pieces are defined by the moves they make, as a list of move rules. Each rule has either
+//   leap: [2, 1]   jump straight to the cell the vector reaches, over anything in between, or
+//   ride: [1, 1]   step along the vector, cell by cell, until a piece or the range stops it,
+// where the vector lists the distances the move covers along each of the dimensions it uses. It is
+// generalized to every choice of distinct dimensions for its components, in any order and with either
+// sign, so [2, 1] is a knight's move between any two dimensions. A rule may also set:
+//   across: [min, max]     spread a one-component vector evenly over min to max dimensions at once
+//                          (a king steps along any number of dimensions: leap [1] across [1, Infinity])
+//   dimensions             [0, 1] pins the vector to exactly those dimensions, which keeps it even when
+//                          moves are restricted to other dimensions; { from: 3 } only uses D4 and up
+//   forward: true          only moves that advance along the pawn dimension toward the opponent
+//   range                  the most cells a ride travels, or the most multiples of its vector a leap
+//                          may jump (7 and 1 by default): a number, or a function of the dimensions used
+//   fatigue                the range while dimensional fatigue is on, in the same form (defaults to range)
+//   initialRange           the range on the piece's first move, such as a pawn's double step
+//   moveOnly, captureOnly  the rule only moves to empty cells, or only captures
+//   enPassant: true        a capture-only rule that may also capture a double-stepped pawn in passing
+// Besides its moves, a definition gives the type, a name and the notation letter (one or two capitals),
+// and may give a material value and base complexity for types the evaluation and COMPLEXITY_WEIGHTS
+// don't already rate. Promotion marks the pieces pawns may promote to: true, or the fewest dimensions
+// the choice needs. Kings are royal, and castling, en passant and promotion keep to their piece types.
+const PIECE_DEFINITIONS = {};
+
+// Bumped whenever a definition changes, so engines know to work out their move rules again
+let definitionsVersion = 0;
+
+// Add a piece type, or replace the definition of one, after checking the definition is well formed
+function definePiece(definition) {
+  const { type, letter, moves } = definition;
+
+  if (typeof type !== 'string' || type === '') {
+    throw new Error('A piece definition needs a type');
+  }
+  if (type !== PIECE_TYPES.PAWN && !/^[A-Z]{1,2}$/.test(letter || '')) {
+    throw new Error(`The ${type} needs a notation letter of one or two capitals`);
+  }
+  if (type !== PIECE_TYPES.PAWN && letter === 'P') {
+    throw new Error('P is the pawn\'s letter in positions');
+  }
+  const clash = Object.values(PIECE_DEFINITIONS).find(other => other.type !== type && other.letter === letter);
+  if (clash) {
+    throw new Error(`The ${type} can't share the letter ${letter} with the ${clash.type}`);
+  }
+  validateMoveRules(type, moves);
+
+  PIECE_DEFINITIONS[type] = definition;
+  definitionsVersion++;
+  return definition;
+}
+
+// Remove the definition of a piece type added with definePiece, such as a custom piece that is no longer
+// wanted (the standard pieces can't be removed). Returns whether there was a definition to remove.
+function removePieceDefinition(type) {
+  if (Object.values(PIECE_TYPES).includes(type)) {
+    throw new Error(`The ${type} is a standard piece`);
+  }
+  if (!PIECE_DEFINITIONS[type]) return false;
+
+  delete PIECE_DEFINITIONS[type];
+  definitionsVersion++;
+  return true;
+}
+
+// Check the move rules of a piece definition
+function validateMoveRules(type, moves) {
+  if (!Array.isArray(moves) || moves.length === 0) {
+    throw new Error(`The ${type} needs at least one move rule`);
+  }
+  moves.forEach(rule => validateMoveRule(type, rule));
+}
+
+// Check a single move rule of a piece definition, throwing on anything the engine can't generate
+function validateMoveRule(type, rule) {
+  const vector = rule.leap || rule.ride;
+  const isDistance = value => Number.isInteger(value) && value > 0;
+  const isRange = value => value === undefined || typeof value === 'function' || isDistance(value);
+
+  if (!rule.leap === !rule.ride) {
+    throw new Error(`Each move rule of the ${type} needs either a leap or a ride vector`);
+  }
+  if (!Array.isArray(vector) || vector.length === 0 || !vector.every(isDistance)) {
+    throw new Error(`The ${type} has a move vector that isn't a list of positive whole distances`);
+  }
+  if (rule.across) {
+    const [min, max] = rule.across;
+    if (vector.length !== 1 || !isDistance(min) || !(max === Infinity || isDistance(max)) || max < min) {
+      throw new Error(`The ${type} can only spread a one-component vector across a range of dimension counts`);
+    }
+  }
+  if (rule.dimensions && !Array.isArray(rule.dimensions) && !Number.isInteger(rule.dimensions.from)) {
+    throw new Error(`The ${type} has move dimensions that are neither a list nor { from }`);
+  }
+  if (!isRange(rule.range) || !isRange(rule.fatigue) || !isRange(rule.initialRange)) {
+    throw new Error(`The ${type} has a range that isn't a positive whole number`);
+  }
+  if (rule.moveOnly && rule.captureOnly) {
+    throw new Error(`A move rule of the ${type} can't be both move-only and capture-only`);
+  }
+}
+
+// Get the definition of a piece type, or null if there is none
+function getPieceDefinition(type) {
+  return PIECE_DEFINITIONS[type] || null;
+}
+
+// Work out a rule's range for a move along the given dimensions, from a number or function
+function resolveRange(range, dims, fallback) {
+  if (range === undefined) return fallback;
+  return typeof range === 'function' ? range(dims) : range;
+}
+
+// List the step vectors of a move rule over the candidate dimensions, each with the dimensions it uses:
+// every arrangement of the vector's components on distinct dimensions, with either sign
+function expandMoveRule(rule, candidates, dimensions) {
+  const vector = rule.leap || rule.ride;
+  const layouts = [];
+
+  if (rule.across) {
+    // Every set of between min and max dimensions, each moving the vector's one distance
+    const [min, max] = rule.across;
+    const choose = (start, chosen) => {
+      if (chosen.length >= min) layouts.push(chosen.map(dim => [dim, vector[0]]));
+      if (chosen.length >= max) return;
+      for (let i = start; i < candidates.length; i++) {
+        choose(i + 1, [...chosen, candidates[i]]);
+      }
+    };
+    choose(0, []);
+  } else {
+    // Every way of giving the vector's components distinct dimensions
+    const place = (index, chosen) => {
+      if (index === vector.length) {
+        layouts.push(chosen.map((dim, i) => [dim, vector[i]]));
+        return;
+      }
+      candidates.forEach(dim => {
+        if (!chosen.includes(dim)) place(index + 1, [...chosen, dim]);
+      });
+    };
+    place(0, []);
+  }
+
+  // Vectors with repeated distances come out of several arrangements, so steps are kept by value
+  const steps = new Map();
+  for (const layout of layouts) {
+    for (let signs = 0; signs < 1 << layout.length; signs++) {
+      const step = Array(dimensions).fill(0);
+      layout.forEach(([dim, distance], i) => {
+        step[dim] = signs & (1 << i) ? -distance : distance;
+      });
+      steps.set(step.join(','), { step: step, dims: layout.map(([dim]) => dim).sort((a, b) => a - b) });
+    }
+  }
+
+  return [...steps.values()];
+}
+
+// Move rules the standard pieces share. Rooks tire more the higher the dimension they move along,
+// bishops only slightly once they leave the first three dimensions.
+const ROOK_MOVE = { ride: [1], fatigue: dims => Math.max(7 - (dims[0] > 2 ? dims[0] : 0), 2) };
+const BISHOP_MOVE = { ride: [1, 1], fatigue: dims => Math.max(7 - (dims[1] > 2 ? 1 : 0), 3) };
+const KNIGHT_MOVE = { leap: [2, 1] };
+
+// The standard pieces, with pawns promoting to them in the order listed
+[
+  {
+    type: PIECE_TYPES.PAWN,
+    name: 'Pawn',
+    letter: '',
+    moves: [
+      { ride: [1], dimensions: [PAWN_FORWARD_DIMENSION], forward: true, range: 1, initialRange: 2, moveOnly: true },
+      { leap: [1, 1], dimensions: [0, PAWN_FORWARD_DIMENSION], forward: true, captureOnly: true, enPassant: true }
+    ]
+  },
+  {
+    type: PIECE_TYPES.QUEEN,
+    name: 'Queen',
+    letter: 'Q',
+    promotion: true,
+    moves: [ROOK_MOVE, BISHOP_MOVE]
+  },
+  {
+    type: PIECE_TYPES.ROOK,
+    name: 'Rook',
+    letter: 'R',
+    promotion: true,
+    moves: [ROOK_MOVE]
+  },
+  {
+    type: PIECE_TYPES.BISHOP,
+    name: 'Bishop',
+    letter: 'B',
+    promotion: true,
+    moves: [BISHOP_MOVE]
+  },
+  {
+    type: PIECE_TYPES.KNIGHT,
+    name: 'Knight',
+    letter: 'N',
+    promotion: true,
+    moves: [KNIGHT_MOVE]
+  },
+  {
+    type: PIECE_TYPES.KING,
+    name: 'King',
+    letter: 'K',
+    moves: [{ leap: [1], across: [1, Infinity] }]
+  },
+  {
+    type: PIECE_TYPES.HYPERROOK,
+    name: 'Hyperrook',
+    letter: 'HR',
+    promotion: 4,
+    moves: [
+      ROOK_MOVE,
+      // Equal jumps along two or more dimensions at once, with severe fatigue (and mild fatigue even without)
+      {
+        leap: [1],
+        across: [2, Infinity],
+        range: dims => 7 - dims.length,
+        fatigue: dims => Math.max(7 - Math.pow(2, dims.length - 2), 2)
+      },
+      // Dimensional transport: up to 3 cells straight through a higher dimension, over anything in the way
+      { leap: [1], dimensions: { from: 3 }, range: 3 }
+    ]
+  },
+  {
+    type: PIECE_TYPES.HYPERBISHOP,
+    name: 'Hyperbishop',
+    letter: 'HB',
+    promotion: 4,
+    moves: [
+      BISHOP_MOVE,
+      // Hyperdiagonal jumps along three or more dimensions at once
+      {
+        leap: [1],
+        across: [3, Infinity],
+        range: dims => 9 - dims.length,
+        fatigue: dims => Math.max(7 - Math.pow(2, dims.length - 3), 2)
+      }
+    ]
+  },
+  {
+    type: PIECE_TYPES.HYPERKNIGHT,
+    name: 'Hyperknight',
+    letter: 'HN',
+    promotion: 4,
+    moves: [
+      KNIGHT_MOVE,
+      // Teleportation jumps across three dimensions
+      { leap: [3, 1, 1] },
+      { leap: [2, 2, 1] }
+    ]
+  }
+].forEach(definePiece);
+
+class NDChessEngine {
+  constructor(options = {}) {
+    // Number of active dimensions (length of every coordinate tuple)
+    this.dimensions = options.dimensions || 3;
+
+    // Whether to apply the dimensional fatigue mechanic
+    this.dimensionalFatigue = options.dimensionalFatigue !== undefined ? options.dimensionalFatigue : true;
+
+    // Optional list of dimension indices moves are restricted to (null = all dimensions)
+    this.restrictedDimensions = options.restrictedDimensions || null;
+
+    // Which hyperplane counts as the promotion zone (see PROMOTION_ZONES)
+    this.promotionZone = options.promotionZone || PROMOTION_ZONES.BACK_RANK;
+
+    // Whether kings may also castle with rooks in other higher-dimensional slices
+    this.hypercastling = options.hypercastling || false;
+
+    // Shape of each dimension as { type, size, mirror } (see TOPOLOGY_TYPES), where mirror is the dimension a
+    // twisted dimension reflects; dimensions without an entry are infinite
+    this.topology = options.topology || [];
+    this.validateTopology();
+
+    this.reset();
+  }
+
+  // Clear the board and all game state
+  reset() {
+    this.pieces = {}; // Pieces keyed by coordinate tuples
+    this.currentTurn = PIECE_COLORS.WHITE;
+    this.capturedPieces = {
+      [PIECE_COLORS.WHITE]: [],
+      [PIECE_COLORS.BLACK]: []
+    };
+    this.totalComplexityScore = 0;
+    this.enPassant = null; // The last pawn double step as { pawn, target } coordinates, or null
+    this.history = []; // Applied moves, most recent last, used by undoMove
+    this.redoStack = []; // Undone moves, most recently undone last, used by redoMove
+    this.halfmoveClock = 0; // Moves (plies) since the last capture or pawn move, for the fifty-move rule
+    this.refreshHash();
+  }
+
+  // Place a piece at the given coordinates
+  addPiece(coords, type, color) {
+    this.removePiece(coords);
+
+    const piece = {
+      type: type,
+      color: color,
+      coords: [...coords],
+      hasMoved: false // Kings and rooks may only castle before they have moved
+    };
+
+    this.pieces[coords.join(',')] = piece;
+    this.toggleHash(this.pieceZobristKey(piece));
+    return piece;
+  }
+
+  // Remove the piece at the given coordinates
+  removePiece(coords) {
+    const piece = this.getPieceAt(coords);
+    if (!piece) return;
+
+    this.toggleHash(this.pieceZobristKey(piece));
+    delete this.pieces[coords.join(',')];
+  }
+
+  // Get the Zobrist key of a piece where it stands, telling unmoved kings, rooks and pawns apart from moved ones
+  pieceZobristKey(piece) {
+    const unmoved = this.tracksFirstMove(piece) && !piece.hasMoved ? ':unmoved' : '';
+    return zobristKey(`${piece.type}:${piece.color}${unmoved}`, piece.coords);
+  }
+
+  // XOR a Zobrist key into the position hash
+  toggleHash(key) {
+    this.hashHigh ^= key[0];
+    this.hashLow ^= key[1];
+  }
+
+  // Recompute the position hash from scratch, after changing pieces or state other than through
+  // addPiece, removePiece and applyMove
+  refreshHash() {
+    this.hashHigh = 0;
+    this.hashLow = 0;
+
+    for (const key in this.pieces) {
+      this.toggleHash(this.pieceZobristKey(this.pieces[key]));
+    }
+    if (this.enPassant && this.enPassant.hashed) {
+      this.toggleHash(zobristKey('en-passant', this.enPassant.target));
+    }
+    if (this.currentTurn === PIECE_COLORS.BLACK) {
+      this.toggleHash(BLACK_TO_MOVE_KEY);
+    }
+  }
+
+  // Get the Zobrist hash of the position: the pieces, the side to move, castling and double-step
+  // rights and the en passant square (only when a legal en passant capture exists). Equal positions always hash equally. Returned as a 53-bit integer.
+  positionHash() {
+    return (this.hashHigh >>> 11) * 0x100000000 + (this.hashLow >>> 0);
+  }
+
+  // Get piece at specific coordinates
+  getPieceAt(coords) {
+    return this.pieces[coords.join(',')];
+  }
+
+  // Check if a position can be captured by the given color
+  canCapture(coords, color) {
+    const piece = this.getPieceAt(coords);
+    return piece && piece.color !== color;
+  }
+
+  // Check if moves may use a dimension (when restricted to a subset of dimensions)
+  isDimensionAllowed(dim) {
+    return !this.restrictedDimensions || this.restrictedDimensions.includes(dim);
+  }
+
+  // Create a zeroed coordinate tuple for the current dimension count
+  emptyCoords() {
+    return Array(this.dimensions).fill(0);
+  }
+
+  // Get the shape of a dimension as { type, size, mirror }
+  getTopology(dim) {
+    return this.topology[dim] || INFINITE_TOPOLOGY;
+  }
+
+  // Check that every finite dimension has a size and every twisted dimension reflects another finite dimension
+  validateTopology() {
+    this.topology.forEach((topology, dim) => {
+      if (!topology || topology.type === TOPOLOGY_TYPES.INFINITE) return;
+
+      if (!Object.values(TOPOLOGY_TYPES).includes(topology.type)) {
+        throw new Error(`Unknown shape for D${dim + 1}: ${topology.type}`);
+      }
+      if (!Number.isInteger(topology.size) || topology.size < 1) {
+        throw new Error(`D${dim + 1} needs a whole number of cells`);
+      }
+      if (topology.type === TOPOLOGY_TYPES.TWISTED) {
+        const mirror = this.topology[topology.mirror];
+        if (topology.mirror === dim || !mirror || mirror.type === TOPOLOGY_TYPES.INFINITE) {
+          throw new Error(`D${dim + 1} must mirror another dimension of finite size`);
+        }
+      }
+    });
+  }
+
+  // Check if leaving a dimension at one edge re-enters at the opposite edge
+  wraps(dim) {
+    const { type } = this.getTopology(dim);
+    return type === TOPOLOGY_TYPES.TORUS || type === TOPOLOGY_TYPES.TWISTED;
+  }
+
+  // Get the number of cells along a dimension (Infinity for an infinite dimension)
+  getDimensionSize(dim) {
+    const topology = this.getTopology(dim);
+    return topology.type === TOPOLOGY_TYPES.INFINITE ? Infinity : topology.size;
+  }
+
+  // Get the lowest and highest coordinate of a bounded or wrapping dimension, or null for an infinite one.
+  // The pawn forward dimension ends at White's back rank (0), every other dimension starts at 0.
+  getDimensionBounds(dim) {
+    const size = this.getDimensionSize(dim);
+    if (size === Infinity) return null;
+
+    const min = dim === PAWN_FORWARD_DIMENSION ? 1 - size : 0;
+    return { min: min, max: min + size - 1 };
+  }
+
+  // Check if any active dimension wraps around
+  hasWrappingDimension() {
+    for (let dim = 0; dim < this.dimensions; dim++) {
+      if (this.wraps(dim)) return true;
+    }
+    return false;
+  }
+
+  // Check if coordinates lie on the board (always, along infinite dimensions)
+  isOnBoard(coords) {
+    return coords.every((coord, dim) => {
+      const bounds = this.getDimensionBounds(dim);
+      return !bounds || (coord >= bounds.min && coord <= bounds.max);
+    });
+  }
+
+  // Bring coordinates a move produced back onto the board: past the edge of a wrapping dimension they
+  // re-enter at the opposite edge, and past the edge of a bounded dimension there is no such cell (null).
+  // Coordinates already on the board are returned as they are.
+  resolveCoords(coords) {
+    const crossed = this.crossEdges(coords, null);
+    return crossed && crossed.coords;
+  }
+
+  // Carry coordinates and the direction they were heading in across the edges of the board, as
+  // { coords, step } (or null past the edge of a bounded dimension). Crossing the edge of a twisted
+  // dimension an odd number of times reflects the coordinate along its mirror dimension, which also
+  // turns the direction around along that dimension. step may be null when there is no direction.
+  crossEdges(coords, step) {
+    if (this.topology.length === 0) return { coords: coords, step: step };
+
+    let resolved = coords;
+    let direction = step;
+    for (let dim = 0; dim < coords.length; dim++) {
+      const bounds = this.getDimensionBounds(dim);
+      if (!bounds || (resolved[dim] >= bounds.min && resolved[dim] <= bounds.max)) continue;
+      if (!this.wraps(dim)) return null;
+
+      const size = bounds.max - bounds.min + 1;
+      const laps = Math.floor((resolved[dim] - bounds.min) / size);
+      if (resolved === coords) resolved = [...coords];
+      resolved[dim] -= laps * size;
+
+      const { type, mirror } = this.getTopology(dim);
+      if (type === TOPOLOGY_TYPES.TWISTED && laps % 2 !== 0) {
+        const mirrorBounds = this.getDimensionBounds(mirror);
+        resolved[mirror] = mirrorBounds.min + mirrorBounds.max - resolved[mirror];
+        if (direction) {
+          direction = [...direction];
+          direction[mirror] = -direction[mirror];
+        }
+      }
+    }
+    return { coords: resolved, step: direction };
+  }
+
+  // Get how far apart two coordinates are along a dimension, the short way around a wrapping one
+  coordinateDistance(dim, from, to) {
+    const distance = Math.abs(to - from);
+    if (!this.wraps(dim)) return distance;
+    return Math.min(distance, this.getDimensionSize(dim) - distance);
+  }
+
+  // Get a color's back rank along the pawn forward dimension: the rank in BACK_RANKS when the dimension is
+  // infinite, otherwise White's is the high end of the board and Black's the low end. When the dimension wraps
+  // the two ends are neighbours, so Black's back rank sits halfway around instead, leaving as many empty ranks
+  // behind the armies as between them.
+  getBackRank(color) {
+    const bounds = this.getDimensionBounds(PAWN_FORWARD_DIMENSION);
+    if (!bounds) return BACK_RANKS[color];
+    if (color === PIECE_COLORS.WHITE) return bounds.max;
+
+    if (this.wraps(PAWN_FORWARD_DIMENSION)) {
+      const halfway = bounds.max - Math.floor(this.getDimensionSize(PAWN_FORWARD_DIMENSION) / 2) - 1;
+      return Math.max(halfway, bounds.min);
+    }
+    return bounds.min;
+  }
+
+  // Check if a pawn stands on its starting rank (the rank in front of its back rank)
+  isOnStartingRank(coords, color) {
+    return coords[PAWN_FORWARD_DIMENSION] === this.getBackRank(color) + pawnDirection(color);
+  }
+
+  // Check if a piece's first move still matters to the rules: for castling, or for a longer first move
+  // like a pawn's double step (which pawns on their starting rank always have)
+  tracksFirstMove(piece) {
+    if (piece.type === PIECE_TYPES.KING || piece.type === PIECE_TYPES.ROOK) return true;
+
+    const definition = getPieceDefinition(piece.type);
+    if (!definition || !definition.moves.some(rule => rule.initialRange)) return false;
+    return piece.type !== PIECE_TYPES.PAWN || !this.isOnStartingRank(piece.coords, piece.color);
+  }
+
+  // Set up the standard starting position (in multiple dimensions)
+  setupStandardPosition() {
+    if (this.getDimensionSize(PAWN_FORWARD_DIMENSION) < 2) {
+      throw new Error(`D${PAWN_FORWARD_DIMENSION + 1} needs at least 2 cells for both back ranks`);
+    }
+
+    this.reset();
+
+    if (this.isCompactBoard()) {
+      this.createCompactPieces();
+    } else {
+      this.createStandardChessPieces();
+
+      // Add hyperpieces if more than 3 dimensions
+      if (this.dimensions > 3) {
+        this.createHyperpieces();
+      }
+    }
+
+    // Leave out pieces that would stand off a bounded or wrapping board
+    for (const key in this.pieces) {
+      if (!this.isOnBoard(this.pieces[key].coords)) {
+        this.removePiece(this.pieces[key].coords);
+      }
+    }
+
+    this.refreshHash();
+  }
+
+  // Check if Black's back rank is set up mirrored along the first dimension. That is when the pawn dimension
+  // is twisted with the first dimension as its mirror: across that seam each piece then meets its counterpart,
+  // as on a torus, rather than the queens facing the kings.
+  isBlackMirrored() {
+    const { type, mirror } = this.getTopology(PAWN_FORWARD_DIMENSION);
+    return type === TOPOLOGY_TYPES.TWISTED && mirror === 0;
+  }
+
+  // Check if the board has fewer than 8 cells along the first or second dimension, too few for the standard setup
+  isCompactBoard() {
+    return this.getDimensionSize(0) < STANDARD_BACK_RANK.length ||
+      this.getDimensionSize(PAWN_FORWARD_DIMENSION) < STANDARD_BACK_RANK.length;
+  }
+
+  // Create standard chess pieces (in multiple dimensions)
+  createStandardChessPieces() {
+    // Define piece types for initial setup
+    const backRank = STANDARD_BACK_RANK;
+
+    // Helper to build coordinates on the base plane with an optional higher-dimension offset
+    const at = (x, z, higherDim = null, higherPos = 0) => {
+      const coords = this.emptyCoords();
+      coords[0] = x;
+      coords[1] = z;
+      if (higherDim !== null) coords[higherDim] = higherPos;
+      return coords;
+    };
+
+    // Basic 2D chess layout for all players
+    const blackBackRank = this.getBackRank(PIECE_COLORS.BLACK);
+    const mirrored = this.isBlackMirrored();
+    for (let x = 0; x < 8; x++) {
+      // Black pieces at one end of the second dimension, white pieces at the other
+      this.addPiece(at(x, blackBackRank), backRank[mirrored ? 7 - x : x], PIECE_COLORS.BLACK);
+      this.addPiece(at(x, blackBackRank + 1), PIECE_TYPES.PAWN, PIECE_COLORS.BLACK);
+      this.addPiece(at(x, 0), backRank[x], PIECE_COLORS.WHITE);
+      this.addPiece(at(x, -1), PIECE_TYPES.PAWN, PIECE_COLORS.WHITE);
+    }
+
+    // Place pieces in higher dimensions (4th dimension = index 3)
+    if (this.dimensions >= 4) {
+      const position4D = 1;
+
+      // White pieces in the middle of the board
+      this.addPiece(at(3, -3, 3, position4D), PIECE_TYPES.QUEEN, PIECE_COLORS.WHITE);
+      this.addPiece(at(0, -3, 3, position4D), PIECE_TYPES.ROOK, PIECE_COLORS.WHITE);
+      this.addPiece(at(2, -3, 3, position4D), PIECE_TYPES.BISHOP, PIECE_COLORS.WHITE);
+      this.addPiece(at(1, -3, 3, position4D), PIECE_TYPES.KNIGHT, PIECE_COLORS.WHITE);
+
+      // Black pieces in the middle of the board
+      this.addPiece(at(4, -4, 3, position4D), PIECE_TYPES.QUEEN, PIECE_COLORS.BLACK);
+      this.addPiece(at(7, -4, 3, position4D), PIECE_TYPES.ROOK, PIECE_COLORS.BLACK);
+      this.addPiece(at(5, -4, 3, position4D), PIECE_TYPES.BISHOP, PIECE_COLORS.BLACK);
+      this.addPiece(at(6, -4, 3, position4D), PIECE_TYPES.KNIGHT, PIECE_COLORS.BLACK);
+    }
+
+    // 5th dimension pieces (if available)
+    if (this.dimensions >= 5) {
+      const position5D = 1;
+
+      // White 5D king and pawns (X positions 3-6)
+      this.addPiece(at(4, -2, 4, position5D), PIECE_TYPES.KING, PIECE_COLORS.WHITE);
+      for (let x = 0; x < 4; x++) {
+        this.addPiece(at(x + 3, -3, 4, position5D), PIECE_TYPES.PAWN, PIECE_COLORS.WHITE);
+      }
+
+      // Black 5D king and pawns (X positions 1-4)
+      this.addPiece(at(3, -5, 4, position5D), PIECE_TYPES.KING, PIECE_COLORS.BLACK);
+      for (let x = 0; x < 4; x++) {
+        this.addPiece(at(x + 1, -4, 4, position5D), PIECE_TYPES.PAWN, PIECE_COLORS.BLACK);
+      }
+    }
+
+    // 6th dimension pieces (if available) - queens in opposite corners
+    if (this.dimensions >= 6) {
+      const position6D = 1;
+
+      this.addPiece(at(7, -7, 5, position6D), PIECE_TYPES.QUEEN, PIECE_COLORS.WHITE);
+      this.addPiece(at(0, 0, 5, position6D), PIECE_TYPES.QUEEN, PIECE_COLORS.BLACK);
+    }
+  }
+
+  // Create hyperpieces for higher dimensional play
+  createHyperpieces() {
+    // Only add hyperpieces in dimensions > 3
+    if (this.dimensions <= 3) return;
+
+    // Create hyperpieces for each player, slightly offset in the 4th dimension
+    for (let i = 0; i < 2; i++) {
+      const color = i === 0 ? PIECE_COLORS.WHITE : PIECE_COLORS.BLACK;
+      const hyperpieces = [PIECE_TYPES.HYPERROOK, PIECE_TYPES.HYPERBISHOP, PIECE_TYPES.HYPERKNIGHT];
+
+      hyperpieces.forEach((type, index) => {
+        const coords = this.emptyCoords();
+        coords[0] = index + 1; // X position
+        coords[1] = i === 0 ? 1 : -8; // Z position
+        coords[3] = 1; // 4th dimension offset
+        this.addPiece(coords, type, color);
+      });
+    }
+  }
+
+  // Create the pieces for a compact board: the middle of the standard back rank around the king
+  // (B Q K B on 4 files), pawns in front of them when there are at least 4 ranks, and above 3 dimensions
+  // the hyperpieces on each back rank of the next slice along the fourth dimension
+  createCompactPieces() {
+    const files = Math.min(this.getDimensionSize(0), STANDARD_BACK_RANK.length);
+    const firstFile = Math.max(Math.floor((STANDARD_BACK_RANK.length - files) / 2), KING_FILE - files + 1);
+    const withPawns = this.getDimensionSize(PAWN_FORWARD_DIMENSION) >= 4;
+
+    for (const color of [PIECE_COLORS.WHITE, PIECE_COLORS.BLACK]) {
+      const backRank = this.getBackRank(color);
+      const mirrored = color === PIECE_COLORS.BLACK && this.isBlackMirrored();
+
+      for (let x = 0; x < files; x++) {
+        const coords = this.emptyCoords();
+        coords[0] = x;
+        coords[PAWN_FORWARD_DIMENSION] = backRank;
+        this.addPiece(coords, STANDARD_BACK_RANK[firstFile + (mirrored ? files - 1 - x : x)], color);
+
+        if (withPawns) {
+          const pawnCoords = [...coords];
+          pawnCoords[PAWN_FORWARD_DIMENSION] += pawnDirection(color);
+          this.addPiece(pawnCoords, PIECE_TYPES.PAWN, color);
+        }
+      }
+
+      if (this.dimensions > 3) {
+        const hyperpieces = [PIECE_TYPES.HYPERROOK, PIECE_TYPES.HYPERBISHOP, PIECE_TYPES.HYPERKNIGHT].slice(0, files);
+        const firstHyperFile = Math.floor((files - hyperpieces.length) / 2);
+
+        hyperpieces.forEach((type, index) => {
+          const coords = this.emptyCoords();
+          coords[0] = firstHyperFile + index;
+          coords[PAWN_FORWARD_DIMENSION] = backRank;
+          coords[3] = 1; // 4th dimension offset
+          this.addPiece(coords, type, color);
+        });
+      }
+    }
+  }
+
+  // Load a position, such as one read by parsePosition in nd_notation.js:
+  // { dimensions, pieces: [{ type, color, coords, hasMoved }], currentTurn, enPassant (pawn coordinates or null),
+  //   dimensionalFatigue, hypercastling, promotionZone, topology, totalComplexityScore, halfmoveClock }
+  loadPosition(position) {
+    this.dimensions = position.dimensions;
+    this.topology = position.topology || [];
+    this.validateTopology();
+    this.reset();
+
+    this.dimensionalFatigue = position.dimensionalFatigue;
+    this.hypercastling = position.hypercastling;
+    this.promotionZone = position.promotionZone;
+
+    position.pieces.forEach(({ type, color, coords, hasMoved }) => {
+      this.addPiece(coords, type, color).hasMoved = hasMoved;
+    });
+
+    this.currentTurn = position.currentTurn;
+    this.totalComplexityScore = position.totalComplexityScore;
+    this.halfmoveClock = position.halfmoveClock || 0;
+
+    // The en passant target is the square the pawn skipped
+    if (position.enPassant) {
+      const pawn = this.getPieceAt(position.enPassant);
+      if (!pawn || pawn.type !== PIECE_TYPES.PAWN) {
+        throw new Error(`No pawn to capture en passant at (${position.enPassant.join(', ')})`);
+      }
+
+      const target = [...position.enPassant];
+      target[PAWN_FORWARD_DIMENSION] -= pawnDirection(pawn.color);
+      this.enPassant = { pawn: [...position.enPassant], target: this.resolveCoords(target) };
+      this.enPassant.hashed = this.hasEnPassantCapture();
+    }
+
+    this.refreshHash();
+  }
+
+  // Generate the destinations a piece could reach from its coordinates (ignoring check),
+  // each listed once and in coordinate order
+  generatePseudoLegalMoves(coords) {
+    const piece = this.getPieceAt(coords);
+    if (!piece) return [];
+
+    // Pawns on their starting rank may always double step, whatever their history
+    const firstMove = !piece.hasMoved || (piece.type === PIECE_TYPES.PAWN && this.isOnStartingRank(coords, piece.color));
+
+    return this.generateRuleMoves(coords, piece.color, this.getMoveRules(piece.type, piece.color).rules, firstMove);
+  }
+
+  // Generate the destinations a piece with the given definition would reach from the coordinates on its first
+  // move, whether or not the definition has been added with definePiece (for trying out a piece design)
+  generateDefinitionMoves(definition, coords, color) {
+    validateMoveRules(definition.type, definition.moves);
+    return this.generateRuleMoves(coords, color, this.compileMoveRules(definition, color).rules, true);
+  }
+
+  // Follow compiled move rules (see getMoveRules) from the coordinates, listing each destination once
+  // and in coordinate order
+  generateRuleMoves(coords, color, rules, firstMove) {
+    const moves = [];
+
+    for (const rule of rules) {
+      const range = firstMove && rule.initialRange ? rule.initialRange : rule.range;
+
+      if (rule.ride) {
+        this.slide(coords, color, rule.step, range, moves, rule);
+      } else {
+        for (let distance = 1; distance <= range; distance++) {
+          this.leap(coords.map((coord, dim) => coord + rule.step[dim] * distance), color, moves, rule);
+        }
+      }
+    }
+
+    // Overlapping rules (such as the hyperpieces' extra moves) can reach a destination twice
+    const seen = new Set();
+    return moves
+      .filter(move => {
+        const key = move.join(',');
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort(compareCoords);
+  }
+
+  // Describe a move's shape and effect: the dimensions it travels along, whether it captures,
+  // and its family (see MOVE_FAMILIES)
+  describeMove(fromCoords, toCoords, castling = null) {
+    const piece = this.getPieceAt(fromCoords);
+    const dimensions = [];
+    const distances = [];
+
+    for (let dim = 0; dim < fromCoords.length; dim++) {
+      const distance = this.coordinateDistance(dim, fromCoords[dim], toCoords[dim]);
+      if (distance === 0) continue;
+      dimensions.push(dim);
+      distances.push(distance);
+    }
+
+    const enPassant = !!this.getEnPassantCapture(fromCoords, toCoords);
+    const capture = enPassant || (!castling && !!this.canCapture(toCoords, piece.color));
+    const equalDistances = distances.every(distance => distance === distances[0]);
+
+    let family;
+    if (castling) {
+      family = MOVE_FAMILIES.CASTLING;
+    } else if (piece.type === PIECE_TYPES.PAWN) {
+      family = enPassant ? MOVE_FAMILIES.EN_PASSANT : capture ? MOVE_FAMILIES.PAWN_CAPTURE : MOVE_FAMILIES.PAWN_PUSH;
+    } else if (dimensions.length === 1) {
+      family = MOVE_FAMILIES.ORTHOGONAL;
+    } else if (equalDistances) {
+      family = dimensions.length === 2 ? MOVE_FAMILIES.DIAGONAL : MOVE_FAMILIES.HYPERDIAGONAL;
+    } else {
+      family = dimensions.length === 2 ? MOVE_FAMILIES.KNIGHT : MOVE_FAMILIES.HYPERKNIGHT;
+    }
+
+    return { dimensions: dimensions, capture: capture, family: family };
+  }
+
+  // Generate legal moves as { from, to, dimensions, capture, family } objects (see describeMove),
+  // plus a promotion type for promoting pawns and a castling field for castling moves.
+  // With coordinates, only that piece's moves are generated; otherwise every move for the side to move.
+  // Pieces are taken in coordinate order and each piece's moves in destination order.
+  generateMoves(fromCoords = null) {
+    if (fromCoords) {
+      const piece = this.getPieceAt(fromCoords);
+      if (!piece) return [];
+
+      const moves = [];
+      const destinations = this.filterLegalMoves(fromCoords, piece.color, this.generatePseudoLegalMoves(fromCoords));
+
+      for (const to of destinations) {
+        const description = this.describeMove(fromCoords, to);
+
+        if (piece.type === PIECE_TYPES.PAWN && this.isPromotionSquare(to, piece.color)) {
+          // One move per piece the pawn may promote to
+          this.getPromotionChoices().forEach(promotion => {
+            moves.push({ from: [...fromCoords], to: to, promotion: promotion, ...description });
+          });
+        } else {
+          moves.push({ from: [...fromCoords], to: to, ...description });
+        }
+      }
+
+      // Castling isn't an attacking move, so it is generated apart from the pseudo-legal moves
+      if (piece.type === PIECE_TYPES.KING) {
+        this.generateCastlingMoves(fromCoords).forEach(move => {
+          moves.push({ ...move, ...this.describeMove(move.from, move.to, move.castling) });
+        });
+      }
+
+      return moves;
+    }
+
+    const moves = [];
+    const ownPieces = Object.values(this.pieces)
+      .filter(piece => piece.color === this.currentTurn)
+      .sort((a, b) => compareCoords(a.coords, b.coords));
+
+    for (const piece of ownPieces) {
+      moves.push(...this.generateMoves(piece.coords));
+    }
+
+    return moves;
+  }
+
+  // Check if a pawn of the given color promotes on reaching these coordinates
+  isPromotionSquare(coords, color) {
+    // The promotion zone lies on the opponent's back rank
+    if (coords[PAWN_FORWARD_DIMENSION] !== this.getBackRank(oppositeColor(color))) return false;
+
+    if (this.promotionZone === PROMOTION_ZONES.BASE_SLICE) {
+      return coords.every((coord, dim) => dim <= PAWN_FORWARD_DIMENSION || coord === 0);
+    }
+    return true;
+  }
+
+  // Get the piece types a pawn may promote to, in the order they were defined
+  // (hyperpieces only with more than 3 dimensions)
+  getPromotionChoices() {
+    return Object.values(PIECE_DEFINITIONS)
+      .filter(({ promotion }) => promotion === true || (Number.isInteger(promotion) && this.dimensions >= promotion))
+      .map(({ type }) => type);
+  }
+
+  // Get the cache of move rules per color and piece type, emptied whenever the dimensions, the rule
+  // settings or the piece definitions change
+  getMoveRuleCache() {
+    const cache = this.moveRuleCache;
+    if (cache && cache.dimensions === this.dimensions && cache.dimensionalFatigue === this.dimensionalFatigue &&
+        cache.restrictedDimensions === this.restrictedDimensions && cache.version === definitionsVersion) {
+      return cache;
+    }
+
+    this.moveRuleCache = {
+      dimensions: this.dimensions,
+      dimensionalFatigue: this.dimensionalFatigue,
+      restrictedDimensions: this.restrictedDimensions,
+      version: definitionsVersion,
+      [PIECE_COLORS.WHITE]: {},
+      [PIECE_COLORS.BLACK]: {}
+    };
+    return this.moveRuleCache;
+  }
+
+  // Get how a piece type moves on this board, as { rules, reach, maxDistance }: the rules are step vectors
+  // as { step, ride, range, initialRange, moveOnly, captureOnly, enPassant }, with the ranges worked out for
+  // the dimensions each step uses, and reach holds every offset they cover on an empty board, keyed like
+  // coordinates, at most maxDistance along any dimension (see couldReach)
+  getMoveRules(type, color) {
+    const cache = this.getMoveRuleCache()[color];
+    if (!cache[type]) {
+      const definition = getPieceDefinition(type);
+      cache[type] = definition ? this.compileMoveRules(definition, color) : { rules: [], reach: new Set(), maxDistance: 0 };
+    }
+    return cache[type];
+  }
+
+  // Work out the move rules of a piece definition for a color on this board (see getMoveRules)
+  compileMoveRules(definition, color) {
+    const rules = [];
+    const compiled = { rules: rules, reach: new Set(), maxDistance: 0 };
+
+    for (const rule of definition.moves) {
+      // Pinned dimensions ignore the restriction; the rest only use dimensions moves may take
+      let candidates;
+      if (Array.isArray(rule.dimensions)) {
+        candidates = rule.dimensions.filter(dim => dim < this.dimensions);
+      } else {
+        const from = rule.dimensions ? rule.dimensions.from : 0;
+        candidates = [];
+        for (let dim = from; dim < this.dimensions; dim++) {
+          if (this.isDimensionAllowed(dim)) candidates.push(dim);
+        }
+      }
+
+      for (const { step, dims } of expandMoveRule(rule, candidates, this.dimensions)) {
+        if (rule.forward && Math.sign(step[PAWN_FORWARD_DIMENSION]) !== pawnDirection(color)) continue;
+
+        const range = resolveRange(rule.range, dims, rule.ride ? 7 : 1);
+        rules.push({
+          step: step,
+          ride: !!rule.ride,
+          range: this.dimensionalFatigue ? resolveRange(rule.fatigue, dims, range) : range,
+          initialRange: resolveRange(rule.initialRange, dims, null),
+          moveOnly: !!rule.moveOnly,
+          captureOnly: !!rule.captureOnly,
+          enPassant: !!rule.enPassant
+        });
+      }
+    }
+
+    for (const rule of rules) {
+      const range = Math.max(rule.range, rule.initialRange || 0);
+      for (let distance = 1; distance <= range; distance++) {
+        compiled.reach.add(rule.step.map(component => component * distance).join(','));
+        compiled.maxDistance = Math.max(compiled.maxDistance, ...rule.step.map(component => Math.abs(component) * distance));
+      }
+    }
+
+    return compiled;
+  }
+
+  // Check if an enemy pawn's double step skipped the given cell, so a piece of the color may capture it there
+  isEnPassantTarget(coords, color) {
+    if (!this.enPassant) return false;
+
+    const pawn = this.getPieceAt(this.enPassant.pawn);
+    return !!pawn && pawn.color !== color && coords.every((coord, dim) => coord === this.enPassant.target[dim]);
+  }
+
+  // Check if the other side has a legal en passant capture of the pawn that just double-stepped. Only then
+  // does the en passant square count toward the position hash, so that a double step nobody can take
+  // leaves a position that repeats the same position reached without it
+  hasEnPassantCapture() {
+    const pawn = this.enPassant && this.getPieceAt(this.enPassant.pawn);
+    if (!pawn) return false;
+
+    const color = oppositeColor(pawn.color);
+    const target = this.enPassant.target;
+    const sameSquare = coords => coords.every((coord, dim) => coord === target[dim]);
+
+    return Object.values(this.pieces).some(piece =>
+      piece.color === color &&
+      this.getMoveRules(piece.type, color).rules.some(rule => rule.enPassant) &&
+      this.generatePseudoLegalMoves(piece.coords).some(sameSquare) &&
+      !this.moveLeavesKingAttacked(piece.coords, target, color)
+    );
+  }
+
+  // Get the coordinates of the pawn an en passant move captures, or null if the move isn't en passant
+  getEnPassantCapture(fromCoords, toCoords) {
+    if (!this.enPassant) return null;
+
+    const piece = this.getPieceAt(fromCoords);
+    if (!piece || piece.type !== PIECE_TYPES.PAWN) return null;
+    if (!toCoords.every((coord, dim) => coord === this.enPassant.target[dim])) return null;
+    if (this.getPieceAt(toCoords)) return null;
+
+    const capturedPawn = this.getPieceAt(this.enPassant.pawn);
+    if (!capturedPawn || capturedPawn.color === piece.color) return null;
+
+    return [...this.enPassant.pawn];
+  }
+
+  // Generate legal castling moves for the king at the given coordinates.
+  // Each move carries a castling field describing where the rook goes.
+  generateCastlingMoves(kingCoords) {
+    const king = this.getPieceAt(kingCoords);
+    const moves = [];
+
+    if (!king || king.type !== PIECE_TYPES.KING || king.hasMoved) return moves;
+    if (!this.isDimensionAllowed(CASTLING_DIMENSION)) return moves;
+
+    const candidates = [];
+    for (const key in this.pieces) {
+      const rook = this.pieces[key];
+      if (rook.type !== PIECE_TYPES.ROOK || rook.color !== king.color || rook.hasMoved) continue;
+
+      const move = this.buildCastlingMove(king, rook);
+      if (move) candidates.push(move);
+    }
+
+    // The king may not castle out of check
+    if (candidates.length === 0 || this.isInCheck(king.color)) return moves;
+
+    for (const move of candidates) {
+      if (this.isCastlingSafe(move, king.color)) {
+        moves.push(move);
+      }
+    }
+
+    return moves;
+  }
+
+  // Build the castling move for a king and rook, or null if they can't castle with each other.
+  // Standard castling needs the rook on the king's line along the first dimension with only empty
+  // squares between them. Hypercastling lets a rook in another higher-dimensional slice castle too:
+  // it is transported through the higher dimensions onto the square the king crosses.
+  buildCastlingMove(king, rook) {
+    const kingCoords = king.coords;
+    const rookCoords = rook.coords;
+    const offset = rookCoords[CASTLING_DIMENSION] - kingCoords[CASTLING_DIMENSION];
+    if (offset === 0) return null;
+
+    const direction = Math.sign(offset);
+    const sameLine = rookCoords.every((coord, dim) => dim === CASTLING_DIMENSION || coord === kingCoords[dim]);
+    const otherSlice = rookCoords.some((coord, dim) => dim > PAWN_FORWARD_DIMENSION && coord !== kingCoords[dim]);
+
+    // The king moves two squares toward the rook, which lands on the square the king crossed. Like any
+    // move they go through the board's topology, so there is no castling off the edge of a bounded board
+    const kingStep = [...kingCoords];
+    kingStep[CASTLING_DIMENSION] += 2 * direction;
+    const rookStep = [...kingCoords];
+    rookStep[CASTLING_DIMENSION] += direction;
+    const kingTo = this.resolveCoords(kingStep);
+    const rookTo = this.resolveCoords(rookStep);
+    if (!kingTo || !rookTo) return null;
+
+    // On a small wrapping board the squares may come back around onto another piece
+    const blocks = coords => {
+      const piece = this.getPieceAt(coords);
+      return !!piece && piece !== king && piece !== rook;
+    };
+    if (blocks(kingTo) || blocks(rookTo)) return null;
+
+    if (sameLine) {
+      // The rook must be beyond the king's destination, with nothing between them
+      if (Math.abs(offset) < 3) return null;
+
+      for (let i = 1; i < Math.abs(offset); i++) {
+        const between = [...kingCoords];
+        between[CASTLING_DIMENSION] += i * direction;
+        if (this.getPieceAt(between)) return null;
+      }
+    } else if (this.hypercastling && otherSlice) {
+      // The rook travels through the higher dimensions, so only the squares it and the king land on must be empty
+      if (this.getPieceAt(kingTo) || this.getPieceAt(rookTo)) return null;
+    } else {
+      return null;
+    }
+
+    return {
+      from: [...kingCoords],
+      to: kingTo,
+      castling: {
+        rookFrom: [...rookCoords],
+        rookTo: rookTo,
+        hyper: !sameLine
+      }
+    };
+  }
+
+  // Check that the king neither passes through nor lands on an attacked square in any dimension
+  isCastlingSafe(move, color) {
+    const crossed = move.castling.rookTo;
+    if (this.moveLeavesKingAttacked(move.from, crossed, color)) return false;
+
+    // Land the king with the rook beside it, since the rook can block attacks on the king
+    const realPieces = this.pieces;
+    const withRook = this.simulateMove(move.castling.rookFrom, move.castling.rookTo);
+    this.pieces = this.simulateMove(move.from, move.to, withRook);
+
+    try {
+      return !this.isInCheck(color);
+    } finally {
+      this.pieces = realPieces;
+    }
+  }
+
+  // Walk outward from coords along a direction, stopping at the first occupied square or the edge of the board.
+  // Across a wrapping dimension the walk carries on from the opposite edge (heading the other way along the
+  // mirror dimension after a twisted edge), and ends at the latest when it comes back around to the moving piece.
+  // A move-only rule never takes the piece it stops at, and a capture-only rule only that piece.
+  slide(coords, color, step, range, moves, rule = {}) {
+    let current = coords;
+    let direction = step;
+
+    for (let i = 1; i <= range; i++) {
+      const crossed = this.crossEdges(current.map((coord, dim) => coord + direction[dim]), direction);
+      if (!crossed) break;
+
+      current = crossed.coords;
+      direction = crossed.step;
+
+      const piece = this.getPieceAt(current);
+
+      if (!piece) {
+        // Empty square, add to valid moves
+        if (!rule.captureOnly) moves.push(current);
+      } else if (piece.color !== color) {
+        // Enemy piece, add to valid moves and stop
+        if (!rule.moveOnly) moves.push(current);
+        break;
+      } else {
+        // Friendly piece, stop
+        break;
+      }
+    }
+  }
+
+  // Add a single-square destination if it is on the board and empty or holds an enemy piece
+  // (only empty for a move-only rule, and only an enemy piece or the en passant cell for a capture-only one)
+  leap(newCoords, color, moves, rule = {}) {
+    const destination = this.resolveCoords(newCoords);
+    if (!destination) return;
+
+    const piece = this.getPieceAt(destination);
+    if (piece) {
+      if (piece.color !== color && !rule.moveOnly) moves.push(destination);
+    } else if (!rule.captureOnly || (rule.enPassant && this.isEnPassantTarget(destination, color))) {
+      moves.push(destination);
+    }
+  }
+
+  // Cheap necessary condition for a piece to reach the target: the offset must be one of the piece's
+  // move rule steps, taken a whole number of times within its range. Pieces in the way are left to the
+  // move generator.
+  couldReach(piece, targetCoords) {
+    const { reach, maxDistance } = this.getMoveRules(piece.type, piece.color);
+    let offset = '';
+
+    for (let dim = 0; dim < targetCoords.length; dim++) {
+      const delta = targetCoords[dim] - piece.coords[dim];
+      if (Math.abs(delta) > maxDistance) return false;
+      offset += (dim > 0 ? ',' : '') + delta;
+    }
+    return reach.has(offset);
+  }
+
+  // Find every piece of the attacking color whose move generator reaches the given coordinates
+  findAttackers(targetCoords, attackerColor) {
+    const attackers = [];
+
+    // Moves that wrap around the board don't keep the distances couldReach reasons about
+    const prefilter = !this.hasWrappingDimension();
+
+    for (const key in this.pieces) {
+      const piece = this.pieces[key];
+      if (piece.color !== attackerColor) continue;
+      if (prefilter && !this.couldReach(piece, targetCoords)) continue;
+
+      const moves = this.generatePseudoLegalMoves(piece.coords);
+      if (moves.some(move => move.every((coord, dim) => coord === targetCoords[dim]))) {
+        attackers.push(piece);
+      }
+    }
+
+    return attackers;
+  }
+
+  // Find every enemy piece currently attacking one of the kings of the given color.
+  // With 5+ dimensions a side can have several kings, and all of them are royal.
+  findCheckingPieces(color) {
+    const checkingPieces = [];
+
+    for (const key in this.pieces) {
+      const piece = this.pieces[key];
+      if (piece.type !== PIECE_TYPES.KING || piece.color !== color) continue;
+
+      this.findAttackers(piece.coords, oppositeColor(color)).forEach(attacker => {
+        if (!checkingPieces.includes(attacker)) {
+          checkingPieces.push(attacker);
+        }
+      });
+    }
+
+    return checkingPieces;
+  }
+
+  // Check if any king of the given color is attacked in any active dimension
+  isInCheck(color) {
+    return this.findCheckingPieces(color).length > 0;
+  }
+
+  // List what keeps a set-up position from being played, as messages (none when it can be played): each side
+  // needs a king (or more: the standard 5D and 6D setups give each side two), the side to move can't already
+  // be giving check, and no pawn may stand on a square where it would have promoted
+  findPositionProblems() {
+    const problems = [];
+    const pieces = Object.values(this.pieces);
+    const sideName = color => (color === PIECE_COLORS.WHITE ? 'White' : 'Black');
+
+    for (const color of [PIECE_COLORS.WHITE, PIECE_COLORS.BLACK]) {
+      const kings = pieces.filter(piece => piece.type === PIECE_TYPES.KING && piece.color === color).length;
+      if (kings === 0) problems.push(`${sideName(color)} needs a king`);
+    }
+
+    // Capturing the king would be the next move, so a game can't start here
+    if (problems.length === 0 && this.isInCheck(oppositeColor(this.currentTurn))) {
+      problems.push(`${sideName(this.currentTurn)} is to move but already gives check`);
+    }
+
+    pieces.forEach(piece => {
+      if (piece.type === PIECE_TYPES.PAWN && this.isPromotionSquare(piece.coords, piece.color)) {
+        problems.push(`The ${sideName(piece.color)} pawn at (${piece.coords.join(', ')}) stands on its promotion square`);
+      }
+    });
+
+    return problems;
+  }
+
+  // Build a copy of a pieces map (the current board by default) with a single move applied
+  simulateMove(fromCoords, toCoords, basePieces = this.pieces) {
+    const fromKey = fromCoords.join(',');
+    const toKey = toCoords.join(',');
+    const simulatedPieces = { ...basePieces };
+    const movingPiece = simulatedPieces[fromKey];
+
+    delete simulatedPieces[fromKey];
+    simulatedPieces[toKey] = { ...movingPiece, coords: [...toCoords] };
+
+    return simulatedPieces;
+  }
+
+  // Check if making a move would leave the mover's own king attacked
+  moveLeavesKingAttacked(fromCoords, toCoords, color) {
+    const realPieces = this.pieces;
+    const enPassantCapture = this.getEnPassantCapture(fromCoords, toCoords);
+    this.pieces = this.simulateMove(fromCoords, toCoords);
+
+    // En passant removes a pawn that isn't on the destination square
+    if (enPassantCapture) {
+      delete this.pieces[enPassantCapture.join(',')];
+    }
+
+    try {
+      return this.isInCheck(color);
+    } finally {
+      this.pieces = realPieces;
+    }
+  }
+
+  // Drop every pseudo-legal move that would leave the mover's king attacked in any dimension
+  filterLegalMoves(fromCoords, color, moves) {
+    // Generators can reach the same destination more than once, so simulate each only once
+    const legality = {};
+
+    return moves.filter(move => {
+      const key = move.join(',');
+      if (!(key in legality)) {
+        legality[key] = !this.moveLeavesKingAttacked(fromCoords, move, color);
+      }
+      return legality[key];
+    });
+  }
+
+  // Check if the given color has at least one move that doesn't leave its king attacked
+  hasAnyLegalMove(color) {
+    // Snapshot the pieces first since the simulation swaps the pieces map
+    const ownPieces = Object.values(this.pieces).filter(piece => piece.color === color);
+
+    for (const piece of ownPieces) {
+      const moves = this.generatePseudoLegalMoves(piece.coords);
+      for (const move of moves) {
+        if (!this.moveLeavesKingAttacked(piece.coords, move, color)) {
+          return true;
+        }
+      }
+    }
+
+    return false;
+  }
+
+  // Get the result of the game if it has ended, or null while it is still in progress.
+  // Reasons are checkmate, stalemate, threefold-repetition, fifty-move-rule and insufficient-material.
+  isGameOver() {
+    // The side to move has no legal moves: checkmate if in check, stalemate otherwise
+    if (!this.hasAnyLegalMove(this.currentTurn)) {
+      if (this.isInCheck(this.currentTurn)) {
+        return { winner: oppositeColor(this.currentTurn), reason: 'checkmate' };
+      }
+      return { winner: null, reason: 'stalemate' };
+    }
+
+    if (this.repetitionCount() >= 3) {
+      return { winner: null, reason: 'threefold-repetition' };
+    }
+    if (this.halfmoveClock >= FIFTY_MOVE_PLIES) {
+      return { winner: null, reason: 'fifty-move-rule' };
+    }
+    if (this.hasInsufficientMaterial()) {
+      return { winner: null, reason: 'insufficient-material' };
+    }
+    return null;
+  }
+
+  // Count how many times the current position has occurred, comparing position hashes.
+  // Positions before the last capture or pawn move can't come back, so the search stops there.
+  repetitionCount() {
+    const plies = Math.min(this.halfmoveClock, this.history.length);
+    let count = 1;
+
+    for (let i = this.history.length - plies; i < this.history.length; i++) {
+      const [high, low] = this.history[i].previousHash;
+      if (high === this.hashHigh && low === this.hashLow) count++;
+    }
+
+    return count;
+  }
+
+  // Check if neither side has enough material left to checkmate: nothing but kings and at most one
+  // knight or bishop, or only bishops that all stand on squares of one color. A bishop keeps the parity
+  // of its coordinate sum in every dimension, but a hyperbishop moving along an odd number of dimensions
+  // changes it, so the hyperpieces, like pawns, rooks and queens, always count as mating material.
+  // Crossing the edge of an odd-sized torus or a mirrored gluing changes the parity too, so on those
+  // boards a bishop reaches squares of both colors and bishops alone may still mate.
+  hasInsufficientMaterial() {
+    const minorPieces = [];
+
+    for (const key in this.pieces) {
+      const piece = this.pieces[key];
+      if (piece.type === PIECE_TYPES.KING) continue;
+      if (piece.type !== PIECE_TYPES.KNIGHT && piece.type !== PIECE_TYPES.BISHOP) return false;
+      minorPieces.push(piece);
+    }
+
+    if (minorPieces.length <= 1) return true;
+    if (minorPieces.some(piece => piece.type !== PIECE_TYPES.BISHOP)) return false;
+
+    for (let dim = 0; dim < this.dimensions; dim++) {
+      const topology = this.getTopology(dim);
+      if (topology.type === TOPOLOGY_TYPES.TWISTED) return false;
+      if (topology.type === TOPOLOGY_TYPES.TORUS && topology.size % 2 !== 0) return false;
+    }
+
+    const squareColor = piece => Math.abs(piece.coords.reduce((sum, coord) => sum + coord, 0)) % 2;
+    return minorPieces.every(piece => squareColor(piece) === squareColor(minorPieces[0]));
+  }
+
+  // Apply a { from, to, promotion? } move, switch turns, and return a record describing what happened
+  applyMove(move) {
+    const fromKey = move.from.join(',');
+    const toKey = move.to.join(',');
+    const piece = this.pieces[fromKey];
+
+    if (!piece) {
+      throw new Error(`No piece at (${move.from.join(', ')})`);
+    }
+
+    // A king moving two squares along the castling dimension (and only along it) is castling
+    let castling = move.castling || null;
+    if (!castling && piece.type === PIECE_TYPES.KING &&
+        this.coordinateDistance(CASTLING_DIMENSION, move.from[CASTLING_DIMENSION], move.to[CASTLING_DIMENSION]) === 2 &&
+        move.to.every((coord, dim) => dim === CASTLING_DIMENSION || coord === move.from[dim])) {
+      const sameSquare = coords => coords.every((coord, dim) => coord === move.to[dim]);
+      const castlingMove = this.generateCastlingMoves(move.from).find(candidate => sameSquare(candidate.to));
+
+      if (castlingMove) {
+        castling = castlingMove.castling;
+      } else if (!this.generatePseudoLegalMoves(move.from).some(sameSquare)) {
+        // On a small wrapping board an ordinary king step can cover two squares too
+        throw new Error(`Castling to (${move.to.join(', ')}) is not allowed`);
+      }
+    }
+
+    // Promote pawns reaching the promotion zone (to a queen unless another piece was chosen), checking
+    // the choice before anything changes so a rejected move leaves the position as it was
+    let promotion = null;
+    if (piece.type === PIECE_TYPES.PAWN && this.isPromotionSquare(move.to, piece.color)) {
+      promotion = move.promotion || PIECE_TYPES.QUEEN;
+
+      if (!this.getPromotionChoices().includes(promotion)) {
+        throw new Error(`Cannot promote to ${promotion} with ${this.dimensions} dimensions`);
+      }
+    }
+
+    // Check if there's a piece to capture at the destination (or beside it for en passant)
+    const enPassantCapture = this.getEnPassantCapture(move.from, move.to);
+    const capturedKey = enPassantCapture ? enPassantCapture.join(',') : toKey;
+    const capturedPiece = this.pieces[capturedKey] || null;
+
+    // Take everything the move changes out of the position hash, and put it back in once the move is made
+    const previousHash = [this.hashHigh, this.hashLow];
+    const rookBefore = castling ? this.pieces[castling.rookFrom.join(',')] : null;
+    const toggleChangedState = () => {
+      this.toggleHash(this.pieceZobristKey(piece));
+      if (rookBefore) this.toggleHash(this.pieceZobristKey(rookBefore));
+      if (this.enPassant && this.enPassant.hashed) this.toggleHash(zobristKey('en-passant', this.enPassant.target));
+    };
+    toggleChangedState();
+    this.toggleHash(BLACK_TO_MOVE_KEY);
+
+    if (capturedPiece) {
+      // Store the captured piece in the captured list
+      this.capturedPieces[piece.color].push({
+        type: capturedPiece.type,
+        color: capturedPiece.color
+      });
+      delete this.pieces[capturedKey];
+      this.toggleHash(this.pieceZobristKey(capturedPiece));
+    }
+
+    // Calculate the complexity score for this move
+    const complexity = this.calculateMoveComplexity(move.from, move.to, piece, !!capturedPiece);
+    this.totalComplexityScore += complexity;
+
+    // Update the piece's coordinates and the pieces lookup (remembering its type before any promotion)
+    const pieceType = piece.type;
+    const hadMoved = piece.hasMoved;
+    delete this.pieces[fromKey];
+    piece.coords = [...move.to];
+    piece.hasMoved = true;
+    this.pieces[toKey] = piece;
+
+    // Castling also moves the rook
+    let rook = null;
+    let rookHadMoved = false;
+    if (castling) {
+      rook = this.pieces[castling.rookFrom.join(',')];
+      rookHadMoved = rook.hasMoved;
+      delete this.pieces[castling.rookFrom.join(',')];
+      rook.coords = [...castling.rookTo];
+      rook.hasMoved = true;
+      this.pieces[castling.rookTo.join(',')] = rook;
+    }
+
+    if (promotion) {
+      piece.type = promotion;
+    }
+
+    // Remember a pawn double step so the opponent may capture it en passant on the next move
+    const previousEnPassant = this.enPassant;
+    this.enPassant = null;
+    if (piece.type === PIECE_TYPES.PAWN && !promotion &&
+        this.coordinateDistance(PAWN_FORWARD_DIMENSION, move.from[PAWN_FORWARD_DIMENSION], move.to[PAWN_FORWARD_DIMENSION]) === 2) {
+      const target = [...move.from];
+      target[PAWN_FORWARD_DIMENSION] += pawnDirection(piece.color);
+      this.enPassant = { pawn: [...move.to], target: this.resolveCoords(target) };
+      this.enPassant.hashed = this.hasEnPassantCapture();
+    }
+
+    // Captures and pawn moves can't be undone over the board, so they restart the fifty-move count
+    const previousHalfmoveClock = this.halfmoveClock;
+    this.halfmoveClock = capturedPiece || pieceType === PIECE_TYPES.PAWN ? 0 : this.halfmoveClock + 1;
+
+    toggleChangedState();
+
+    const record = {
+      move: { from: [...move.from], to: [...move.to] },
+      piece: piece,
+      pieceType: pieceType,
+      captured: capturedPiece,
+      enPassant: !!enPassantCapture,
+      previousEnPassant: previousEnPassant,
+      promotion: promotion,
+      castling: castling ? { ...castling, rook: rook, rookHadMoved: rookHadMoved } : null,
+      hadMoved: hadMoved,
+      complexity: complexity,
+      turn: this.currentTurn,
+      previousHash: previousHash,
+      previousHalfmoveClock: previousHalfmoveClock
+    };
+
+    if (promotion) {
+      record.move.promotion = promotion;
+    }
+    if (castling) {
+      record.move.castling = { rookFrom: [...castling.rookFrom], rookTo: [...castling.rookTo], hyper: castling.hyper };
+    }
+
+    // Replaying the most recently undone move keeps the rest of the redo stack, any other move discards it
+    const nextRedo = this.nextRedoMove();
+    if (nextRedo && this.isSameMove(nextRedo, record.move)) {
+      this.redoStack.pop();
+    } else {
+      this.redoStack = [];
+    }
+
+    this.history.push(record);
+    this.currentTurn = oppositeColor(this.currentTurn);
+
+    return record;
+  }
+
+  // Take back the most recent move, returning its record (or null if there is nothing to undo)
+  undoMove() {
+    const record = this.history.pop();
+    if (!record) return null;
+
+    const { move, piece, captured, promotion, castling, hadMoved, previousEnPassant, complexity, turn } = record;
+
+    // Move the piece back (turning a promoted piece back into a pawn)
+    delete this.pieces[move.to.join(',')];
+    piece.coords = [...move.from];
+    piece.hasMoved = hadMoved;
+    if (promotion) {
+      piece.type = PIECE_TYPES.PAWN;
+    }
+    this.pieces[move.from.join(',')] = piece;
+
+    // Return a castled rook to its corner
+    if (castling) {
+      delete this.pieces[castling.rookTo.join(',')];
+      castling.rook.coords = [...castling.rookFrom];
+      castling.rook.hasMoved = castling.rookHadMoved;
+      this.pieces[castling.rookFrom.join(',')] = castling.rook;
+    }
+
+    // Restore any captured piece (which keeps its own coordinates, so en passant captures go back beside the pawn)
+    if (captured) {
+      this.pieces[captured.coords.join(',')] = captured;
+      this.capturedPieces[piece.color].pop();
+    }
+
+    this.enPassant = previousEnPassant;
+    this.totalComplexityScore -= complexity;
+    this.currentTurn = turn;
+    this.halfmoveClock = record.previousHalfmoveClock;
+    [this.hashHigh, this.hashLow] = record.previousHash;
+
+    this.redoStack.push(record.move);
+
+    return record;
+  }
+
+  // Replay the most recently undone move, returning its new record (or null if there is nothing to redo)
+  redoMove() {
+    const move = this.nextRedoMove();
+    return move ? this.applyMove(move) : null;
+  }
+
+  // Get the move redoMove would replay, or null
+  nextRedoMove() {
+    return this.redoStack.length > 0 ? this.redoStack[this.redoStack.length - 1] : null;
+  }
+
+  // Check if two moves are the same (same squares, promotion and castling rook)
+  isSameMove(a, b) {
+    const sameCoords = (c1, c2) => c1.length === c2.length && c1.every((coord, dim) => coord === c2[dim]);
+
+    if (!sameCoords(a.from, b.from) || !sameCoords(a.to, b.to)) return false;
+    if ((a.promotion || null) !== (b.promotion || null)) return false;
+    if (!!a.castling !== !!b.castling) return false;
+    return !a.castling || sameCoords(a.castling.rookFrom, b.castling.rookFrom);
+  }
+
+  // Get the dimensions a move travels along (its complexity score, and the clock's dimension bonus, count them)
+  getMoveDimensions(fromCoords, toCoords) {
+    const dimensionsUsed = [];
+    for (let i = 0; i < fromCoords.length; i++) {
+      if (this.coordinateDistance(i, fromCoords[i], toCoords[i]) !== 0) {
+        dimensionsUsed.push(i);
+      }
+    }
+    return dimensionsUsed;
+  }
+
+  // Calculate mathematical complexity of a move
+  calculateMoveComplexity(fromCoords, toCoords, piece, isCapture) {
+    let complexity = 0;
+
+    // Base complexity from piece type
+    const definition = getPieceDefinition(piece.type);
+    complexity += COMPLEXITY_WEIGHTS.PIECE_TYPE[piece.type] || (definition && definition.complexity) || 1;
+
+    // Add complexity for capture operations
+    if (isCapture) {
+      complexity += COMPLEXITY_WEIGHTS.CAPTURE;
+    }
+
+    // Calculate Euclidean distance in all dimensions the move was made along
+    const dimensionsUsed = this.getMoveDimensions(fromCoords, toCoords);
+    let distanceSquared = 0;
+
+    dimensionsUsed.forEach(i => {
+      const delta = this.coordinateDistance(i, fromCoords[i], toCoords[i]);
+      distanceSquared += delta * delta;
+    });
+
+    const distance = Math.sqrt(distanceSquared);
+    complexity += distance * COMPLEXITY_WEIGHTS.DISTANCE;
+
+    // Extra complexity for using higher dimensions (beyond 3D)
+    const higherDimensionsUsed = dimensionsUsed.filter(d => d >= 3).length;
+    if (higherDimensionsUsed > 0) {
+      // Exponential scaling for higher dimension usage
+      complexity += COMPLEXITY_WEIGHTS.DIMENSIONAL_SHIFT * Math.pow(1.5, higherDimensionsUsed);
+    }
+
+    // Factor in dimensional fatigue if enabled
+    if (this.dimensionalFatigue && higherDimensionsUsed > 1) {
+      // Complexity increases with more dimensions due to increased coordination difficulty
+      complexity *= 1 + (higherDimensionsUsed * 0.2);
+    }
+
+    // Total dimensions used also increases complexity
+    complexity += dimensionsUsed.length * COMPLEXITY_WEIGHTS.DIMENSIONS;
+
+    // Hyperpieces get additional complexity based on their special movement patterns
+    if (piece.type.startsWith('hyper')) {
+      // Calculate which dimensions were used together for the move
+      const uniqueDimensionPairs = Math.min(dimensionsUsed.length * (dimensionsUsed.length - 1) / 2, 10);
+
+      // Add complexity for each unique pair of dimensions used together
+      complexity += uniqueDimensionPairs * 2;
+    }
+
+    // Round to 1 decimal place
+    return Math.round(complexity * 10) / 10;
+  }
+}
+
+// Export for ES modules
+export {
+  NDChessEngine,
+  PIECE_TYPES,
+  PIECE_COLORS,
+  PROMOTION_ZONES,
+  COMPLEXITY_WEIGHTS,
+  MOVE_FAMILIES,
+  FIFTY_MOVE_PLIES,
+  TOPOLOGY_TYPES,
+  BACK_RANKS,
+  PAWN_FORWARD_DIMENSION,
+  PIECE_DEFINITIONS,
+  definePiece,
+  removePieceDefinition,
+  getPieceDefinition,
+  oppositeColor,
+  compareCoords
+};
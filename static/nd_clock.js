@@ -0,0 +1,105 @@
+/**
+ * N-Dimensional Chess Clock
+ *
+ * A two-sided game clock with the usual time controls:
+ *
+ *   sudden death   each side has a fixed time for the whole game
+ *   Fischer        a fixed increment is added after every move
+ *   Bronstein      after every move, the time it took is given back, up to a fixed delay
+ *
+ * and an optional variant rule that adds bonus time for every dimension past the third that
+ * a move travels along, counted by NDChessEngine.getMoveDimensions as for complexity scores.
+ * The clock knows nothing of the board: the game presses it after each move and asks it
+ * whose time has run out. Times are in milliseconds.
+ */
+import { PIECE_COLORS, oppositeColor } from './nd_chess_engine.js';
+
+// Time controls
+const CLOCK_MODES = {
+  SUDDEN_DEATH: 'sudden-death',
+  FISCHER: 'fischer',
+  BRONSTEIN: 'bronstein'
+};
+
+// Time left under which clocks show tenths of a second (and the game shows them as running low)
+const LOW_TIME = 10000;
+
+class NDChessClock {
+  constructor(options = {}) {
+    this.mode = options.mode || CLOCK_MODES.SUDDEN_DEATH;
+    this.initialTime = options.initialTime || 5 * 60 * 1000;
+    this.increment = options.increment || 0; // Fischer increment or Bronstein delay
+    this.dimensionBonus = options.dimensionBonus || 0; // Bonus for each dimension past the third a move uses
+
+    this.remaining = {
+      [PIECE_COLORS.WHITE]: this.initialTime,
+      [PIECE_COLORS.BLACK]: this.initialTime
+    };
+    this.running = null; // Color whose time is running
+    this.turnStarted = 0; // When the running side's turn began
+  }
+
+  // Get the time a side has left, counting the turn in progress
+  timeLeft(color, now = Date.now()) {
+    const elapsed = this.running === color ? now - this.turnStarted : 0;
+    return Math.max(this.remaining[color] - elapsed, 0);
+  }
+
+  // Run a side's time from now (stopping the other side's)
+  start(color, now = Date.now()) {
+    this.stop(now);
+    this.running = color;
+    this.turnStarted = now;
+  }
+
+  // Stop the clock, charging the turn in progress
+  stop(now = Date.now()) {
+    if (!this.running) return;
+
+    this.remaining[this.running] = this.timeLeft(this.running, now);
+    this.running = null;
+  }
+
+  // End a side's turn after a move along higherDimensions dimensions past the third: charge the turn (if
+  // the side's time was running), add the increment, delay and dimension bonus, and start the other side
+  press(color, higherDimensions = 0, now = Date.now()) {
+    const used = this.running === color ? now - this.turnStarted : 0;
+    this.stop(now);
+
+    // A side whose time has run out gets nothing back
+    if (this.remaining[color] > 0) {
+      if (this.mode === CLOCK_MODES.FISCHER) {
+        this.remaining[color] += this.increment;
+      } else if (this.mode === CLOCK_MODES.BRONSTEIN) {
+        this.remaining[color] += Math.min(used, this.increment);
+      }
+      this.remaining[color] += this.dimensionBonus * higherDimensions;
+    }
+
+    this.start(oppositeColor(color), now);
+  }
+
+  // Get the side whose time has run out, or null
+  flagged(now = Date.now()) {
+    if (this.running && this.timeLeft(this.running, now) === 0) return this.running;
+    return null;
+  }
+}
+
+// Format a time as m:ss, or as s.t once it is under ten seconds
+function formatClockTime(time) {
+  if (time < LOW_TIME) {
+    return (Math.floor(time / 100) / 10).toFixed(1);
+  }
+
+  const seconds = Math.ceil(time / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Export for ES modules
+export {
+  NDChessClock,
+  CLOCK_MODES,
+  LOW_TIME,
+  formatClockTime
+};
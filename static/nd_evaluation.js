@@ -0,0 +1,152 @@
+/**
+ * N-Dimensional Chess Position Evaluation
+ *
+ * Static evaluation of NDChessEngine positions, in centipawns. It weighs material,
+ * mobility in each dimension, king safety along every axis through the king, and
+ * pawn advancement. The computer opponent takes any function of the same shape as
+ * evaluatePosition, so createEvaluator can reweigh or replace the terms.
+ */
+import { PIECE_TYPES, PIECE_COLORS, PAWN_FORWARD_DIMENSION, getPieceDefinition, oppositeColor } from './nd_chess_engine.js';
+
+// Material values. The hyperpieces are calibrated by their reach on an empty 4D board:
+// they leap rather than slide, so nothing blocks them. The hyperrook and hyperbishop reach
+// about twice as many cells as a queen (around 400 against 206), and the hyperknight more
+// than a queen but only at short range.
+const PIECE_VALUES = {
+  [PIECE_TYPES.PAWN]: 100,
+  [PIECE_TYPES.KNIGHT]: 300,
+  [PIECE_TYPES.BISHOP]: 330,
+  [PIECE_TYPES.ROOK]: 500,
+  [PIECE_TYPES.QUEEN]: 900,
+  [PIECE_TYPES.KING]: 0,
+  [PIECE_TYPES.HYPERROOK]: 1100,
+  [PIECE_TYPES.HYPERBISHOP]: 1050,
+  [PIECE_TYPES.HYPERKNIGHT]: 650
+};
+
+// Get a piece type's material value, falling back to the value in its definition for other pieces
+function pieceValue(type) {
+  if (type in PIECE_VALUES) return PIECE_VALUES[type];
+
+  const definition = getPieceDefinition(type);
+  return (definition && definition.value) || 0;
+}
+
+// Weights of the evaluation terms
+const DEFAULT_WEIGHTS = {
+  material: 1,       // Multiplier for PIECE_VALUES
+  mobility: 0.5,     // Per reachable cell, for every dimension the move travels along, averaged over the dimensions
+  kingShield: 10,    // Per friendly piece beside a king along one of its axes
+  kingExposure: 15,  // Per cell of a king's zone (its square and one step along each axis) the opponent reaches
+  pawnAdvance: 6     // Per rank advanced, growing with the square of the distance
+};
+
+// Weights without the terms that need every piece's moves generated, for searches that evaluate many positions
+const FAST_WEIGHTS = {
+  ...DEFAULT_WEIGHTS,
+  mobility: 0,
+  kingExposure: 0
+};
+
+// Break the evaluation down into its terms, each scored from White's point of view (positive is good for White).
+// Mobility is also reported per dimension for each side.
+function analyzePosition(engine, weights = DEFAULT_WEIGHTS) {
+  const colors = [PIECE_COLORS.WHITE, PIECE_COLORS.BLACK];
+  const sign = { [PIECE_COLORS.WHITE]: 1, [PIECE_COLORS.BLACK]: -1 };
+
+  const mobility = {};
+  const reached = {}; // Cells each side's pieces (other than pawns) can move to
+  colors.forEach(color => {
+    mobility[color] = new Array(engine.dimensions).fill(0);
+    reached[color] = new Set();
+  });
+
+  let material = 0;
+  let pawnAdvance = 0;
+
+  // Generating moves is by far the most expensive part, so skip it when its terms carry no weight
+  const needsMoves = weights.mobility !== 0 || weights.kingExposure !== 0;
+
+  for (const key in engine.pieces) {
+    const piece = engine.pieces[key];
+    const { coords, color } = piece;
+
+    material += sign[color] * pieceValue(piece.type);
+
+    // Pawns score by how far they have come from their starting rank
+    if (piece.type === PIECE_TYPES.PAWN) {
+      const startRank = engine.getBackRank(color) - sign[color]; // White pawns advance toward Black's back rank, Black's toward 0
+      const advanced = Math.abs(coords[PAWN_FORWARD_DIMENSION] - startRank);
+      pawnAdvance += sign[color] * advanced * advanced;
+    }
+
+    if (!needsMoves) continue;
+
+    // Count each destination once per dimension it travels along
+    engine.generatePseudoLegalMoves(coords).forEach(to => {
+      for (let dim = 0; dim < engine.dimensions; dim++) {
+        if (to[dim] !== coords[dim]) mobility[color][dim]++;
+      }
+      if (piece.type !== PIECE_TYPES.PAWN) reached[color].add(to.join(','));
+    });
+  }
+
+  // King safety: friendly pieces beside each king shield it, cells around it the opponent reaches expose it
+  let kingShield = 0;
+  let kingExposure = 0;
+
+  for (const key in engine.pieces) {
+    const king = engine.pieces[key];
+    if (king.type !== PIECE_TYPES.KING) continue;
+
+    const enemy = oppositeColor(king.color);
+    if (reached[enemy].has(key)) kingExposure -= sign[king.color];
+
+    for (let dim = 0; dim < engine.dimensions; dim++) {
+      for (const step of [-1, 1]) {
+        const beside = [...king.coords];
+        beside[dim] += step;
+
+        // Off the edge of a bounded board there is nothing beside the king
+        const neighbour = engine.resolveCoords(beside);
+        if (!neighbour) continue;
+        const neighbourKey = neighbour.join(',');
+
+        const piece = engine.pieces[neighbourKey];
+        if (piece && piece.color === king.color) kingShield += sign[king.color];
+        if (reached[enemy].has(neighbourKey)) kingExposure -= sign[king.color];
+      }
+    }
+  }
+
+  const mobilityScore = (mobility[PIECE_COLORS.WHITE].reduce((sum, count) => sum + count, 0) -
+    mobility[PIECE_COLORS.BLACK].reduce((sum, count) => sum + count, 0)) / engine.dimensions;
+
+  const terms = {
+    material: weights.material * material,
+    mobility: Math.round(weights.mobility * mobilityScore),
+    kingSafety: weights.kingShield * kingShield + weights.kingExposure * kingExposure,
+    pawnAdvance: weights.pawnAdvance * pawnAdvance
+  };
+
+  return {
+    ...terms,
+    total: terms.material + terms.mobility + terms.kingSafety + terms.pawnAdvance,
+    mobilityByDimension: mobility
+  };
+}
+
+// Score the position from the point of view of the side to move, as the computer opponent expects
+function evaluatePosition(engine, weights = DEFAULT_WEIGHTS) {
+  const { total } = analyzePosition(engine, weights);
+  return engine.currentTurn === PIECE_COLORS.WHITE ? total : -total;
+}
+
+// Build an evaluation function with some of the default weights replaced
+function createEvaluator(weights = {}) {
+  const combined = { ...DEFAULT_WEIGHTS, ...weights };
+  return engine => evaluatePosition(engine, combined);
+}
+
+// Export for ES modules
+export { PIECE_VALUES, pieceValue, DEFAULT_WEIGHTS, FAST_WEIGHTS, analyzePosition, evaluatePosition, createEvaluator };
@@ -0,0 +1,36 @@
+/**
+ * N-Dimensional Chess Evaluation Worker
+ *
+ * Analyzes positions for the evaluation bar off the main thread. The full evaluation
+ * generates every piece's moves for its mobility and king safety terms, which in 5D and
+ * 6D takes long enough to stall the board after each move. As in the computer opponent's
+ * worker, everything is imported by relative path, and the fairy pieces and the custom
+ * pieces the page sends are registered here.
+ *
+ * Request:  { id, position, restrictedDimensions, pieces }
+ * Response: { id, analysis } or { id, error }
+ */
+import { NDChessEngine, definePiece, removePieceDefinition } from './nd_chess_engine.js';
+import { parsePosition } from './nd_notation.js';
+import { analyzePosition } from './nd_evaluation.js';
+import './nd_fairy_pieces.js';
+
+// Custom piece types defined for the last request, which the next request's pieces replace
+let customTypes = [];
+
+self.onmessage = (event) => {
+  const { id, position, restrictedDimensions, pieces } = event.data;
+
+  try {
+    customTypes.forEach(removePieceDefinition);
+    customTypes = (pieces || []).map(definition => definePiece(definition).type);
+
+    const engine = new NDChessEngine();
+    engine.loadPosition(parsePosition(position));
+    engine.restrictedDimensions = restrictedDimensions || null;
+
+    self.postMessage({ id: id, analysis: analyzePosition(engine) });
+  } catch (error) {
+    self.postMessage({ id: id, error: error.message });
+  }
+};
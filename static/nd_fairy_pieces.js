@@ -0,0 +1,74 @@
+/**
+ * N-Dimensional Chess Fairy Pieces
+ *
+ * Fairy chess pieces defined with the engine's move rules (see definePiece in
+ * nd_chess_engine.js). Importing this module registers them, after which they can
+ * stand in positions, game records and setups like any standard piece:
+ *
+ *   C  Chancellor   rook + knight
+ *   A  Archbishop   bishop + knight
+ *   M  Amazon       queen + knight
+ *   NR Nightrider   rides on knight moves, as far as nothing blocks the line
+ *
+ * Their moves generalize to every dimension like the standard pieces', and they
+ * share the dimensional fatigue of the pieces they combine.
+ */
+import { PIECE_TYPES, definePiece, getPieceDefinition } from './nd_chess_engine.js';
+
+// Fairy piece types
+const FAIRY_PIECE_TYPES = {
+  CHANCELLOR: 'chancellor',
+  ARCHBISHOP: 'archbishop',
+  AMAZON: 'amazon',
+  NIGHTRIDER: 'nightrider'
+};
+
+// Get the move rules of a standard piece, to build compound pieces from
+function movesOf(type) {
+  return getPieceDefinition(type).moves;
+}
+
+const FAIRY_PIECES = [
+  {
+    type: FAIRY_PIECE_TYPES.CHANCELLOR,
+    name: 'Chancellor',
+    letter: 'C',
+    value: 850,
+    complexity: 6,
+    moves: [...movesOf(PIECE_TYPES.ROOK), ...movesOf(PIECE_TYPES.KNIGHT)]
+  },
+  {
+    type: FAIRY_PIECE_TYPES.ARCHBISHOP,
+    name: 'Archbishop',
+    letter: 'A',
+    value: 800,
+    complexity: 6,
+    moves: [...movesOf(PIECE_TYPES.BISHOP), ...movesOf(PIECE_TYPES.KNIGHT)]
+  },
+  {
+    type: FAIRY_PIECE_TYPES.AMAZON,
+    name: 'Amazon',
+    letter: 'M',
+    value: 1200,
+    complexity: 8,
+    moves: [...movesOf(PIECE_TYPES.QUEEN), ...movesOf(PIECE_TYPES.KNIGHT)]
+  },
+  {
+    // A line of knight moves covers twice the ground of a rook's, so it tires to half its range
+    // once it reaches past the first three dimensions
+    type: FAIRY_PIECE_TYPES.NIGHTRIDER,
+    name: 'Nightrider',
+    letter: 'NR',
+    value: 500,
+    complexity: 5,
+    moves: [{ ride: [2, 1], range: 7, fatigue: dims => (dims[dims.length - 1] > 2 ? 3 : 7) }]
+  }
+];
+
+FAIRY_PIECES.forEach(definePiece);
+
+// Export for ES modules
+export {
+  FAIRY_PIECE_TYPES,
+  FAIRY_PIECES
+};
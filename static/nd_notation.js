@@ -0,0 +1,602 @@
+/**
+ * N-Dimensional Chess Notation
+ *
+ * Algebraic notation for n-dimensional moves. Squares are written as full
+ * coordinate tuples, since file and rank letters run out after two dimensions:
+ *
+ *   (4,-1,0)-(4,-3,0)        pawn move (pawns have no letter)
+ *   N(1,0,0)-(2,-2,0)        knight move
+ *   R(0,0,0)x(0,-6,0)        rook capture
+ *   HN(1,1,0,1)-(3,0,0,2)    hyperpieces take an H prefix: HR, HB, HN
+ *   C(1,0,0)-(1,-5,0)        other pieces use the letter of their definition (C, A, M, NR for the fairy pieces)
+ *   (3,-6,0)-(3,-7,0)=HR     promotion
+ *   (4,-4,0)x(3,-5,0)e.p.    en passant
+ *   O-O(4,0,0)               castling toward +X (O-O-O toward -X) by the king on that tuple
+ *   O-O-O(4,0,0,0)/(0,-3,0,1)  hypercastling with the rook on the second tuple
+ *
+ * A trailing + marks check and # marks checkmate.
+ *
+ * Positions are shared as a single line of eight space-separated fields, like FEN:
+ *
+ *   3 R(0,0,0)N(1,0,0)...p(7,-6,0) w (0,0,0)(4,0,0)(7,0,0)... - F 0 0
+ *
+ *   1. Number of dimensions, followed by a colon and the shape of each dimension when any is not infinite:
+ *      b8 bounded to 8 cells, t8 wrapping around after 8 cells, m8/2 wrapping around after 8 cells with
+ *      D2 mirrored, i infinite (trailing i's left out), as in 2:t8,t8 or 2:t8,m10/1 (a Klein bottle)
+ *   2. Every piece as its letter and coordinate tuple (P for pawns; uppercase White, lowercase Black)
+ *   3. Side to move: w or b
+ *   4. Unmoved pieces whose first move matters: kings and rooks that may still castle, and
+ *      pawns off their starting rank that may still double step (pawns on it always may), or -
+ *   5. The pawn that can be captured en passant, or -
+ *   6. Rule flags: F dimensional fatigue, H hypercastling, S base-slice promotion zone, or -
+ *   7. Complexity score
+ *   8. Halfmove clock: moves since the last capture or pawn move, for the fifty-move rule
+ *      (may be left out, for positions written before it was added)
+ *
+ * Whole games are recorded in a PGN-style format: tag pairs, including Dimensions,
+ * Fatigue and Variant tags (plus Topology for boards that aren't infinite, and SetUp and
+ * FEN when the game didn't start from the standard position), followed by numbered moves
+ * in the notation above.
+ */
+import {
+  NDChessEngine,
+  PIECE_TYPES,
+  PIECE_COLORS,
+  PIECE_DEFINITIONS,
+  PROMOTION_ZONES,
+  TOPOLOGY_TYPES,
+  compareCoords
+} from './nd_chess_engine.js';
+
+// Get a piece type's notation letter, from its definition ('' for pawns and unknown types)
+function pieceLetter(type) {
+  const definition = PIECE_DEFINITIONS[type];
+  return definition ? definition.letter : '';
+}
+
+// Letters for the shape of a dimension in a topology
+const TOPOLOGY_LETTERS = {
+  [TOPOLOGY_TYPES.INFINITE]: 'i',
+  [TOPOLOGY_TYPES.BOUNDED]: 'b',
+  [TOPOLOGY_TYPES.TORUS]: 't',
+  [TOPOLOGY_TYPES.TWISTED]: 'm'
+};
+
+// Write the shape of the engine's dimensions as b8,t8,m8/1,i..., or an empty string if every dimension is infinite.
+// Twisted dimensions name the dimension they mirror by its number (D1 is 1).
+function formatTopology(engine) {
+  const entries = [];
+  for (let dim = 0; dim < engine.dimensions; dim++) {
+    const { type, size, mirror } = engine.getTopology(dim);
+    if (type === TOPOLOGY_TYPES.INFINITE) {
+      entries.push(TOPOLOGY_LETTERS[type]);
+    } else if (type === TOPOLOGY_TYPES.TWISTED) {
+      entries.push(`${TOPOLOGY_LETTERS[type]}${size}/${mirror + 1}`);
+    } else {
+      entries.push(`${TOPOLOGY_LETTERS[type]}${size}`);
+    }
+  }
+
+  while (entries.length > 0 && entries[entries.length - 1] === TOPOLOGY_LETTERS[TOPOLOGY_TYPES.INFINITE]) {
+    entries.pop();
+  }
+  return entries.join(',');
+}
+
+// Read a topology written by formatTopology into the engine's topology option
+function parseTopology(text, dimensions) {
+  if (!text) return [];
+
+  const entries = text.split(',');
+  if (entries.length > dimensions) {
+    throw new Error(`A topology for ${dimensions} dimensions has ${entries.length} entries`);
+  }
+
+  const letterTypes = {};
+  Object.entries(TOPOLOGY_LETTERS).forEach(([type, letter]) => {
+    letterTypes[letter] = type;
+  });
+
+  const topology = entries.map(entry => {
+    const match = entry.trim().match(/^([a-z])(\d*)(?:\/(\d+))?$/);
+    const type = match && letterTypes[match[1]];
+    if (!type) {
+      throw new Error(`Unknown dimension shape: ${entry}`);
+    }
+    if (!!match[3] !== (type === TOPOLOGY_TYPES.TWISTED)) {
+      throw new Error(`Only twisted dimensions name a mirror dimension: ${entry}`);
+    }
+
+    if (type === TOPOLOGY_TYPES.INFINITE) {
+      if (match[2]) throw new Error(`An infinite dimension has no size: ${entry}`);
+      return { type: type };
+    }
+
+    const size = Number(match[2]);
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error(`Invalid dimension size: ${entry}`);
+    }
+    return type === TOPOLOGY_TYPES.TWISTED ? { type: type, size: size, mirror: Number(match[3]) - 1 } : { type: type, size: size };
+  });
+
+  // Let the engine check that the mirror dimensions exist and are finite
+  new NDChessEngine({ dimensions: dimensions, topology: topology });
+  return topology;
+}
+
+// Write a coordinate tuple as (x1,x2,...,xn)
+function formatCoords(coords) {
+  return `(${coords.join(',')})`;
+}
+
+// Read a coordinate tuple written by formatCoords (without the parentheses)
+function parseCoords(text, dimensions) {
+  const coords = text.split(',').map(part => Number(part.trim()));
+
+  if (coords.length !== dimensions || coords.some(coord => !Number.isInteger(coord))) {
+    throw new Error(`Invalid ${dimensions}-dimensional coordinates (${text})`);
+  }
+  return coords;
+}
+
+// Get a piece's letter in a position string
+function positionLetter(type, color) {
+  const letter = pieceLetter(type) || 'P';
+  return color === PIECE_COLORS.WHITE ? letter : letter.toLowerCase();
+}
+
+// Write the engine's position as a position string
+function serializePosition(engine) {
+  const pieces = Object.values(engine.pieces).sort((a, b) => compareCoords(a.coords, b.coords));
+
+  const placement = pieces.map(piece => `${positionLetter(piece.type, piece.color)}${formatCoords(piece.coords)}`).join('');
+  const side = engine.currentTurn === PIECE_COLORS.WHITE ? 'w' : 'b';
+
+  const unmoved = pieces
+    .filter(piece => engine.tracksFirstMove(piece) && !piece.hasMoved)
+    .map(piece => formatCoords(piece.coords))
+    .join('') || '-';
+
+  const enPassant = engine.enPassant ? formatCoords(engine.enPassant.pawn) : '-';
+
+  let rules = '';
+  if (engine.dimensionalFatigue) rules += 'F';
+  if (engine.hypercastling) rules += 'H';
+  if (engine.promotionZone === PROMOTION_ZONES.BASE_SLICE) rules += 'S';
+
+  const complexity = Math.round(engine.totalComplexityScore * 10) / 10;
+
+  const topology = formatTopology(engine);
+  const dimensions = topology ? `${engine.dimensions}:${topology}` : engine.dimensions;
+
+  return [dimensions, placement || '-', side, unmoved, enPassant, rules || '-', complexity, engine.halfmoveClock].join(' ');
+}
+
+// Read a position string into a plain position object for NDChessEngine.loadPosition
+function parsePosition(text) {
+  const fields = text.trim().split(/\s+/);
+  if (fields.length !== 7 && fields.length !== 8) {
+    throw new Error(`A position needs 7 or 8 fields, found ${fields.length}`);
+  }
+
+  const [dimensionsField, placementField, sideField, unmovedField, enPassantField, rulesField, complexityField,
+    halfmoveClockField = '0'] = fields;
+
+  const [dimensionCountField, topologyField = ''] = dimensionsField.split(':');
+  const dimensions = Number(dimensionCountField);
+  if (!Number.isInteger(dimensions) || dimensions < 1) {
+    throw new Error(`Invalid dimension count: ${dimensionCountField}`);
+  }
+
+  // Starting ranks and the edges of the board depend on the topology
+  const topology = parseTopology(topologyField, dimensions);
+  const rules = new NDChessEngine({ dimensions: dimensions, topology: topology });
+
+  // Map position letters back to piece types and colors
+  const letterTypes = {};
+  Object.keys(PIECE_DEFINITIONS).forEach(type => {
+    letterTypes[positionLetter(type, PIECE_COLORS.WHITE)] = { type: type, color: PIECE_COLORS.WHITE };
+    letterTypes[positionLetter(type, PIECE_COLORS.BLACK)] = { type: type, color: PIECE_COLORS.BLACK };
+  });
+
+  // Read a run of coordinate tuples, requiring that nothing else appears between them
+  const readTuples = (field, withLetters) => {
+    const pattern = withLetters ? /([A-Za-z]{1,2})\(([^)]*)\)/g : /()\(([^)]*)\)/g;
+    const entries = [];
+    let consumed = 0;
+    let match;
+
+    while ((match = pattern.exec(field)) !== null) {
+      if (match.index !== consumed) break;
+      entries.push({ letter: match[1], coords: parseCoords(match[2], dimensions) });
+      consumed = pattern.lastIndex;
+    }
+
+    if (consumed !== field.length) {
+      throw new Error(`Unreadable position field: ${field}`);
+    }
+    return entries;
+  };
+
+  const pieces = [];
+  const occupied = {};
+
+  if (placementField !== '-') {
+    readTuples(placementField, true).forEach(({ letter, coords }) => {
+      const piece = letterTypes[letter];
+      if (!piece) {
+        throw new Error(`Unknown piece letter: ${letter}`);
+      }
+
+      if (!rules.isOnBoard(coords)) {
+        throw new Error(`(${coords.join(', ')}) is off the board`);
+      }
+
+      const key = coords.join(',');
+      if (occupied[key]) {
+        throw new Error(`Two pieces on (${coords.join(', ')})`);
+      }
+
+      occupied[key] = { type: piece.type, color: piece.color, coords: coords, hasMoved: true };
+      pieces.push(occupied[key]);
+    });
+  }
+
+  if (sideField !== 'w' && sideField !== 'b') {
+    throw new Error(`Side to move must be w or b, not ${sideField}`);
+  }
+
+  // Pawns on their starting rank can always double step; every other piece is unmoved only if listed
+  pieces.forEach(piece => {
+    if (!rules.tracksFirstMove(piece) && piece.type === PIECE_TYPES.PAWN) {
+      piece.hasMoved = false;
+    }
+  });
+
+  if (unmovedField !== '-') {
+    readTuples(unmovedField, false).forEach(({ coords }) => {
+      const piece = occupied[coords.join(',')];
+      if (!piece || !rules.tracksFirstMove(piece)) {
+        throw new Error(`No king, rook or pawn off its starting rank at (${coords.join(', ')}) to mark as unmoved`);
+      }
+      piece.hasMoved = false;
+    });
+  }
+
+  let enPassant = null;
+  if (enPassantField !== '-') {
+    enPassant = readTuples(enPassantField, false).map(entry => entry.coords)[0] || null;
+    const pawn = enPassant && occupied[enPassant.join(',')];
+    if (!pawn || pawn.type !== PIECE_TYPES.PAWN) {
+      throw new Error(`No pawn to capture en passant at ${enPassantField}`);
+    }
+  }
+
+  if (rulesField !== '-' && !/^F?H?S?$/.test(rulesField)) {
+    throw new Error(`Unknown rule flags: ${rulesField}`);
+  }
+
+  const totalComplexityScore = Number(complexityField);
+  if (!Number.isFinite(totalComplexityScore)) {
+    throw new Error(`Invalid complexity score: ${complexityField}`);
+  }
+
+  const halfmoveClock = Number(halfmoveClockField);
+  if (!Number.isInteger(halfmoveClock) || halfmoveClock < 0) {
+    throw new Error(`Invalid halfmove clock: ${halfmoveClockField}`);
+  }
+
+  return {
+    dimensions: dimensions,
+    pieces: pieces,
+    currentTurn: sideField === 'w' ? PIECE_COLORS.WHITE : PIECE_COLORS.BLACK,
+    enPassant: enPassant,
+    dimensionalFatigue: rulesField.includes('F'),
+    hypercastling: rulesField.includes('H'),
+    promotionZone: rulesField.includes('S') ? PROMOTION_ZONES.BASE_SLICE : PROMOTION_ZONES.BACK_RANK,
+    topology: topology,
+    totalComplexityScore: totalComplexityScore,
+    halfmoveClock: halfmoveClock
+  };
+}
+
+// Write a move record from NDChessEngine.applyMove in n-dimensional algebraic notation.
+// status says whether the move gave check or checkmate.
+function formatMove(record, status = {}) {
+  const { move, captured, promotion, castling, enPassant } = record;
+  let notation;
+
+  if (castling) {
+    // The side is the rook's, since the king's destination may have wrapped around the board
+    const side = castling.rookFrom[0] > move.from[0] ? 'O-O' : 'O-O-O';
+    notation = `${side}${formatCoords(move.from)}`;
+    if (castling.hyper) {
+      notation += `/${formatCoords(castling.rookFrom)}`;
+    }
+  } else {
+    const letter = pieceLetter(record.pieceType);
+    notation = `${letter}${formatCoords(move.from)}${captured ? 'x' : '-'}${formatCoords(move.to)}`;
+
+    if (promotion) {
+      notation += `=${pieceLetter(promotion)}`;
+    }
+    if (enPassant) {
+      notation += 'e.p.';
+    }
+  }
+
+  if (status.checkmate) {
+    notation += '#';
+  } else if (status.check) {
+    notation += '+';
+  }
+
+  return notation;
+}
+
+// Write the move the engine has just applied, working out check and checkmate from the new position
+function notateMove(engine, record) {
+  const check = engine.isInCheck(engine.currentTurn);
+  const checkmate = check && !engine.hasAnyLegalMove(engine.currentTurn);
+
+  return formatMove(record, { check: check, checkmate: checkmate });
+}
+
+// Find the legal move in the engine's position that a piece of notation describes (throws if there is none)
+function parseMove(notation, engine) {
+  const text = notation.trim().replace(/[+#]+$/, '');
+  const letterTypes = {};
+  Object.values(PIECE_DEFINITIONS).forEach(({ type, letter }) => {
+    letterTypes[letter] = type;
+  });
+
+  const castlingMatch = text.match(/^(O-O(?:-O)?)\(([^)]*)\)(?:\/\(([^)]*)\))?$/);
+  const moveMatch = text.match(/^([A-Z]{0,2})\(([^)]*)\)([-x])\(([^)]*)\)(?:=([A-Z]{1,2}))?(e\.p\.)?$/);
+
+  if (castlingMatch) {
+    const from = parseCoords(castlingMatch[2], engine.dimensions);
+    const direction = castlingMatch[1] === 'O-O' ? 1 : -1;
+    const rookFrom = castlingMatch[3] ? parseCoords(castlingMatch[3], engine.dimensions) : null;
+
+    const move = engine.generateMoves(from).find(candidate =>
+      candidate.castling &&
+      Math.sign(candidate.castling.rookFrom[0] - from[0]) === direction &&
+      candidate.castling.hyper === !!rookFrom &&
+      (!rookFrom || candidate.castling.rookFrom.every((coord, dim) => coord === rookFrom[dim]))
+    );
+
+    if (!move) {
+      throw new Error(`Illegal castling: ${notation}`);
+    }
+    return move;
+  }
+
+  if (!moveMatch) {
+    throw new Error(`Unreadable move: ${notation}`);
+  }
+
+  const [, letter, fromText, , toText, promotionLetter] = moveMatch;
+  const from = parseCoords(fromText, engine.dimensions);
+  const to = parseCoords(toText, engine.dimensions);
+  const piece = engine.getPieceAt(from);
+
+  if (!piece || piece.color !== engine.currentTurn || letterTypes[letter] !== piece.type) {
+    throw new Error(`No ${letterTypes[letter] || 'piece'} to move at (${from.join(', ')}): ${notation}`);
+  }
+
+  const promotion = promotionLetter ? letterTypes[promotionLetter] : null;
+  if (promotionLetter && !promotion) {
+    throw new Error(`No piece has the letter ${promotionLetter}: ${notation}`);
+  }
+  const move = engine.generateMoves(from).find(candidate =>
+    !candidate.castling &&
+    candidate.to.every((coord, dim) => coord === to[dim]) &&
+    (candidate.promotion || null) === (promotion || (candidate.promotion ? PIECE_TYPES.QUEEN : null))
+  );
+
+  if (!move) {
+    throw new Error(`Illegal move: ${notation}`);
+  }
+  return move;
+}
+
+// Result tags for each way a game can end
+function resultTag(result) {
+  if (!result) return '*';
+  if (!result.winner) return '1/2-1/2';
+  return result.winner === PIECE_COLORS.WHITE ? '1-0' : '0-1';
+}
+
+// Write the engine's game as a PGN-style record. Moves are notated by replaying the game from its
+// starting position, which leaves the engine exactly as it was. headers can add or override tags.
+function formatGameRecord(engine, headers = {}, result = engine.isGameOver()) {
+  const plies = engine.history.length;
+
+  // Step back to the starting position, then forward again notating each move
+  for (let i = 0; i < plies; i++) {
+    engine.undoMove();
+  }
+
+  const startPosition = serializePosition(engine);
+  const startTurn = engine.currentTurn;
+  const notations = [];
+
+  for (let i = 0; i < plies; i++) {
+    notations.push(notateMove(engine, engine.redoMove()));
+  }
+
+  // Games from a custom position carry that position so they can be replayed
+  const standard = new NDChessEngine({
+    dimensions: engine.dimensions,
+    dimensionalFatigue: engine.dimensionalFatigue,
+    hypercastling: engine.hypercastling,
+    promotionZone: engine.promotionZone,
+    topology: engine.topology
+  });
+  standard.setupStandardPosition();
+
+  const variants = [];
+  if (engine.hypercastling) variants.push('Hypercastling');
+  if (engine.promotionZone === PROMOTION_ZONES.BASE_SLICE) variants.push('Base-Slice Promotion');
+
+  const today = new Date();
+  const tags = {
+    Event: 'N-Dimensional Chess Game',
+    Site: '?',
+    Date: `${today.getFullYear()}.${String(today.getMonth() + 1).padStart(2, '0')}.${String(today.getDate()).padStart(2, '0')}`,
+    White: '?',
+    Black: '?',
+    Result: resultTag(result),
+    Dimensions: String(engine.dimensions),
+    Fatigue: engine.dimensionalFatigue ? 'On' : 'Off',
+    Variant: variants.length > 0 ? variants.join(', ') : 'Standard'
+  };
+
+  const topology = formatTopology(engine);
+  if (topology) {
+    tags.Topology = topology;
+  }
+
+  if (result) {
+    tags.Termination = result.reason;
+  }
+  tags.ComplexityScore = String(Math.round(engine.totalComplexityScore * 10) / 10);
+
+  if (startPosition !== serializePosition(standard)) {
+    tags.SetUp = '1';
+    tags.FEN = startPosition;
+  }
+
+  Object.assign(tags, headers);
+
+  const tagLines = Object.entries(tags).map(([name, value]) => `[${name} "${String(value).replace(/["\\]/g, '\\$&')}"]`);
+
+  // Number the moves, starting with "1..." if Black moved first
+  const tokens = [];
+  let moveNumber = 1;
+  let color = startTurn;
+
+  notations.forEach((notation, index) => {
+    if (color === PIECE_COLORS.WHITE) {
+      tokens.push(`${moveNumber}.`);
+    } else if (index === 0) {
+      tokens.push(`${moveNumber}...`);
+    }
+
+    tokens.push(notation);
+
+    if (color === PIECE_COLORS.BLACK) moveNumber++;
+    color = color === PIECE_COLORS.WHITE ? PIECE_COLORS.BLACK : PIECE_COLORS.WHITE;
+  });
+  tokens.push(tags.Result);
+
+  // Wrap the move text at 80 characters
+  const lines = [];
+  let line = '';
+  tokens.forEach(token => {
+    if (line && line.length + token.length + 1 > 80) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  });
+  if (line) lines.push(line);
+
+  return `${tagLines.join('\n')}\n\n${lines.join('\n')}\n`;
+}
+
+// Read a PGN-style record into its tags, the notation of each move and the result
+function parseGameRecord(text) {
+  const headers = {};
+  const tagPattern = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]\s*$/;
+  const moveTextLines = [];
+
+  text.split(/\r?\n/).forEach(line => {
+    const tag = line.match(tagPattern);
+    if (tag) {
+      headers[tag[1]] = tag[2].replace(/\\(.)/g, '$1');
+    } else {
+      moveTextLines.push(line);
+    }
+  });
+
+  // Drop {comments} and ;comments, then split the move text into tokens
+  const moveText = moveTextLines
+    .map(line => line.replace(/;.*$/, ''))
+    .join(' ')
+    .replace(/\{[^}]*\}/g, ' ');
+
+  const moves = [];
+  let result = headers.Result || '*';
+
+  moveText.split(/\s+/).forEach(token => {
+    // Move numbers may be written apart from or against the move ("1." or "1.(4,-1,0)-(4,-3,0)")
+    const move = token.replace(/^\d+\.+/, '');
+    if (!move) return;
+
+    if (['1-0', '0-1', '1/2-1/2', '*'].includes(move)) {
+      result = move;
+    } else {
+      moves.push(move);
+    }
+  });
+
+  return { headers: headers, moves: moves, result: result };
+}
+
+// Create an engine in the starting position a parsed game record describes
+function createEngineForRecord(gameRecord) {
+  const { headers } = gameRecord;
+  const engine = new NDChessEngine();
+
+  if (headers.FEN) {
+    engine.loadPosition(parsePosition(headers.FEN));
+    return engine;
+  }
+
+  const dimensions = Number(headers.Dimensions || 3);
+  if (!Number.isInteger(dimensions) || dimensions < 1) {
+    throw new Error(`Invalid Dimensions tag: ${headers.Dimensions}`);
+  }
+
+  const variant = headers.Variant || '';
+  engine.dimensions = dimensions;
+  engine.dimensionalFatigue = (headers.Fatigue || 'On').toLowerCase() !== 'off';
+  engine.hypercastling = variant.includes('Hypercastling');
+  engine.promotionZone = variant.includes('Base-Slice Promotion') ? PROMOTION_ZONES.BASE_SLICE : PROMOTION_ZONES.BACK_RANK;
+  engine.topology = parseTopology(headers.Topology || '', dimensions);
+  engine.setupStandardPosition();
+
+  return engine;
+}
+
+// Replay a PGN-style record in a new engine, returning the engine after the last move
+function loadGameRecord(text) {
+  const gameRecord = parseGameRecord(text);
+  const engine = createEngineForRecord(gameRecord);
+
+  gameRecord.moves.forEach(notation => {
+    engine.applyMove(parseMove(notation, engine));
+  });
+
+  return engine;
+}
+
+// Export for ES modules
+export {
+  pieceLetter,
+  formatCoords,
+  formatTopology,
+  parseTopology,
+  formatMove,
+  notateMove,
+  parseMove,
+  serializePosition,
+  parsePosition,
+  resultTag,
+  formatGameRecord,
+  parseGameRecord,
+  createEngineForRecord,
+  loadGameRecord
+};
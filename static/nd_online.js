@@ -0,0 +1,172 @@
+/**
+ * N-Dimensional Chess Online Rooms
+ *
+ * Browser client for the game rooms served by rooms.py. Players list the open rooms in the
+ * lobby, open a room or take a seat in one, and then follow the room's channel: a server-sent
+ * event stream that replays everything that happened in the room and then relays each event
+ * as it happens:
+ *
+ *   { type: 'seat', color }              a player took the white or black seat
+ *   { type: 'move', color, ply, move }   a move in the notation of nd_notation.js (ply counts from 0)
+ *   { type: 'spectators', count }        how many are watching: sent on connecting and whenever a spectator
+ *                                        starts or stops watching, but never replayed
+ *   { type: 'resign', color }            a player resigned
+ *   { type: 'offer-draw', color }        a player offered a draw, which stands until the other side moves
+ *   { type: 'accept-draw', color }       a player accepted the draw offer
+ *
+ * Spectators follow the channel without a seat, so they see every move but can't make any.
+ * Seat tokens are kept in localStorage, so a player who reloads the page gets their seat back.
+ *
+ * It is also the client for the saved games served by games.py: games stored move by move on the
+ * server, which can be resumed by ID or downloaded as PGN-style records. Only the browser that started
+ * a game holds its write token (kept in localStorage like seat tokens), so only it can change the game.
+ */
+
+// localStorage key for the seat tokens held, by room ID
+const SEAT_STORAGE_KEY = 'ndChessRoomSeats';
+
+// localStorage key for the write tokens of the saved games started here, by game ID
+const GAME_STORAGE_KEY = 'ndChessGameTokens';
+
+// Send a JSON request to the rooms or games API, throwing the server's error message if it fails
+async function requestJSON(url, body = null, headers = {}) {
+  const response = await fetch(url, body ? {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  } : { headers: headers });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `The server answered ${response.status}`);
+  return data;
+}
+
+// Get the seat tokens this browser holds, by room ID
+function loadSeatTokens() {
+  try {
+    return JSON.parse(localStorage.getItem(SEAT_STORAGE_KEY) || '{}');
+  } catch (e) {
+    return {};
+  }
+}
+
+// Remember the seat a join or create request gave us, and return the request's answer
+function rememberSeat(seat) {
+  const tokens = loadSeatTokens();
+  tokens[seat.room.id] = seat.token;
+  localStorage.setItem(SEAT_STORAGE_KEY, JSON.stringify(tokens));
+  return seat;
+}
+
+// List the open rooms, as { id, name, dimensions, seats: { white, black }, moves, spectators, over }
+// where a seat is true once someone has taken it, and over is set once the game has ended
+async function listRooms() {
+  const { rooms } = await requestJSON('/api/rooms');
+  return rooms;
+}
+
+// Get a room to watch, without taking a seat. Resolves to { room, position }
+async function fetchRoom(roomId) {
+  return requestJSON(`/api/rooms/${roomId}`);
+}
+
+// Open a room starting from a position string, seated at the given color.
+// Resolves to the seat: { room, position, color, token }
+async function createRoom(name, position, color) {
+  return rememberSeat(await requestJSON('/api/rooms', { name: name, position: position, color: color }));
+}
+
+// Take a seat in a room (the color asked for, or whichever is free when color is null), or take back
+// the seat this browser already holds there. Resolves to the seat: { room, position, color, token }
+async function joinRoom(roomId, color = null) {
+  const token = loadSeatTokens()[roomId] || null;
+  return rememberSeat(await requestJSON(`/api/rooms/${roomId}/join`, { color: color, token: token }));
+}
+
+// Post a move to a room as the seat holding the token, as the move with the given ply. The server checks
+// it with the same engine and resolves to { ply, move, result }, where result says how it ended the game
+async function sendMove(roomId, token, ply, move) {
+  return requestJSON(`/api/rooms/${roomId}/moves`, { token: token, ply: ply, move: move });
+}
+
+// Resign, offer a draw or accept one ('resign', 'offer-draw' or 'accept-draw') as the seat holding the token
+async function sendAction(roomId, token, action) {
+  return requestJSON(`/api/rooms/${roomId}/actions`, { token: token, action: action });
+}
+
+// Follow a room's channel from its first event, calling onEvent with each one, as a player or (with
+// spectating set) as a spectator. EventSource reconnects by itself after a dropped connection, carrying
+// on after the last event it saw. Returns the EventSource, which the caller closes on leaving the room.
+function followRoom(roomId, onEvent, onError = null, spectating = false) {
+  const source = new EventSource(`/api/rooms/${roomId}/events${spectating ? '?spectate=1' : ''}`);
+  source.addEventListener('message', (event) => onEvent(JSON.parse(event.data)));
+  if (onError) source.addEventListener('error', onError);
+  return source;
+}
+
+// Start saving a game from its starting position string, remembering its write token. Resolves to the saved
+// game: { id, position, dimensions, topology, fatigue, hypercastling, promotionZone, moves, result, termination, token }
+async function createGame(position) {
+  const game = await requestJSON('/api/games', { position: position });
+  const tokens = loadGameTokens();
+  tokens[game.id] = game.token;
+  localStorage.setItem(GAME_STORAGE_KEY, JSON.stringify(tokens));
+  return game;
+}
+
+// Get the write tokens for the saved games started in this browser, by game ID
+function loadGameTokens() {
+  try {
+    return JSON.parse(localStorage.getItem(GAME_STORAGE_KEY) || '{}');
+  } catch (e) {
+    return {};
+  }
+}
+
+// Get the write token for a saved game, or null when it was started somewhere else
+function gameToken(gameId) {
+  return loadGameTokens()[gameId] || null;
+}
+
+// Get a saved game as a PGN-style record
+async function fetchGameRecord(gameId) {
+  const response = await fetch(`/api/games/${gameId}/pgn`);
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `The server answered ${response.status}`);
+  }
+  return response.text();
+}
+
+// Save the move played at a ply with the game's write token, replacing any saved moves from that ply on
+async function saveMove(gameId, token, ply, move) {
+  return requestJSON(`/api/games/${gameId}/moves`, { ply: ply, move: move }, { 'X-Game-Token': token });
+}
+
+// Take back the saved moves from a ply on, with the game's write token
+async function takeBackMoves(gameId, token, ply) {
+  const response = await fetch(`/api/games/${gameId}/moves/${ply}`, { method: 'DELETE', headers: { 'X-Game-Token': token } });
+  if (!response.ok) throw new Error(`The server answered ${response.status}`);
+}
+
+// Save how a game ended ('1-0', '0-1' or '1/2-1/2', and the reason), or reopen it with a null result,
+// with the game's write token
+async function saveResult(gameId, token, result, termination = null) {
+  return requestJSON(`/api/games/${gameId}/result`, { result: result, termination: termination }, { 'X-Game-Token': token });
+}
+
+// Export for ES modules
+export {
+  listRooms,
+  fetchRoom,
+  createRoom,
+  joinRoom,
+  sendMove,
+  sendAction,
+  followRoom,
+  createGame,
+  gameToken,
+  fetchGameRecord,
+  saveMove,
+  takeBackMoves,
+  saveResult
+};
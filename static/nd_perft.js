@@ -0,0 +1,63 @@
+/**
+ * N-Dimensional Chess Perft
+ *
+ * Counts the leaf nodes of the legal move tree to a fixed depth ("perft"), to check
+ * that move generation is correct and stays stable as the rules change. Divide breaks
+ * the count down per root move, which narrows a mismatch down to the move that causes it.
+ * Run scripts/perft.mjs under Node to check the reference counts.
+ */
+import { formatMove } from './nd_notation.js';
+
+// Count the positions reached after exactly depth moves from the engine's position.
+// The engine is left exactly as it was, including the moves it could redo.
+function perft(engine, depth) {
+  const redoStack = engine.redoStack;
+  try {
+    return countNodes(engine, depth);
+  } finally {
+    engine.redoStack = redoStack;
+  }
+}
+
+// Count the positions below each legal root move, as [{ move, notation, nodes }] in notation order
+function divide(engine, depth) {
+  const redoStack = engine.redoStack;
+  const results = [];
+
+  try {
+    engine.generateMoves().forEach(move => {
+      const record = engine.applyMove(move);
+      const notation = formatMove(record);
+      const nodes = countNodes(engine, depth - 1);
+      engine.undoMove();
+
+      results.push({ move: move, notation: notation, nodes: nodes });
+    });
+  } finally {
+    engine.redoStack = redoStack;
+  }
+
+  return results.sort((a, b) => (a.notation < b.notation ? -1 : a.notation > b.notation ? 1 : 0));
+}
+
+// Walk the legal move tree, counting the leaves
+function countNodes(engine, depth) {
+  if (depth <= 0) return 1;
+
+  const moves = engine.generateMoves();
+
+  // The last ply only needs counting, not playing
+  if (depth === 1) return moves.length;
+
+  let nodes = 0;
+  for (const move of moves) {
+    engine.applyMove(move);
+    nodes += countNodes(engine, depth - 1);
+    engine.undoMove();
+  }
+
+  return nodes;
+}
+
+// Export for ES modules
+export { perft, divide };
@@ -0,0 +1,22 @@
+"""
+Fixtures for the API tests: a Flask app with the games and rooms blueprints, saving games to a
+fresh database and starting with no rooms. Moves are judged by scripts/referee.mjs, so Node.js
+must be on the path.
+"""
+import pytest
+from flask import Flask
+
+import games
+import rooms
+
+
+@pytest.fixture
+def client(tmp_path, monkeypatch):
+    monkeypatch.setattr(games, "DATABASE_PATH", str(tmp_path / "games.db"))
+    monkeypatch.setattr(rooms, "rooms", {})
+
+    app = Flask(__name__)
+    app.register_blueprint(games.games_bp)
+    app.register_blueprint(rooms.rooms_bp)
+    games.init_database()
+    return app.test_client()
@@ -0,0 +1,97 @@
+/**
+ * The draw rules (threefold repetition, fifty moves, insufficient material) and the position hash
+ * that repetitions are counted with.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { NDChessEngine } from '../static/nd_chess_engine.js';
+import { parsePosition, parseMove } from '../static/nd_notation.js';
+
+// Create an engine in the position a position string describes
+function loadedEngine(text) {
+  const engine = new NDChessEngine();
+  engine.loadPosition(parsePosition(text));
+  return engine;
+}
+
+// Play moves written in move notation
+function play(engine, notations) {
+  notations.forEach(notation => engine.applyMove(parseMove(notation, engine)));
+}
+
+test('the third occurrence of a position is a draw by repetition', () => {
+  const engine = loadedEngine('2 N(1,0)K(4,0)n(1,-7)k(4,-7) w - - F 0 0');
+  const shuffle = ['N(1,0)-(2,-2)', 'N(1,-7)-(2,-5)', 'N(2,-2)-(1,0)', 'N(2,-5)-(1,-7)'];
+
+  play(engine, shuffle);
+  assert.equal(engine.repetitionCount(), 2);
+  assert.equal(engine.isGameOver(), null);
+
+  play(engine, shuffle);
+  assert.equal(engine.repetitionCount(), 3);
+  assert.deepEqual(engine.isGameOver(), { winner: null, reason: 'threefold-repetition' });
+});
+
+test('a hundred plies without a capture or pawn move is a draw', () => {
+  const engine = loadedEngine('2 R(0,0)K(4,0)P(6,-1)k(4,-7) w - - F 0 99');
+  assert.equal(engine.isGameOver(), null);
+
+  play(engine, ['R(0,0)-(0,1)']);
+  assert.deepEqual(engine.isGameOver(), { winner: null, reason: 'fifty-move-rule' });
+
+  engine.undoMove();
+  play(engine, ['(6,-1)-(6,-2)']);
+  assert.equal(engine.halfmoveClock, 0);
+  assert.equal(engine.isGameOver(), null);
+});
+
+test('kings with at most one knight or bishop, or bishops all on one color, cannot mate', () => {
+  const drawn = [
+    '2 K(0,0)k(4,-4) w - - F 0 0',
+    '2 K(0,0)N(1,0)k(4,-4) w - - F 0 0',
+    '2 K(0,0)B(2,0)k(4,-4) w - - F 0 0',
+    '2 K(0,0)B(1,0)B(3,0)k(4,-4)b(5,-4) w - - F 0 0',
+    '2:t8,t8 K(0,-1)B(1,-1)B(3,-1)k(4,-4) w - - F 0 0',
+    '2:b8,b7 K(0,-1)B(1,-1)B(3,-1)k(4,-4) w - - F 0 0'
+  ];
+  drawn.forEach(text => assert.equal(loadedEngine(text).hasInsufficientMaterial(), true, text));
+
+  const playable = [
+    '2 K(0,0)R(1,0)k(4,-4) w - - F 0 0',
+    '2 K(0,0)P(6,-1)k(4,-4) w - - F 0 0',
+    '2 K(0,0)N(1,0)N(2,0)k(4,-4) w - - F 0 0',
+    '2 K(0,0)B(1,0)B(2,0)k(4,-4) w - - F 0 0',
+    '4 K(0,0,0,0)HB(1,0,0,0)k(4,-4,0,0) w - - F 0 0'
+  ];
+  playable.forEach(text => assert.equal(loadedEngine(text).hasInsufficientMaterial(), false, text));
+});
+
+test('bishops on one color can still mate where crossing an edge changes the color', () => {
+  const bishops = 'K(0,-1)B(1,-1)B(3,-1)k(4,-4) w - - F 0 0';
+  assert.equal(loadedEngine(`2:t7,t8 ${bishops}`).hasInsufficientMaterial(), false);
+  assert.equal(loadedEngine(`2:t8,m8/1 ${bishops}`).hasInsufficientMaterial(), false);
+  assert.equal(loadedEngine(`2:t8,t8 ${bishops}`).hasInsufficientMaterial(), true);
+});
+
+test('the position hash comes back when moves are undone', () => {
+  const engine = new NDChessEngine({ dimensions: 3 });
+  engine.setupStandardPosition();
+  const hash = engine.positionHash();
+
+  play(engine, ['(4,-1,0)-(4,-3,0)', 'N(1,-7,0)-(2,-5,0)', 'N(6,0,0)-(5,-2,0)']);
+  assert.notEqual(engine.positionHash(), hash);
+
+  engine.undoMove();
+  engine.undoMove();
+  engine.undoMove();
+  assert.equal(engine.positionHash(), hash);
+});
+
+test('the en passant square is hashed only when a pawn can capture en passant', () => {
+  const hash = (enPassant, blackPawn = '') =>
+    loadedEngine(`3 K(4,0,0)P(4,-3,0)${blackPawn}k(4,-7,0) b - ${enPassant} F 0 0`).positionHash();
+
+  assert.equal(hash('(4,-3,0)'), hash('-'));
+  assert.notEqual(hash('(4,-3,0)', 'p(3,-3,0)'), hash('-', 'p(3,-3,0)'));
+});
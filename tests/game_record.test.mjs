@@ -0,0 +1,55 @@
+/**
+ * Game record round trips: records must replay to the position they were written from, including
+ * games set up with Black to move.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { NDChessEngine } from '../static/nd_chess_engine.js';
+import { serializePosition, parsePosition, formatGameRecord, parseGameRecord, loadGameRecord } from '../static/nd_notation.js';
+
+// Create an engine in the standard starting position
+function startingEngine(dimensions) {
+  const engine = new NDChessEngine({ dimensions: dimensions });
+  engine.setupStandardPosition();
+  return engine;
+}
+
+// Create an engine in the position a position string describes
+function loadedEngine(text) {
+  const engine = new NDChessEngine();
+  engine.loadPosition(parsePosition(text));
+  return engine;
+}
+
+// Play the first legal move the given number of times
+function playMoves(engine, count) {
+  for (let i = 0; i < count; i++) {
+    engine.applyMove(engine.generateMoves()[0]);
+  }
+}
+
+test('game records replay to the position they were written from', () => {
+  const engine = startingEngine(4);
+  playMoves(engine, 6);
+
+  const record = formatGameRecord(engine);
+  const headers = parseGameRecord(record).headers;
+  assert.equal(headers.Dimensions, '4');
+  assert.equal(headers.FEN, undefined);
+  assert.equal(serializePosition(loadGameRecord(record)), serializePosition(engine));
+});
+
+test('game records from a set-up position with Black to move carry it and start with "1..."', () => {
+  const engine = loadedEngine('2:t8,t8 K(4,0)R(0,0)k(4,-7)r(0,-7) b (0,0)(4,0)(0,-7)(4,-7) - F 0 0');
+  const start = serializePosition(engine);
+  playMoves(engine, 3);
+
+  const record = formatGameRecord(engine);
+  const gameRecord = parseGameRecord(record);
+  assert.equal(gameRecord.headers.FEN, start);
+  assert.equal(gameRecord.headers.Topology, 't8,t8');
+  assert.match(record, /\n\n1\.\.\. /);
+  assert.equal(gameRecord.moves.length, 3);
+  assert.equal(serializePosition(loadGameRecord(record)), serializePosition(engine));
+});
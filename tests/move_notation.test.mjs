@@ -0,0 +1,28 @@
+/**
+ * Move notation round trips: every legal move must read back from the notation written for it,
+ * on every board shape.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { NDChessEngine } from '../static/nd_chess_engine.js';
+import { parseTopology, notateMove, parseMove } from '../static/nd_notation.js';
+
+// Create an engine in the standard starting position
+function startingEngine(dimensions, topology = '') {
+  const engine = new NDChessEngine({ dimensions: dimensions, topology: parseTopology(topology, dimensions) });
+  engine.setupStandardPosition();
+  return engine;
+}
+
+test('every legal move reads back from its notation', () => {
+  for (const engine of [startingEngine(3), startingEngine(2, 't8,m10/1')]) {
+    for (const move of engine.generateMoves()) {
+      const notation = notateMove(engine, engine.applyMove(move));
+      engine.undoMove();
+
+      const parsed = parseMove(notation, engine);
+      assert.deepEqual([parsed.from, parsed.to, parsed.promotion || null], [move.from, move.to, move.promotion || null], notation);
+    }
+  }
+});
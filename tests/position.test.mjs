@@ -0,0 +1,84 @@
+/**
+ * Position string round trips: positions must read back exactly as they were written, on every
+ * board shape, and malformed strings must be rejected.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { NDChessEngine, PIECE_COLORS } from '../static/nd_chess_engine.js';
+import { serializePosition, parsePosition, parseTopology, parseMove } from '../static/nd_notation.js';
+
+// Create an engine in the standard starting position
+function startingEngine(dimensions, topology = '') {
+  const engine = new NDChessEngine({ dimensions: dimensions, topology: parseTopology(topology, dimensions) });
+  engine.setupStandardPosition();
+  return engine;
+}
+
+// Create an engine in the position a position string describes
+function loadedEngine(text) {
+  const engine = new NDChessEngine();
+  engine.loadPosition(parsePosition(text));
+  return engine;
+}
+
+test('starting positions read back as written', () => {
+  for (const [dimensions, topology] of [[3, ''], [4, ''], [6, ''], [2, 't8,t8'], [2, 't8,m10/1'], [4, 'b4,b4,b4,b4']]) {
+    const text = serializePosition(startingEngine(dimensions, topology));
+    assert.equal(serializePosition(loadedEngine(text)), text);
+  }
+});
+
+test('position strings carry the topology after the dimension count', () => {
+  const text = serializePosition(startingEngine(2, 't8,m10/1'));
+  assert.match(text, /^2:t8,m10\/1 /);
+
+  const engine = loadedEngine(text);
+  assert.deepEqual(engine.getTopology(0), { type: 'torus', size: 8 });
+  assert.deepEqual(engine.getTopology(1), { type: 'twisted', size: 10, mirror: 0 });
+});
+
+test('positions mid-game keep the side to move, unmoved pieces, en passant and halfmove clock', () => {
+  const engine = startingEngine(3);
+  engine.applyMove(parseMove('(4,-1,0)-(4,-3,0)', engine));
+  engine.applyMove(parseMove('N(1,-7,0)-(2,-5,0)', engine));
+  engine.applyMove(parseMove('N(6,0,0)-(5,-2,0)', engine));
+
+  const text = serializePosition(engine);
+  const fields = text.split(' ');
+  assert.equal(fields.length, 8);
+  assert.equal(fields[2], 'b');
+  assert.equal(fields[7], '2');
+  assert.equal(serializePosition(loadedEngine(text)), text);
+});
+
+test('the 7-field form without a halfmove clock reads as a clock of 0', () => {
+  const position = parsePosition('3 K(4,0,0)k(4,-7,0)R(0,0,0) w (4,0,0)(0,0,0) - F 0');
+  assert.equal(position.halfmoveClock, 0);
+  assert.equal(position.currentTurn, PIECE_COLORS.WHITE);
+  assert.equal(position.dimensionalFatigue, true);
+
+  const engine = new NDChessEngine();
+  engine.loadPosition(position);
+  assert.equal(serializePosition(engine), '3 R(0,0,0)k(4,-7,0)K(4,0,0) w (0,0,0)(4,0,0) - F 0 0');
+});
+
+test('the 8-field form reads the rule flags and halfmove clock', () => {
+  const position = parsePosition('3 K(4,0,0)k(4,-7,0) b - - HS 2.5 37');
+  assert.equal(position.halfmoveClock, 37);
+  assert.equal(position.currentTurn, PIECE_COLORS.BLACK);
+  assert.equal(position.dimensionalFatigue, false);
+  assert.equal(position.hypercastling, true);
+  assert.equal(position.promotionZone, 'base-slice');
+  assert.equal(position.totalComplexityScore, 2.5);
+});
+
+test('malformed position strings are rejected', () => {
+  assert.throws(() => parsePosition('3 K(4,0,0) w - - F'), /7 or 8 fields/);
+  assert.throws(() => parsePosition('4 r(0,-7,0)K(4,0,0,0) w - - F 0 0'), /Invalid 4-dimensional coordinates/);
+  assert.throws(() => parsePosition('3 K(4,0,0)Z(1,1,1) w - - F 0 0'), /Unknown piece letter/);
+  assert.throws(() => parsePosition('3 K(4,0,0)k(4,0,0) w - - F 0 0'), /Two pieces/);
+  assert.throws(() => parsePosition('3 K(4,0,0) x - - F 0 0'), /Side to move/);
+  assert.throws(() => parsePosition('2:b8,b8 K(9,0) w - - F 0 0'), /off the board/);
+  assert.throws(() => parsePosition('3 K(4,0,0) w - - F 0 -1'), /halfmove clock/);
+});
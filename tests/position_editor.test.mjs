@@ -0,0 +1,37 @@
+/**
+ * The checks the position editor makes before a set-up position can be played.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { NDChessEngine } from '../static/nd_chess_engine.js';
+import { parsePosition } from '../static/nd_notation.js';
+
+// Create an engine in the position a position string describes
+function loadedEngine(text) {
+  const engine = new NDChessEngine();
+  engine.loadPosition(parsePosition(text));
+  return engine;
+}
+
+test('the standard setups can be played in every dimension, the 5D and 6D ones with two kings a side', () => {
+  for (let dimensions = 2; dimensions <= 6; dimensions++) {
+    const engine = new NDChessEngine({ dimensions: dimensions });
+    engine.setupStandardPosition();
+    assert.deepEqual(engine.findPositionProblems(), [], `${dimensions}D`);
+  }
+});
+
+test('each side needs a king', () => {
+  assert.deepEqual(loadedEngine('2 R(0,0)k(4,-7) w - - F 0 0').findPositionProblems(), ['White needs a king']);
+  assert.deepEqual(loadedEngine('2 K(4,0)K(6,0) w - - F 0 0').findPositionProblems(), ['Black needs a king']);
+});
+
+test('the side to move may not already be giving check', () => {
+  assert.deepEqual(loadedEngine('2 R(4,-3)K(0,0)k(4,-7) w - - F 0 0').findPositionProblems(), ['White is to move but already gives check']);
+});
+
+test('pawns may not stand on their promotion square', () => {
+  assert.deepEqual(loadedEngine('2 P(2,-7)K(0,0)k(4,-7) w - - F 0 0').findPositionProblems(),
+    ['The White pawn at (2, -7) stands on its promotion square']);
+});
@@ -0,0 +1,120 @@
+"""The saved games API: creating games, saving and taking back moves, results and PGN records."""
+import pytest
+
+START = "3 R(0,0,0)k(4,-7,0)K(4,0,0) w (0,0,0)(4,0,0) - F 0 0"
+BLACK_TO_MOVE = "3:t8,t8 K(4,0,0)k(4,-7,0) b - - - 0 0"
+
+
+@pytest.fixture
+def game(client):
+    response = client.post("/api/games", json={"position": START})
+    assert response.status_code == 201
+    return response.get_json()
+
+
+def post_move(client, game, ply, move, token=None):
+    headers = {"X-Game-Token": game["token"] if token is None else token}
+    return client.post(f"/api/games/{game['id']}/moves", json={"ply": ply, "move": move}, headers=headers)
+
+
+def test_create_game_reads_the_settings_from_the_position(game):
+    assert game["position"] == START
+    assert game["dimensions"] == 3
+    assert game["fatigue"] is True
+    assert game["hypercastling"] is False
+    assert game["promotionZone"] == "back-rank"
+    assert game["moves"] == []
+    assert game["token"]
+
+
+@pytest.mark.parametrize("position", [
+    "",
+    "3 K(4,0,0) w - -",
+    "4 r(0,-7,0)K(4,0,0,0) w - - F 0 0",
+    "3 K(4,0,0)Z(1,1,1) w - - F 0 0",
+    "2 K(4,0)k(4,-7) w - - F 0 0",
+    "7 K(4,0,0,0,0,0,0)k(4,-7,0,0,0,0,0) w - - F 0 0",
+])
+def test_create_game_rejects_positions_that_cannot_be_read(client, position):
+    response = client.post("/api/games", json={"position": position})
+    assert response.status_code == 400
+    assert response.get_json()["error"]
+
+
+def test_saved_moves_are_returned_in_order(client, game):
+    assert post_move(client, game, 0, "R(0,0,0)-(0,1,0)").status_code == 200
+    assert post_move(client, game, 1, "K(4,-7,0)-(4,-8,0)").status_code == 200
+
+    saved = client.get(f"/api/games/{game['id']}").get_json()
+    assert saved["moves"] == ["R(0,0,0)-(0,1,0)", "K(4,-7,0)-(4,-8,0)"]
+    assert "token" not in saved
+
+
+def test_moves_need_the_write_token(client, game):
+    assert post_move(client, game, 0, "R(0,0,0)-(0,1,0)", token="").status_code == 403
+    assert post_move(client, game, 0, "R(0,0,0)-(0,1,0)", token="not-the-token").status_code == 403
+    assert client.get(f"/api/games/{game['id']}").get_json()["moves"] == []
+
+
+def test_moves_past_the_end_of_the_game_are_refused(client, game):
+    assert post_move(client, game, 1, "R(0,0,0)-(0,1,0)").status_code == 409
+
+
+def test_a_move_before_the_end_replaces_the_moves_after_it(client, game):
+    post_move(client, game, 0, "R(0,0,0)-(0,1,0)")
+    post_move(client, game, 1, "K(4,-7,0)-(4,-8,0)")
+    post_move(client, game, 1, "K(4,-7,0)-(3,-8,0)")
+
+    assert client.get(f"/api/games/{game['id']}").get_json()["moves"] == ["R(0,0,0)-(0,1,0)", "K(4,-7,0)-(3,-8,0)"]
+
+
+def test_taking_back_moves_reopens_the_game(client, game):
+    headers = {"X-Game-Token": game["token"]}
+    post_move(client, game, 0, "R(0,0,0)-(0,1,0)")
+    post_move(client, game, 1, "K(4,-7,0)-(4,-8,0)")
+    client.post(f"/api/games/{game['id']}/result", json={"result": "0-1", "termination": "resignation"}, headers=headers)
+
+    assert client.delete(f"/api/games/{game['id']}/moves/1", headers=headers).status_code == 200
+    saved = client.get(f"/api/games/{game['id']}").get_json()
+    assert saved["moves"] == ["R(0,0,0)-(0,1,0)"]
+    assert saved["result"] is None
+    assert saved["termination"] is None
+
+
+def test_results_are_saved_with_their_termination(client, game):
+    headers = {"X-Game-Token": game["token"]}
+    response = client.post(f"/api/games/{game['id']}/result", json={"result": "1/2-1/2", "termination": "agreement"}, headers=headers)
+    assert response.status_code == 200
+
+    saved = client.get(f"/api/games/{game['id']}").get_json()
+    assert (saved["result"], saved["termination"]) == ("1/2-1/2", "agreement")
+
+
+@pytest.mark.parametrize("body", [
+    {"result": "2-0"},
+    {"result": "1-0", "termination": "boredom"},
+    {"result": "1-0", "termination": 'resignation"]\n[White "Someone'},
+])
+def test_unknown_results_and_terminations_are_refused(client, game, body):
+    response = client.post(f"/api/games/{game['id']}/result", json=body, headers={"X-Game-Token": game["token"]})
+    assert response.status_code == 400
+
+
+def test_unknown_games_are_not_found(client):
+    assert client.get("/api/games/nope").status_code == 404
+    assert client.post("/api/games/nope/moves", json={"ply": 0, "move": "R(0,0,0)-(0,1,0)"}).status_code == 404
+
+
+def test_records_carry_the_position_and_number_moves_from_the_side_to_move(client):
+    game = client.post("/api/games", json={"position": BLACK_TO_MOVE}).get_json()
+    post_move(client, game, 0, "K(4,-7,0)-(4,-6,0)")
+    post_move(client, game, 1, "K(4,0,0)-(4,1,0)")
+    post_move(client, game, 2, "K(4,-6,0)-(4,-5,0)")
+    client.post(f"/api/games/{game['id']}/result", json={"result": "1/2-1/2", "termination": "insufficient-material"},
+                headers={"X-Game-Token": game["token"]})
+
+    record = client.get(f"/api/games/{game['id']}/pgn").get_data(as_text=True)
+    assert f'[FEN "{BLACK_TO_MOVE}"]' in record
+    assert '[Topology "t8,t8"]' in record
+    assert '[Termination "insufficient-material"]' in record
+    assert record.endswith("\n\n1... K(4,-7,0)-(4,-6,0) 2. K(4,0,0)-(4,1,0) K(4,-6,0)-(4,-5,0) 1/2-1/2\n")
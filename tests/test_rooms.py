@@ -0,0 +1,110 @@
+"""The online rooms API: seats, moves checked by the referee, and resigning and draws."""
+import pytest
+
+START = "3 R(0,0,0)k(4,-7,0)K(4,0,0) w (0,0,0)(4,0,0) - F 0 0"
+
+
+@pytest.fixture
+def room(client):
+    response = client.post("/api/rooms", json={"position": START, "name": "Test", "color": "white"})
+    assert response.status_code == 201
+    created = response.get_json()
+    joined = client.post(f"/api/rooms/{created['room']['id']}/join", json={}).get_json()
+    return {"id": created["room"]["id"], "white": created["token"], "black": joined["token"]}
+
+
+def post_move(client, room, color, ply, move):
+    return client.post(f"/api/rooms/{room['id']}/moves", json={"token": room[color], "ply": ply, "move": move})
+
+
+def post_action(client, room, color, action):
+    return client.post(f"/api/rooms/{room['id']}/actions", json={"token": room[color], "action": action})
+
+
+def test_rooms_are_listed_in_the_lobby(client, room):
+    listed = client.get("/api/rooms").get_json()["rooms"]
+    assert [(entry["id"], entry["dimensions"], entry["seats"]) for entry in listed] == \
+        [(room["id"], 3, {"white": True, "black": True})]
+
+
+def test_rooms_need_a_position_and_a_color(client):
+    assert client.post("/api/rooms", json={"color": "white"}).status_code == 400
+    assert client.post("/api/rooms", json={"position": START, "color": "green"}).status_code == 400
+
+
+def test_a_full_room_has_no_seat_left(client, room):
+    assert client.post(f"/api/rooms/{room['id']}/join", json={}).status_code == 409
+
+
+def test_a_seat_token_takes_back_its_seat(client, room):
+    response = client.post(f"/api/rooms/{room['id']}/join", json={"token": room["black"]})
+    assert response.get_json()["color"] == "black"
+
+
+def test_legal_moves_are_relayed_in_the_engine_notation(client, room):
+    response = post_move(client, room, "white", 0, "R(0,0,0)-(0,-7,0)")
+    assert response.status_code == 200
+    assert response.get_json() == {"ply": 0, "move": "R(0,0,0)-(0,-7,0)+", "result": None}
+
+    response = post_move(client, room, "black", 1, "K(4,-7,0)-(4,-8,0)")
+    assert response.status_code == 200
+
+
+def test_illegal_moves_are_refused(client, room):
+    response = post_move(client, room, "white", 0, "R(0,0,0)-(1,1,0)")
+    assert response.status_code == 422
+    assert "Illegal move" in response.get_json()["error"]
+
+
+def test_moves_must_come_from_the_side_to_move_at_the_current_ply(client, room):
+    assert post_move(client, room, "black", 0, "K(4,-7,0)-(4,-8,0)").status_code == 409
+    assert post_move(client, room, "white", 1, "R(0,0,0)-(0,1,0)").status_code == 409
+    assert client.post(f"/api/rooms/{room['id']}/moves", json={"ply": 0, "move": "R(0,0,0)-(0,1,0)"}).status_code == 403
+
+
+def test_a_mating_move_ends_the_game(client):
+    position = "2:b8,b8 R(0,0)R(1,-6)K(7,0)k(4,-7) w - - F 0 0"
+    created = client.post("/api/rooms", json={"position": position, "color": "white"}).get_json()
+    room = {"id": created["room"]["id"], "white": created["token"]}
+
+    response = post_move(client, room, "white", 0, "R(0,0)-(0,-7)")
+    assert response.get_json()["result"] == {"winner": "white", "reason": "checkmate"}
+    assert client.get(f"/api/rooms/{room['id']}").get_json()["room"]["over"] is True
+    assert post_move(client, room, "white", 1, "K(7,0)-(7,1)").status_code == 409
+
+
+def test_resigning_ends_the_game(client, room):
+    assert post_action(client, room, "black", "resign").status_code == 200
+    assert post_move(client, room, "white", 0, "R(0,0,0)-(0,1,0)").status_code == 409
+    assert post_action(client, room, "white", "offer-draw").status_code == 409
+
+
+def test_a_draw_offer_can_only_be_accepted_by_the_other_side(client, room):
+    assert post_action(client, room, "white", "accept-draw").status_code == 409
+    assert post_action(client, room, "white", "offer-draw").status_code == 200
+    assert post_action(client, room, "white", "accept-draw").status_code == 409
+    assert post_action(client, room, "black", "accept-draw").status_code == 200
+    assert client.get(f"/api/rooms/{room['id']}").get_json()["room"]["over"] is True
+
+
+def test_moving_turns_down_a_draw_offer(client, room):
+    post_action(client, room, "white", "offer-draw")
+    post_move(client, room, "white", 0, "R(0,0,0)-(0,1,0)")
+    post_move(client, room, "black", 1, "K(4,-7,0)-(4,-8,0)")
+    assert post_action(client, room, "black", "accept-draw").status_code == 409
+
+
+def test_unknown_rooms_are_gone(client):
+    assert client.get("/api/rooms/nope").status_code == 404
+    assert client.post("/api/rooms/nope/join", json={}).status_code == 404
+
+
+@pytest.mark.parametrize("position", [
+    "3",
+    "4 r(0,-7,0)K(4,0,0,0) w - - F 0 0",
+    "3 K(4,0,0)Z(1,1,1) w - - F 0 0",
+])
+def test_rooms_refuse_positions_that_cannot_be_read(client, position):
+    response = client.post("/api/rooms", json={"position": position, "color": "white"})
+    assert response.status_code == 400
+    assert client.get("/api/rooms").get_json()["rooms"] == []